@@ -1,2203 +1,7603 @@
-// All functions that need access to the editor's state live inside
-// the CodeMirror function. Below that, at the bottom of the file,
-// some utilities are defined.
-
-// The history object 'chunks' changes that are made close together
-// and at almost the same time into bigger undoable units.
-class History {
-    constructor() {
-        this.time = 0
-        this.done = []
-        this.undone = []
-    }
-    addChange(start, added, old) {
-        this.undone.length = 0
-        var time = + new Date
-        var last = this.done[this.done.length - 1]
-        if (time - this.time > 400 || !last || last.start > start + added || last.start + last.added < start - last.added + last.old.length) {
-            this.done.push({ start: start, added: added, old: old })
-        } else {
-            var oldoff = 0
-            if (start < last.start) {
-                for (var i = last.start - start - 1; i >= 0; --i) {
-                    last.old.unshift(old[i])
-                }
-                last.added += last.start - start
-                last.start = start
-            } else if (last.start < start) {
-                oldoff = start - last.start
-                added += oldoff
-            }
-            for (var i = last.added - oldoff, e = old.length; i < e; ++i) {
-                last.old.push(old[i])
-            }
-            if (last.added < added) {
-                last.added = added
-            }
-        }
-        this.time = time
-    }
-}
-
-// Line objects. These hold state related to a line, including
-// highlighting info (the styles array).
-class Line {
-    constructor(text, styles) {
-        this.styles = styles || [text, null]
-        this.stateAfter = null
-        this.text = text
-        this.marked = this.gutterMarker = this.className = null
-    }
-    // Replace a piece of a line, keeping the styles around it intact.
-    replace(from, to, text) {
-        var st = []
-        var mk = this.marked
-        copyStyles(0, from, this.styles, st)
-        if (text) {
-            st.push(text, null)
-        }
-        copyStyles(to, this.text.length, this.styles, st)
-        this.styles = st
-        this.text = this.text.slice(0, from) + text + this.text.slice(to)
-        this.stateAfter = null
-        if (mk) {
-            var diff = text.length - (to - from)
-            var end = this.text.length
-            function fix(n) {
-                return n <= Math.min(to, to + diff) ? n : n + diff
-            }
-            for (var i = 0; i < mk.length; ++i) {
-                var mark = mk[i]
-                var del = false
-                if (mark.from >= end) {
-                    del = true
-                } else {
-                    mark.from = fix(mark.from)
-                    if (mark.to != null) {
-                        mark.to = fix(mark.to)
-                    }
-                }
-                if (del || mark.from >= mark.to) {
-                    mk.splice(i, 1); i--
-                }
-            }
-        }
-    }
-    // Split a line in two, again keeping styles intact.
-    split(pos, textBefore) {
-        var st = [textBefore, null]
-        copyStyles(pos, this.text.length, this.styles, st)
-        return new Line(textBefore + this.text.slice(pos), st)
-    }
-    addMark(from, to, style) {
-        var mk = this.marked
-        var mark = {
-            from: from,
-            to: to,
-            style: style
-        }
-        if (this.marked == null) {
-            this.marked = []
-        }
-        this.marked.push(mark)
-        this.marked.sort(function (a, b) { return a.from - b.from })
-        return mark
-    }
-    removeMark(mark) {
-        var mk = this.marked
-        if (!mk) return
-        for (var i = 0; i < mk.length; ++i) {
-            if (mk[i] == mark) {
-                mk.splice(i, 1)
-                break
-            }
-        }
-    }
-    // Run the given mode's parser over a line, update the styles
-    // array, which contains alternating fragments of text and CSS
-    // classes.
-    highlight(mode, state) {
-        var stream = new StringStream(this.text)
-        var st = this.styles
-        var pos = 0
-        var changed = false
-        while (!stream.eol()) {
-            var style = mode.token(stream, state)
-            var substr = this.text.slice(stream.start, stream.pos)
-            stream.start = stream.pos
-            if (pos && st[pos - 1] == style) {
-                st[pos - 2] += substr
-            } else if (substr) {
-                if (!changed && st[pos] != substr || st[pos + 1] != style) {
-                    changed = true
-                }
-                st[pos++] = substr
-                st[pos++] = style
-            }
-            // Give up when line is ridiculously long
-            if (stream.pos > 5000) {
-                st[pos++] = this.text.slice(stream.pos)
-                st[pos++] = null
-                break
-            }
-        }
-        if (st.length != pos) {
-            st.length = pos
-            changed = true
-        }
-        return changed
-    }
-    indentation() {
-        return countColumn(this.text)
-    }
-    // Produces an HTML fragment for the line, taking selection,
-    // marking, and highlighting into account.
-    getHTML(sfrom, sto, includePre) {
-        var html = []
-        if (includePre) {
-            html.push(this.className ? '<pre class="' + this.className + '">' : '<pre>')
-        }
-        function span(text, style) {
-            if (!text) {
-                return
-            }
-            if (style) {
-                html.push('<span class="', style, '">', htmlEscape(text), '</span>')
-            } else {
-                html.push(htmlEscape(text))
-            }
-        }
-        var st = this.styles
-        var allText = this.text
-        var marked = this.marked
-        if (sfrom == sto) {
-            sfrom = null
-        }
-
-        if (!allText) {
-            span(' ', sfrom != null && sto == null ? 'XliffEditor-selected' : null)
-        } else if (!marked && sfrom == null) {
-            for (var i = 0, e = st.length; i < e; i += 2) {
-                span(st[i], st[i + 1])
-            }
-        } else {
-            var pos = 0
-            var i = 0
-            var text = ''
-            var style
-            var sg = 0
-            var markpos = -1
-            var mark = null
-            function nextMark() {
-                if (marked) {
-                    markpos += 1
-                    mark = (markpos < marked.length) ? marked[markpos] : null
-                }
-            }
-            nextMark()
-            while (pos < allText.length) {
-                var upto = allText.length
-                var extraStyle = ''
-                if (sfrom != null) {
-                    if (sfrom > pos) {
-                        upto = sfrom
-                    } else if (sto == null || sto > pos) {
-                        extraStyle = ' XliffEditor-selected'
-                        if (sto != null) {
-                            upto = Math.min(upto, sto)
-                        }
-                    }
-                }
-                while (mark && mark.to != null && mark.to <= pos) {
-                    nextMark()
-                }
-                if (mark) {
-                    if (mark.from > pos) {
-                        upto = Math.min(upto, mark.from)
-                    } else {
-                        extraStyle += ' ' + mark.style
-                        if (mark.to != null) {
-                            upto = Math.min(upto, mark.to)
-                        }
-                    }
-                }
-                for (; ;) {
-                    var end = pos + text.length
-                    var apliedStyle = style
-                    if (extraStyle) {
-                        apliedStyle = style ? style + extraStyle : extraStyle
-                    }
-                    span(end > upto ? text.slice(0, upto - pos) : text, apliedStyle)
-                    if (end >= upto) {
-                        text = text.slice(upto - pos)
-                        pos = upto
-                        break
-                    }
-                    pos = end
-                    text = st[i++]
-                    style = st[i++]
-                }
-            }
-            if (sfrom != null && sto == null) {
-                span(' ', 'XliffEditor-selected')
-            }
-        }
-        if (includePre) {
-            html.push('</pre>')
-        }
-        return html.join('')
-    }
-}
-
-class Delayed {
-    constructor() {
-        this.id = null
-    }
-    set(ms, f) {
-        clearTimeout(this.id)
-        this.id = setTimeout(f, ms)
-    }
-}
-
-function stopEvent() {
-    if (this.preventDefault) {
-        this.preventDefault()
-        this.stopPropagation()
-    } else {
-        this.returnValue = false
-        this.cancelBubble = true
-    }
-}
-
-function copyStyles(from, to, source, dest) {
-    for (var i = 0, pos = 0, state = 0; pos < to; i += 2) {
-        var part = source[i]
-        var end = pos + part.length
-        if (state == 0) {
-            if (end > from) {
-                dest.push(part.slice(from - pos, Math.min(part.length, to - pos)), source[i + 1])
-            }
-            if (end >= from) {
-                state = 1
-            }
-        } else if (state == 1) {
-            if (end > to) {
-                dest.push(part.slice(0, to - pos), source[i + 1])
-            } else {
-                dest.push(part, source[i + 1])
-            }
-        }
-        pos = end
-    }
-}
-
-function addStop(event) {
-    if (!event.stop) {
-        event.stop = stopEvent
-    }
-    return event
-}
-
-function htmlEscape(str) {
-    return str.replace(/[<&]/g, function (str) { return str == '&' ? '&amp;' : '&lt;'; })
-}
-function countColumn(string, end) {
-    if (end == null) {
-        end = string.search(/[^\s\u00a0]/)
-        if (end == -1) {
-            end = string.length
-        }
-    }
-    for (var i = 0, n = 0; i < end; ++i) {
-        if (string.charAt(i) == "\t") {
-            n += tabSize - (n % tabSize)
-        } else {
-            ++n
-        }
-    }
-    return n
-}
-class Event {
-    constructor(orig) {
-        this.e = orig
-    }
-    stop() {
-        stopEvent.call(this.e)
-    }
-    target() {
-        return this.e.target || this.e.srcElement
-    }
-    button() {
-        if (this.e.which) {
-            return this.e.which
-        } else if (this.e.button & 1) {
-            return 1
-        } else if (this.e.button & 2) {
-            return 3
-        } else if (this.e.button & 4) {
-            return 2
-        }
-    }
-    pageX() {
-        if (this.e.pageX != null) {
-            return this.e.pageX
-        } else {
-            return this.e.clientX + document.body.scrollLeft + document.documentElement.scrollLeft
-        }
-    }
-    pageY() {
-        if (this.e.pageY != null) {
-            return this.e.pageY
-        } else {
-            return this.e.clientY + document.body.scrollTop + document.documentElement.scrollTop
-        }
-    }
-}
-
-class StringStream {
-    constructor(string) {
-        this.pos = this.start = 0
-        this.string = string
-    }
-    eol() {
-        return this.pos >= this.string.length
-    }
-    sol() {
-        return this.pos == 0
-    }
-    peek() {
-        return this.string.charAt(this.pos)
-    }
-    next() {
-        if (this.pos < this.string.length) {
-            return this.string.charAt(this.pos++)
-        }
-    }
-    eat(match) {
-        var ch = this.string.charAt(this.pos)
-        if (typeof match == 'string') {
-            var ok = ch == match
-        } else {
-            var ok = ch && (match.test ? match.test(ch) : match(ch))
-        }
-        if (ok) {
-            ++this.pos
-            return ch
-        }
-    }
-    eatWhile(match) {
-        var start = this.start
-        while (this.eat(match)) { }
-        return this.pos > start
-    }
-    eatSpace() {
-        var start = this.pos
-        while (/[\s\u00a0]/.test(this.string.charAt(this.pos))) {
-            ++this.pos
-        }
-        return this.pos > start
-    }
-    skipToEnd() {
-        this.pos = this.string.length
-    }
-    skipTo(ch) {
-        var found = this.string.indexOf(ch, this.pos)
-        if (found > -1) {
-            this.pos = found
-            return true
-        }
-    }
-    backUp(n) {
-        this.pos -= n
-    }
-    column() {
-        return countColumn(this.string, this.start)
-    }
-    indentation() {
-        return countColumn(this.string)
-    }
-    match(pattern, consume, caseInsensitive) {
-        if (typeof pattern == 'string') {
-            function cased(str) {
-                return caseInsensitive ? str.toLowerCase() : str
-            }
-            if (cased(this.string).indexOf(cased(pattern), this.pos) == this.pos) {
-                if (consume !== false) {
-                    this.pos += pattern.length
-                }
-                return true
-            }
-        } else {
-            var match = this.string.slice(this.pos).match(pattern)
-            if (match && consume !== false) {
-                this.pos += match[0].length
-            }
-            return match
-        }
-    }
-    current() {
-        return this.string.slice(this.start, this.pos)
-    }
-}
-
-class Segment {
-    constructor(lines) {
-        this.source = lines
-        this.target = []
-    }
-    getHTML(sfrom, sto, includePre) {
-        return '<div><div>source</div><div>target</div></div>'
-    }
-}
-
-class XliffEditor {
-    constructor(place, givenOptions) {
-        //#region Prepare Defaults
-        const options = {
-            value: '',
-            mode: null,
-            indentUnit: 2,
-            indentWithTabs: false,
-            tabMode: 'classic',
-            enterMode: 'indent',
-            electricChars: true,
-            onKeyEvent: null,
-            lineNumbers: true,
-            gutter: false,
-            firstLineNumber: 1,
-            readOnly: false,
-            onChange: null,
-            onCursorActivity: null,
-            onGutterClick: null,
-            onFocus: null,
-            onBlur: null,
-            onScroll: null,
-            matchBrackets: false,
-            workTime: 100,
-            workDelay: 200,
-            undoDepth: 40,
-            tabindex: null
-        }
-
-        for (var opt in options) {
-            if (givenOptions.hasOwnProperty(opt)) {
-                options[opt] = givenOptions[opt]
-            }
-        }
-        //#endregion
-
-        //#region Prepare DOM
-        const wrapper = place
-        wrapper.className = 'XliffEditor'
-
-        const code = document.createElement('div')
-        code.style.position = 'relative'
-        wrapper.appendChild(code)
-
-        const measure = document.createElement('pre')
-        measure.style.position = 'relative'
-        measure.style.height = 0
-        measure.style.visibility = 'hidden'
-        measure.style.overflow = 'hidden'
-        code.appendChild(measure)
-
-        const measureSpan = document.createElement('span')
-        measureSpan.innerText = 'xxxxxxxxxxxxxxxxxxxxxxxxxxxxxxxxxxxxxxxx'
-        measure.appendChild(measureSpan)
-
-        const mover = document.createElement('div')
-        mover.style.position = 'relative'
-        code.appendChild(mover)
-
-        const gutter = document.createElement('div')
-        gutter.className = 'XliffEditor-gutter'
-        mover.appendChild(gutter)
-
-        const gutterText = document.createElement('div')
-        gutterText.className = 'XliffEditor-gutter-text'
-        gutter.appendChild(gutterText)
-
-        const inputDiv = document.createElement('div')
-        inputDiv.style.overflow = 'hidden'
-        inputDiv.style.position = 'absolute'
-        inputDiv.style.width = 0
-        inputDiv.style.left = 0
-        mover.appendChild(inputDiv)
-
-        const input = document.createElement('textarea')
-        input.style.height = '1px'
-        input.style.position = 'absolute'
-        input.style.width = '1px'
-        input.wrap = 'off'
-        inputDiv.appendChild(input)
-
-        const editorLines = document.createElement('div')
-        editorLines.className = 'XliffEditor-lines'
-        mover.appendChild(editorLines)
-
-        const lineSpace = document.createElement('div')
-        lineSpace.style.position = 'relative'
-        editorLines.appendChild(lineSpace)
-
-        const cursor = document.createElement('pre')
-        cursor.className = 'XliffEditor-cursor'
-        cursor.innerHTML = '&#160;'
-        lineSpace.appendChild(cursor)
-
-        const lineDiv = document.createElement('div')
-        lineSpace.appendChild(lineDiv)
-
-        if (options.tabindex != null) {
-            input.tabindex = options.tabindex
-        }
-        if (!options.gutter && !options.lineNumbers) {
-            gutter.style.display = 'none'
-        }
-        //#endregion
-
-        //#region Helper functions
-        var modes = {}
-        var mimeModes = {}
-        const defineMode = (name, mode) => {
-            if (!options.mode && name != 'null') {
-                options.mode = name
-            }
-            modes[name] = mode
-        }
-        const defineMIME = (mime, spec) => {
-            mimeModes[mime] = spec
-        }
-        const getMode = (options, spec) => {
-            if (typeof spec == 'string' && mimeModes.hasOwnProperty(spec)) {
-                spec = mimeModes[spec]
-            }
-            if (typeof spec == 'string') {
-                var mname = spec
-                var config = {}
-            } else {
-                var mname = spec.name
-                var config = spec
-            }
-            var mfactory = modes[mname]
-            if (!mfactory) {
-                if (window.console) console.warn('No mode ' + mname + ' found, falling back to plain text.')
-                return getMode(options, 'text/plain')
-            }
-            return mfactory(options, config)
-        }
-        const listModes = () => modes.filter(m => modes.propertyIsEnumerable(m))
-        const listMIMEs = () => mimeModes.filter(m => mimeModes.propertyIsEnumerable(m))
-        const connect = (node, type, handler, disconnect) => {
-            const wrapHandler = event => handler(new Event(event || window.event))
-
-            node.addEventListener(type, wrapHandler, false)
-            if (disconnect) return () => node.removeEventListener(type, wrapHandler, false)
-        }
-        var splitLines
-        if ('\n\nb'.split(/\n/).length != 3) {
-            splitLines = string => {
-                var pos = 0
-                var nl
-                var result = []
-                while ((nl = string.indexOf("\n", pos)) > -1) {
-                    result.push(string.slice(pos, string.charAt(nl - 1) == "\r" ? nl - 1 : nl))
-                    pos = nl + 1
-                }
-                result.push(string.slice(pos))
-                return result
-            }
-        } else {
-            splitLines = string => string.split(/\r?\n/)
-        }
-        const loadMode = () => {
-            mode = getMode(options, options.mode)
-            for (var i = 0, l = lines.length; i < l; ++i) {
-                lines[i].stateAfter = null
-            }
-            work = [0]
-        }
-        const copyState = (mode, state) => {
-            if (state === true) return state
-            if (mode.copyState) return mode.copyState(state)
-            var nstate = {}
-            for (var n in state) {
-                var val = state[n]
-                if (val instanceof Array) {
-                    val = val.concat([])
-                }
-                nstate[n] = val
-            }
-            return nstate
-        }
-        //#endregion
-
-        //#region Define Mode
-        defineMode('css', config => {
-            var indentUnit = config.indentUnit, type
-            const ret = (style, tp) => {
-                type = tp
-                return style
-            }
-
-            const tokenBase = (stream, state) => {
-                var ch = stream.next()
-                if (ch == '@') {
-                    stream.eatWhile(/\w/)
-                    return ret('css-at', stream.current());
-                } else {
-                    state.tokenize = tokenCComment
-                    return tokenCComment(stream, state)
-                }
-            }
-
-            const tokenCComment = (stream, state) => {
-                var maybeEnd = false, ch
-                while ((ch = stream.next()) != null) {
-                    if (maybeEnd && ch == '/') {
-                        state.tokenize = tokenBase
-                        break
-                    }
-                    maybeEnd = (ch == '*')
-                }
-                return ret('css-comment', 'comment')
-            }
-
-            const tokenSGMLComment = (stream, state) => {
-                var dashes = 0, ch
-                while ((ch = stream.next()) != null) {
-                    if (dashes >= 2 && ch == '>') {
-                        state.tokenize = tokenBase
-                        break
-                    }
-                    dashes = (ch == '-') ? dashes + 1 : 0
-                }
-                return ret('css-comment', 'comment')
-            }
-
-            const tokenString = quote => (stream, state) => {
-                var escaped = false, ch
-                while ((ch = stream.next()) != null) {
-                    if (ch == quote && !escaped)
-                        break
-                    escaped = !escaped && ch == '\\'
-                }
-                if (!escaped) state.tokenize = tokenBase
-                return ret('css-string', 'string')
-            }
-
-            return {
-                startState: base => ({ tokenize: tokenBase, aseIndent: base || 0, stack: [] }),
-                token: (stream, state) => {
-                    if (stream.eatSpace()) return null
-                    var style = state.tokenize(stream, state)
-
-                    var context = state.stack[state.stack.length - 1]
-                    if (type == 'hash' && context == 'rule') style = 'css-colorcode'
-                    else if (style == 'css-identifier') {
-                        if (context == 'rule') style = 'css-value'
-                        else if (!context || context == '@media{') style = 'css-selector'
-                    }
-
-                    if (context == 'rule' && /^[\{\};]$/.test(type)) state.stack.pop()
-                    if (type == '{') {
-                        if (context == '@media') state.stack[state.stack.length - 1] = '@media{'
-                        else state.stack.push('{')
-                    }
-                    else if (type == '}') state.stack.pop()
-                    else if (type == '@media') state.stack.push('@media')
-                    else if (context != 'rule' && context != '@media' && type != 'comment') state.stack.push('rule')
-                    return style;
-                },
-                indent: (state, textAfter) => {
-                    var n = state.stack.length;
-                    if (/^\}/.test(textAfter))
-                        n -= state.stack[state.stack.length - 1] == 'rule' ? 2 : 1;
-                    return state.baseIndent + n * indentUnit;
-                },
-                electricChars: '}'
-            }
-        })
-        defineMIME('text/css', 'css')
-        var badInnerHTML = (function () {
-            var pre = document.createElement('pre')
-            pre.innerHTML = ' '
-            return !pre.innerHTML
-        })()
-        //#endregion
-
-        //#region Local Vars
-        var gecko = /gecko\/\d{7}/i.test(navigator.userAgent)
-
-        // Delayed object wrap timeouts, making sure only one is active. blinker holds an interval.
-        var poll = new Delayed()
-        var highlight = new Delayed()
-        var blinker
-
-        // mode holds a mode API object. 
-        // lines an array of Line objects (see Line constructor), 
-        // work an array of lines that should be parsed, 
-        // and history the undo history (instance of History constructor).
-        var mode
-        var lines = [new Line('')]
-        var work = [0]
-        var history = new History()
-        var focused
-        loadMode()
-
-        // The selection. 
-        // These are always maintained to point at valid positions. 
-        // Inverted is used to remember that the user is selecting bottom-to-top.
-        var sel = {
-            from: {
-                line: 0,
-                ch: 0
-            },
-            to: {
-                line: 0,
-                ch: 0
-            },
-            inverted: false
-        }
-
-        // Selection-related flags. 
-        // shiftSelecting obviously tracks whether the user is holding shift. 
-        // reducedSelection is a hack to get around the fact that we can't create inverted selections. See below.
-        var shiftSelecting
-        var reducedSelection
-
-        // Variables used by startOperation/endOperation to track what happened during the operation.
-        var updateInput
-        var changes
-        var textChanged
-        var selectionChanged
-        var leaveInputAlone
-
-        // Current visible range (may be bigger than the view window).
-        var showingFrom = 0
-        var showingTo = 0
-        var lastHeight = 0
-        var curKeyId = null
-
-        // editing will hold an object describing the things we put in the
-        // textarea, to help figure out whether something changed.
-        // bracketHighlighted is used to remember that a backet has been marked.
-        var editing
-        var bracketHighlighted
-
-        // Ensures slowPoll doesn't cancel fastPoll
-        var pollingFast = false
-        var tabSize = 8
-        var mac = /Mac/.test(navigator.platform)
-        var movementKeys = {}
-        for (var i = 35; i <= 40; ++i) {
-            movementKeys[i] = movementKeys['c' + i] = true
-        }
-        var lineSep = "\n";
-        //#endregion
-
-        //#region Operation
-        var nestedOperation = 0
-        const startOperation = () => {
-            updateInput = null
-            changes = []
-            textChanged = selectionChanged = false
-        }
-
-        const endOperation = () => {
-            var reScroll = false
-            if (selectionChanged) {
-                reScroll = !scrollCursorIntoView()
-            }
-            if (changes.length) {
-                updateDisplay(changes)
-            } else if (selectionChanged) {
-                updateCursor()
-            }
-            if (reScroll) {
-                scrollCursorIntoView()
-            }
-            if (selectionChanged) {
-                restartBlink()
-            }
-
-            // updateInput can be set to a boolean value to force/prevent an
-            // update.
-            if (!leaveInputAlone && (updateInput === true || (updateInput !== false && selectionChanged))) {
-                prepareInput()
-            }
-            if (selectionChanged && options.onCursorActivity) {
-                options.onCursorActivity(instance)
-            }
-            if (textChanged && options.onChange) {
-                options.onChange(instance)
-            }
-            if (selectionChanged && options.matchBrackets) {
-                setTimeout(operation(function () {
-                    if (bracketHighlighted) {
-                        bracketHighlighted()
-                        bracketHighlighted = null
-                    }
-                    matchBrackets(false)
-                }), 20)
-            }
-        }
-
-        function operation(f) {
-            return function () {
-                if (!nestedOperation++) {
-                    startOperation()
-                }
-                try {
-                    var result = f.apply(window, arguments)
-                } finally {
-                    if (!--nestedOperation) {
-                        endOperation()
-                    }
-                }
-                return result
-            }
-        }
-        //#endregion
-
-        //#region Pooling
-        const slowPoll = () => {
-            if (pollingFast) {
-                return
-            }
-            poll.set(2000, function () {
-                startOperation()
-                readInput()
-                if (focused) {
-                    slowPoll()
-                }
-                endOperation()
-            })
-        }
-        const fastPoll = keyId => {
-            var missed = false
-            pollingFast = true
-            function p() {
-                startOperation()
-                var changed = readInput()
-                if (changed == 'moved' && keyId) {
-                    movementKeys[keyId] = true
-                }
-                if (!changed && !missed) {
-                    missed = true
-                    poll.set(80, p)
-                } else {
-                    pollingFast = false
-                    slowPoll()
-                }
-                endOperation()
-            }
-            poll.set(20, p)
-        }
-        //#endregion
-
-        //#region  Event Handlers
-        const onMouseDown = e => {
-            // First, see if this is a click in the gutter
-            for (var n = e.target(); n != wrapper; n = n.parentNode) {
-                if (n.parentNode == gutterText) {
-                    if (options.onGutterClick) {
-                        options.onGutterClick(instance, indexOf(gutterText.childNodes, n) + showingFrom)
-                    }
-                    return e.stop()
-                }
-            }
-            if (gecko && e.button() == 3) {
-                onContextMenu(e)
-            }
-            if (e.button() != 1) {
-                return
-            }
-            // For button 1, if it was clicked inside the editor
-            // (posFromMouse returning non-null), we have to adjust the
-            // selection.
-            var start = posFromMouse(e)
-            var last = start
-            var going
-
-            if (!start) {
-                if (e.target() == wrapper) {
-                    e.stop()
-                }
-                return
-            }
-            setCursor(start.line, start.ch, false)
-
-            if (!focused) {
-                onFocus()
-            }
-            e.stop()
-            // And then we have to see if it's a drag event, in which case
-            // the dragged-over text must be selected.
-            function end() {
-                input.focus()
-                updateInput = true
-                move()
-                up()
-            }
-
-            function extend(e) {
-                var cur = posFromMouse(e, true)
-                if (cur && !posEq(cur, last)) {
-                    if (!focused) {
-                        onFocus()
-                    }
-                    last = cur
-                    setSelection(start, cur)
-                    updateInput = false
-                    var visible = visibleLines()
-                    if (cur.line >= visible.to || cur.line < visible.from) {
-                        going = setTimeout(operation(function () {
-                            extend(e)
-                        }), 150)
-                    }
-                }
-            }
-
-            var move = connect(document, 'mousemove', operation(function (e) {
-                clearTimeout(going)
-                e.stop()
-                extend(e)
-            }), true)
-            var up = connect(document, 'mouseup', operation(function (e) {
-                clearTimeout(going)
-                var cur = posFromMouse(e)
-                if (cur) {
-                    setSelection(start, cur)
-                }
-                e.stop()
-                end()
-            }), true)
-        }
-        const onContextMenu = e => {
-            var pos = posFromMouse(e)
-            if (!pos || window.opera) {
-                return // Opera is difficult.
-            }
-            if (posEq(sel.from, sel.to) || posLess(pos, sel.from) || !posLess(pos, sel.to)) {
-                setCursor(pos.line, pos.ch)
-            }
-            var oldCSS = input.style.cssText
-            input.style.cssText = 'position: fixed; width: 30px; height: 30px; top: ' + (e.pageY() - 1) +
-                'px; left: ' + (e.pageX() - 1) + 'px; z-index: 1000; background: white; ' +
-                'border-width: 0; outline: none; overflow: hidden;'
-            var val = input.value = getSelection()
-            input.focus()
-            setSelRange(input, 0, val.length)
-            if (gecko) {
-                e.stop()
-            }
-            leaveInputAlone = true
-            setTimeout(function () {
-                if (input.value != val) {
-                    operation(replaceSelection)(input.value, 'end')
-                }
-                input.style.cssText = oldCSS
-                leaveInputAlone = false
-                prepareInput()
-                slowPoll()
-            }, 50)
-        }
-        const onDblClick = e => {
-            var pos = posFromMouse(e)
-            if (!pos) {
-                return
-            }
-            selectWordAt(pos)
-            e.stop()
-        }
-        const onDrop = e => {
-            var pos = posFromMouse(e, true)
-            var files = e.e.dataTransfer.files
-            if (!pos || options.readOnly) {
-                return
-            }
-            if (files && files.length && window.FileReader && window.File) {
-                var n = files.length
-                var text = Array(n)
-                var read = 0
-                for (var i = 0; i < n; ++i) {
-                    loadFile(files[i], i)
-                }
-
-                function loadFile(file, i) {
-                    var reader = new FileReader
-                    reader.onload = function () {
-                        text[i] = reader.result
-                        if (++read == n) {
-                            replaceRange(text.join(''), clipPos(pos), clipPos(pos))
-                        }
-                    }
-                    reader.readAsText(file)
-                }
-            }
-            else {
-                try {
-                    var text = e.e.dataTransfer.getData('Text')
-                    if (text) {
-                        replaceRange(text, pos, pos)
-                    }
-                } catch (e) { }
-            }
-        }
-        const onFocus = () => {
-            if (!focused && options.onFocus) {
-                options.onFocus(instance)
-            }
-            focused = true
-            slowPoll()
-            if (wrapper.className.search(/\bXliffEditor-focused\b/) == -1) {
-                wrapper.className += ' XliffEditor-focused'
-            }
-            restartBlink()
-        }
-        const onBlur = () => {
-            if (focused && options.onBlur) {
-                options.onBlur(instance)
-            }
-            clearInterval(blinker)
-            shiftSelecting = null
-            focused = false
-            wrapper.className = wrapper.className.replace(' XliffEditor-focused', '')
-        }
-        const onKeyUp = e => {
-            if (reducedSelection) {
-                reducedSelection = null
-                updateInput = true
-            }
-            if (e.e.keyCode == 16) {
-                shiftSelecting = null
-            }
-        }
-        const onKeyDown = e => {
-            if (!focused) {
-                onFocus()
-            }
-
-            var code = e.e.keyCode
-            // Tries to detect ctrl on non-mac, cmd on mac.
-            var mod = (mac ? e.e.metaKey : e.e.ctrlKey) && !e.e.altKey
-            var anyMod = e.e.ctrlKey || e.e.altKey || e.e.metaKey
-
-            if (code == 16 || e.e.shiftKey) {
-                shiftSelecting = shiftSelecting || (sel.inverted ? sel.to : sel.from)
-            } else {
-                shiftSelecting = null
-            }
-            // First give onKeyEvent option a chance to handle this.
-            if (options.onKeyEvent && options.onKeyEvent(instance, addStop(e.e))) {
-                return
-            }
-
-            if (code == 33 || code == 34) { // page up/down
-                scrollPage(code == 34)
-                return e.stop()
-            }
-            if (mod && (code == 36 || code == 35)) { // ctrl-home/end
-                scrollEnd(code == 36)
-                return e.stop()
-            }
-            if (mod && code == 65) { // ctrl-a
-                selectAll()
-                return e.stop()
-            }
-            if (!options.readOnly) {
-                if (!anyMod && code == 13) { // enter
-                    return
-                }
-                if (!anyMod && code == 9 && handleTab(e.e.shiftKey)) { // tab
-                    return e.stop()
-                }
-                if (mod && code == 90) { // ctrl-z
-                    undo()
-                    return e.stop()
-                }
-                if (mod && ((e.e.shiftKey && code == 90) || code == 89)) { // ctrl-shift-z, ctrl-y
-                    redo()
-                    return e.stop()
-                }
-            }
-
-            // Key id to use in the movementKeys map. We also pass it to
-            // fastPoll in order to 'self learn'. We need this because
-            // reducedSelection, the hack where we collapse the selection to
-            // its start when it is inverted and a movement key is pressed
-            // (and later restore it again), shouldn't be used for
-            // non-movement keys.
-            curKeyId = (mod ? 'c' : '') + code
-            if (sel.inverted && movementKeys.hasOwnProperty(curKeyId)) {
-                var range = selRange(input)
-                if (range) {
-                    reducedSelection = { anchor: range.start }
-                    setSelRange(input, range.start, range.start)
-                }
-            }
-            fastPoll(curKeyId)
-        }
-        const onKeyPress = e => {
-            if (options.onKeyEvent && options.onKeyEvent(instance, addStop(e.e))) {
-                return
-            }
-            var code = e.e.keyCode
-            // Re-stop tab and enter. Necessary on some browsers.
-            if (code == 13) {
-                handleEnter()
-                e.stop()
-            } else if (code == 9 && options.tabMode != 'default') {
-                e.stop()
-            } else {
-                fastPoll(curKeyId)
-            }
-        }
-        const posFromMouse = (e, liberal) => {
-            var off = eltOffset(lineSpace)
-            var x = e.pageX() - off.left
-            var y = e.pageY() - off.top
-            if (!liberal && e.target() != lineSpace.parentNode && !(e.target() == wrapper && y > (lines.length * lineHeight()))) {
-                for (var n = e.target(); n != lineDiv && n != cursor; n = n.parentNode) {
-                    if (!n || n == wrapper) {
-                        return null
-                    }
-                }
-            }
-            var line = showingFrom + Math.floor(y / lineHeight())
-            return clipPos({ line: line, ch: charFromX(clipLine(line), x) })
-        }
-        const eltOffset = node => {
-            var x = 0
-            var y = 0
-            var n2 = node
-            for (var n = node; n; n = n.offsetParent) {
-                x += n.offsetLeft
-                y += n.offsetTop
-            }
-            for (var n = node; n != document.body; n = n.parentNode) {
-                x -= n.scrollLeft
-                y -= n.scrollTop
-            }
-            return { left: x, top: y }
-        }
-        const eltText = node => node.textContent || node.innerText || node.nodeValue || ''
-        const posEq = (a, b) => a.line == b.line && a.ch == b.ch
-        const posLess = (a, b) => a.line < b.line || (a.line == b.line && a.ch < b.ch)
-        const copyPos = x => ({ line: x.line, ch: x.ch })
-        //const htmlEscape = str => str.replace(/[<&]/g, function (str) { return str == '&' ? '&amp;' : '&lt;'; })
-        const lineHeight = () => {
-            var nlines = lineDiv.childNodes.length
-            if (nlines) {
-                return lineDiv.offsetHeight / nlines
-            } else {
-                return measure.firstChild.offsetHeight || 1
-            }
-        }
-        const charFromX = (line, x) => {
-            var text = lines[line].text
-            var cw = charWidth()
-            if (x <= 0) {
-                return 0
-            }
-            if (text.indexOf("\t") == -1) {
-                return Math.min(text.length, Math.round(x / cw))
-            }
-            var mspan = measure.firstChild
-            var mtext = mspan.firstChild
-            var old = mtext.nodeValue
-            try {
-                mtext.nodeValue = text
-                var from = 0
-                var fromX = 0
-                var to = text.length
-                var toX = mspan.offsetWidth
-                if (x > toX) {
-                    return to
-                }
-                for (; ;) {
-                    if (to - from <= 1) {
-                        return (toX - x > x - fromX) ? from : to
-                    }
-                    var middle = Math.ceil((from + to) / 2)
-                    mtext.nodeValue = text.slice(0, middle)
-                    var curX = mspan.offsetWidth
-                    if (curX > x) {
-                        to = middle
-                        toX = curX
-                    } else {
-                        from = middle
-                        fromX = curX
-                    }
-                }
-            } finally {
-                mtext.nodeValue = old
-            }
-        }
-        const localCoords = (pos, inLineWrap) => {
-            var lh = lineHeight()
-            var line = pos.line - (inLineWrap ? showingFrom : 0)
-            return { x: charX(pos.line, pos.ch), y: line * lh, yBot: (line + 1) * lh }
-        }
-        const pageCoords = pos => {
-            var local = localCoords(pos, true)
-            var off = eltOffset(lineSpace)
-            return { x: off.left + local.x, y: off.top + local.y, yBot: off.top + local.yBot }
-        }
-        const charWidth = () => (measure.firstChild.offsetWidth || 320) / 40
-        const paddingTop = () => lineSpace.offsetTop
-        const restartBlink = () => {
-            clearInterval(blinker)
-            var on = true
-            cursor.style.visibility = ''
-            blinker = setInterval(function () {
-                cursor.style.visibility = (on = !on) ? '' : 'hidden'
-            }, 650)
-        }
-        const paddingLeft = () => lineSpace.offsetLeft
-        const findStartLine = n => {
-            var minindent
-            var minline
-            for (var search = n, lim = n - 40; search > lim; --search) {
-                if (search == 0) {
-                    return 0
-                }
-                var line = lines[search - 1]
-                if (line.stateAfter) {
-                    return search
-                }
-                var indented = line.indentation()
-                if (minline == null || minindent > indented) {
-                    minline = search
-                    minindent = indented
-                }
-            }
-            return minline
-        }
-        const getStateBefore = n => {
-            var start = findStartLine(n)
-            var state = start && lines[start - 1].stateAfter
-            if (!state) {
-                state = startState(mode)
-            } else {
-                state = copyState(mode, state)
-            }
-            for (var i = start; i < n; ++i) {
-                var line = lines[i]
-                line.highlight(mode, state)
-                line.stateAfter = copyState(mode, state)
-            }
-            if (!lines[n].stateAfter) {
-                work.push(n)
-            }
-            return state
-        }
-        const updateLines = (from, to, newText, selFrom, selTo) => {
-            if (history) {
-                var old = []
-                for (var i = from.line, e = to.line + 1; i < e; ++i) {
-                    old.push(lines[i].text)
-                }
-                history.addChange(from.line, newText.length, old)
-                while (history.done.length > options.undoDepth) {
-                    history.done.shift()
-                }
-            }
-            updateLinesNoUndo(from, to, newText, selFrom, selTo)
-        }
-        const getValue = () => lines.map(line => line.text).join('\n')
-        const setValue = val => {
-            history = null
-            var top = { line: 0, ch: 0 }
-            updateLines(top, { line: lines.length - 1, ch: lines[lines.length - 1].text.length }, splitLines(val), top, top)
-            history = new History()
-        }
-        const getSelection = () => getRange(sel.from, sel.to)
-        const getRange = (from, to) => {
-            var l1 = from.line
-            var l2 = to.line
-            if (l1 == l2) {
-                return lines[l1].text.slice(from.ch, to.ch)
-            }
-            var code = [lines[l1].text.slice(from.ch)]
-            for (var i = l1 + 1; i < l2; ++i) {
-                code.push(lines[i].text)
-            }
-            code.push(lines[l2].text.slice(0, to.ch))
-            return code.join('\n')
-        }
-        const replaceRange = (code, from, to) => {
-            from = clipPos(from)
-            if (!to) {
-                to = from
-            } else {
-                to = clipPos(to)
-            }
-            code = splitLines(code)
-
-            function adjustPos(pos) {
-                if (posLess(pos, from)) {
-                    return pos
-                }
-                if (!posLess(to, pos)) {
-                    return end
-                }
-                var line = pos.line + code.length - (to.line - from.line) - 1
-                var ch = pos.ch
-                if (pos.line == to.line) {
-                    ch += code[code.length - 1].length - (to.ch - (to.line == from.line ? from.ch : 0))
-                }
-                return { line: line, ch: ch }
-            }
-            var end
-            replaceRange1(code, from, to, function (end1) {
-                end = end1
-                return { from: adjustPos(sel.from), to: adjustPos(sel.to) }
-            })
-            return end
-        }
-        const replaceRange1 = (code, from, to, computeSel) => {
-            var endch = code.length == 1 ? code[0].length + from.ch : code[code.length - 1].length
-            var newSel = computeSel({ line: from.line + code.length - 1, ch: endch })
-            updateLines(from, to, code, newSel.from, newSel.to)
-        }
-        const replaceSelection = (code, collapse) => {
-            replaceRange1(splitLines(code), sel.from, sel.to, end => {
-                switch (collapse) {
-                    case 'end': return { from: end, to: end }
-                    case 'start': return { from: sel.from, to: sel.from }
-                    default: return { from: sel.from, to: end }
-                }
-            })
-        }
-        const undo = () => unredoHelper(history.done, history.undone)
-        const redo = () => unredoHelper(history.undone, history.done)
-        const clipPos = pos => {
-            if (pos.line < 0) {
-                return { line: 0, ch: 0 }
-            }
-            if (pos.line >= lines.length) {
-                return { line: lines.length - 1, ch: lines[lines.length - 1].text.length }
-            }
-            var ch = pos.ch
-            var linelen = lines[pos.line].text.length
-            if (ch == null || ch > linelen) {
-                return { line: pos.line, ch: linelen }
-            } else if (ch < 0) {
-                return { line: pos.line, ch: 0 }
-            } else {
-                return pos
-            }
-        }
-        const addGutterMarker = (line, text, className) => {
-            if (typeof line == 'number') {
-                line = lines[clipLine(line)]
-            }
-            line.gutterMarker = { text: text, style: className }
-            updateGutter()
-            return line
-        }
-        const removeGutterMarker = line => {
-            if (typeof line == 'number') {
-                line = lines[clipLine(line)]
-            }
-            line.gutterMarker = null
-            updateGutter()
-        }
-        const setLineClass = (line, className) => {
-            if (typeof line == 'number') {
-                var no = line
-                line = lines[clipLine(line)]
-            } else {
-                var no = indexOf(lines, line)
-                if (no == -1) {
-                    return null
-                }
-            }
-            line.className = className
-            changes.push({ from: no, to: no + 1 })
-            return line
-        }
-        const lineInfo = (line) => {
-            if (typeof line == 'number') {
-                var n = line
-                line = lines[line]
-                if (!line) {
-                    return null
-                }
-            }
-            else {
-                var n = indexOf(lines, line)
-                if (n == -1) {
-                    return null
-                }
-            }
-            var marker = line.gutterMarker
-            return { line: n, text: line.text, markerText: marker && marker.text, markerClass: marker && marker.style }
-        }
-        const highlightWorker = () => {
-            var end = +new Date + options.workTime
-            while (work.length) {
-                if (!lines[showingFrom].stateAfter) {
-                    var task = showingFrom
-                } else {
-                    var task = work.pop()
-                }
-                if (task >= lines.length) {
-                    continue
-                }
-                var start = findStartLine(task)
-                var state = start && lines[start - 1].stateAfter
-                if (state) {
-                    state = copyState(mode, state)
-                } else {
-                    state = startState(mode)
-                }
-
-                for (var i = start, l = lines.length; i < l; ++i) {
-                    var line = lines[i]
-                    var hadState = line.stateAfter
-                    if (+new Date > end) {
-                        work.push(i)
-                        startWorker(options.workDelay)
-                        changes.push({ from: task, to: i })
-                        return
-                    }
-                    var changed = line.highlight(mode, state)
-                    line.stateAfter = copyState(mode, state)
-                    if (hadState && !changed && line.text) {
-                        break
-                    }
-                }
-                changes.push({ from: task, to: i })
-            }
-        }
-        const startWorker = time => {
-            if (!work.length) {
-                return
-            }
-            highlight.set(time, operation(highlightWorker))
-        }
-        const clipLine = n => Math.max(0, Math.min(n, lines.length - 1))
-        const setCursor = (line, ch) => {
-            var pos = clipPos({ line: line, ch: ch || 0 })
-            setSelection(pos, pos)
-        }
-        const selRange = te => {
-            try {
-                return { start: te.selectionStart, end: te.selectionEnd }
-            } catch (e) {
-                return null
-            }
-        }
-        var setSelRange = function (te, start, end) {
-            try {
-                te.setSelectionRange(start, end)
-            } catch (e) { } // Fails on Firefox when textarea isn't part of the document
-        }
-        const setSelection = (from, to, oldFrom, oldTo) => {
-            if (posEq(sel.from, from) && posEq(sel.to, to)) {
-                return
-            }
-            var sh = shiftSelecting && clipPos(shiftSelecting)
-            if (posLess(to, from)) {
-                var tmp = to
-                to = from
-                from = tmp
-            }
-            if (sh) {
-                if (posLess(sh, from)) {
-                    from = sh
-                } else if (posLess(to, sh)) {
-                    to = sh
-                }
-            }
-
-            var startEq = posEq(sel.to, to)
-            var endEq = posEq(sel.from, from)
-            if (posEq(from, to)) {
-                sel.inverted = false
-            } else if (startEq && !endEq) {
-                sel.inverted = true
-            } else if (endEq && !startEq) {
-                sel.inverted = false
-            }
-
-            // Some ugly logic used to only mark the lines that actually did
-            // see a change in selection as changed, rather than the whole
-            // selected range.
-            if (oldFrom == null) {
-                oldFrom = sel.from.line
-                oldTo = sel.to.line
-            }
-            if (posEq(from, to)) {
-                if (!posEq(sel.from, sel.to)) {
-                    changes.push({ from: oldFrom, to: oldTo + 1 })
-                }
-            } else if (posEq(sel.from, sel.to)) {
-                changes.push({ from: from.line, to: to.line + 1 })
-            } else {
-                if (!posEq(from, sel.from)) {
-                    if (from.line < oldFrom) {
-                        changes.push({ from: from.line, to: Math.min(to.line, oldFrom) + 1 })
-                    } else {
-                        changes.push({ from: oldFrom, to: Math.min(oldTo, from.line) + 1 })
-                    }
-                }
-                if (!posEq(to, sel.to)) {
-                    if (to.line < oldTo) {
-                        changes.push({ from: Math.max(oldFrom, from.line), to: oldTo + 1 })
-                    } else {
-                        changes.push({ from: Math.max(from.line, oldTo), to: to.line + 1 })
-                    }
-                }
-            }
-            sel.from = from
-            sel.to = to
-            selectionChanged = true
-        }
-        const updateCursor = () => {
-            var head = sel.inverted ? sel.from : sel.to
-            var x = charX(head.line, head.ch) + 'px'
-            var y = (head.line - showingFrom) * lineHeight() + 'px'
-            inputDiv.style.top = y
-            inputDiv.style.left = x
-            if (posEq(sel.from, sel.to)) {
-                cursor.style.top = y
-                cursor.style.left = x
-                cursor.style.display = ''
-            }
-            else cursor.style.display = 'none'
-        }
-        const updateGutter = () => {
-            if (!options.gutter && !options.lineNumbers) {
-                return
-            }
-            var hText = mover.offsetHeight
-            var hEditor = wrapper.clientHeight
-            gutter.style.height = (hText - hEditor < 2 ? hEditor : hText) + 'px'
-            var html = []
-            for (var i = showingFrom; i < showingTo; ++i) {
-                var marker = lines[i].gutterMarker
-                var text = options.lineNumbers ? i + options.firstLineNumber : null
-                if (marker && marker.text) {
-                    text = marker.text.replace("%N%", text != null ? text : '')
-                } else if (text == null) {
-                    text = "\u00a0"
-                }
-                html.push((marker && marker.style ? '<pre class="' + marker.style + '">' : '<pre>'), text, '</pre>')
-            }
-            gutter.style.display = 'none'
-            gutterText.innerHTML = html.join('')
-            var minwidth = String(lines.length).length
-            var firstNode = gutterText.firstChild
-            var val = eltText(firstNode)
-            var pad = ''
-            while (val.length + pad.length < minwidth) {
-                pad += "\u00a0"
-            }
-            if (pad) {
-                firstNode.insertBefore(document.createTextNode(pad), firstNode.firstChild)
-            }
-            gutter.style.display = ''
-            lineSpace.style.marginLeft = gutter.offsetWidth + 'px'
-        }
-        const patchDisplay = updates => {
-            // Slightly different algorithm for IE (badInnerHTML), since
-            // there .innerHTML on PRE nodes is dumb, and discards
-            // whitespace.
-            var sfrom = sel.from.line
-            var sto = sel.to.line
-            var off = 0
-            var scratch = badInnerHTML && document.createElement('div')
-            for (var i = 0, e = updates.length; i < e; ++i) {
-                var rec = updates[i]
-                var extra = (rec.to - rec.from) - rec.domSize
-                var nodeAfter = lineDiv.childNodes[rec.domStart + rec.domSize + off] || null
-                if (badInnerHTML) {
-                    for (var j = Math.max(-extra, rec.domSize); j > 0; --j) {
-                        lineDiv.removeChild(nodeAfter ? nodeAfter.previousSibling : lineDiv.lastChild)
-                    }
-                } else if (extra) {
-                    for (var j = Math.max(0, extra); j > 0; --j) {
-                        lineDiv.insertBefore(document.createElement('pre'), nodeAfter)
-                    }
-                    for (var j = Math.max(0, -extra); j > 0; --j) {
-                        lineDiv.removeChild(nodeAfter ? nodeAfter.previousSibling : lineDiv.lastChild)
-                    }
-                }
-                var node = lineDiv.childNodes[rec.domStart + off]
-                var inSel = sfrom < rec.from && sto >= rec.from
-                for (var j = rec.from; j < rec.to; ++j) {
-                    var ch1 = null
-                    var ch2 = null
-                    if (inSel) {
-                        ch1 = 0
-                        if (sto == j) {
-                            inSel = false
-                            ch2 = sel.to.ch
-                        }
-                    } else if (sfrom == j) {
-                        if (sto == j) {
-                            ch1 = sel.from.ch
-                            ch2 = sel.to.ch
-                        } else {
-                            inSel = true
-                            ch1 = sel.from.ch
-                        }
-                    }
-                    if (badInnerHTML) {
-                        scratch.innerHTML = lines[j].getHTML(ch1, ch2, true)
-                        lineDiv.insertBefore(scratch.firstChild, nodeAfter)
-                    } else {
-                        node.innerHTML = lines[j].getHTML(ch1, ch2, false)
-                        node.className = lines[j].className || ''
-                        node = node.nextSibling
-                    }
-                }
-                off += extra
-            }
-        }
-        const refreshDisplay = (from, to) => {
-            var html = []
-            var start = { line: from, ch: 0 }
-            var inSel = posLess(sel.from, start) && !posLess(sel.to, start)
-            for (var i = from; i < to; ++i) {
-                var ch1 = null
-                var ch2 = null
-                if (inSel) {
-                    ch1 = 0
-                    if (sel.to.line == i) {
-                        inSel = false
-                        ch2 = sel.to.ch
-                    }
-                } else if (sel.from.line == i) {
-                    if (sel.to.line == i) {
-                        ch1 = sel.from.ch
-                        ch2 = sel.to.ch
-                    } else {
-                        inSel = true
-                        ch1 = sel.from.ch
-                    }
-                }
-                html.push(lines[i].getHTML(ch1, ch2, true))
-            }
-            lineDiv.innerHTML = html.join('')
-        }
-        const visibleLines = () => {
-            var lh = lineHeight()
-            var top = wrapper.scrollTop - paddingTop()
-            return {
-                from: Math.min(lines.length, Math.max(0, Math.floor(top / lh))),
-                to: Math.min(lines.length, Math.ceil((top + wrapper.clientHeight) / lh))
-            }
-        }
-        const updateDisplay = changes => {
-            if (!wrapper.clientWidth) {
-                showingFrom = showingTo = 0
-                return
-            }
-            // First create a range of theoretically intact lines, and punch
-            // holes in that using the change info.
-            var intact = changes === true ? [] : [{ from: showingFrom, to: showingTo, domStart: 0 }]
-            for (var i = 0, l = changes.length || 0; i < l; ++i) {
-                var change = changes[i]
-                var intact2 = []
-                var diff = change.diff || 0
-                for (var j = 0, l2 = intact.length; j < l2; ++j) {
-                    var range = intact[j]
-                    if (change.to <= range.from) {
-                        intact2.push({ from: range.from + diff, to: range.to + diff, domStart: range.domStart })
-                    } else if (range.to <= change.from) {
-                        intact2.push(range)
-                    } else {
-                        if (change.from > range.from) {
-                            intact2.push({ from: range.from, to: change.from, domStart: range.domStart })
-                        }
-                        if (change.to < range.to) {
-                            intact2.push({
-                                from: change.to + diff, to: range.to + diff,
-                                domStart: range.domStart + (change.to - range.from)
-                            })
-                        }
-                    }
-                }
-                intact = intact2
-            }
-
-            // Then, determine which lines we'd want to see, and which
-            // updates have to be made to get there.
-            var visible = visibleLines()
-            var from = Math.min(showingFrom, Math.max(visible.from - 3, 0))
-            var to = Math.min(lines.length, Math.max(showingTo, visible.to + 3))
-            var updates = []
-            var domPos = 0
-            var domEnd = showingTo - showingFrom
-            var pos = from
-            var changedLines = 0
-
-            for (var i = 0, l = intact.length; i < l; ++i) {
-                var range = intact[i]
-                if (range.to <= from) {
-                    continue
-                }
-                if (range.from >= to) {
-                    break
-                }
-                if (range.domStart > domPos || range.from > pos) {
-                    updates.push({ from: pos, to: range.from, domSize: range.domStart - domPos, domStart: domPos })
-                    changedLines += range.from - pos
-                }
-                pos = range.to
-                domPos = range.domStart + (range.to - range.from)
-            }
-            if (domPos != domEnd || pos != to) {
-                changedLines += Math.abs(to - pos)
-                updates.push({ from: pos, to: to, domSize: domEnd - domPos, domStart: domPos })
-            }
-
-            if (!updates.length) {
-                return
-            }
-            lineDiv.style.display = 'none'
-            // If more than 30% of the screen needs update, just do a full
-            // redraw (which is quicker than patching)
-            if (changedLines > (visible.to - visible.from) * .3) {
-                refreshDisplay(from = Math.max(visible.from - 10, 0), to = Math.min(visible.to + 7, lines.length))
-            } else {
-                // Otherwise, only update the stuff that needs updating.
-                patchDisplay(updates)
-            }
-            lineDiv.style.display = ''
-
-            // Position the mover div to align with the lines it's supposed
-            // to be showing (which will cover the visible display)
-            var different = from != showingFrom || to != showingTo || lastHeight != wrapper.clientHeight
-            showingFrom = from
-            showingTo = to
-            mover.style.top = (from * lineHeight()) + 'px'
-            if (different) {
-                lastHeight = wrapper.clientHeight
-                code.style.height = (lines.length * lineHeight() + 2 * paddingTop()) + 'px'
-                updateGutter()
-            }
-
-            // Since this is all rather error prone, it is honoured with the
-            // only assertion in the whole file.
-            if (lineDiv.childNodes.length != showingTo - showingFrom) {
-                throw new Error('BAD PATCH! ' + JSON.stringify(updates) + ' size=' + (showingTo - showingFrom) + ' nodes=' + lineDiv.childNodes.length)
-            }
-            updateCursor()
-        }
-        const scrollIntoView = (x1, y1, x2, y2) => {
-            var pl = paddingLeft()
-            var pt = paddingTop()
-            y1 += pt
-            y2 += pt
-            x1 += pl
-            x2 += pl
-            var screen = wrapper.clientHeight
-            var screentop = wrapper.scrollTop
-            var scrolled = false
-            var result = true
-            if (y1 < screentop) {
-                wrapper.scrollTop = Math.max(0, y1 - 10)
-                scrolled = true
-            } else if (y2 > screentop + screen) {
-                wrapper.scrollTop = y2 + 10 - screen
-                scrolled = true
-            }
-
-            var screenw = wrapper.clientWidth
-            var screenleft = wrapper.scrollLeft
-            if (x1 < screenleft) {
-                wrapper.scrollLeft = Math.max(0, x1 - 10)
-                scrolled = true
-            } else if (x2 > screenw + screenleft) {
-                wrapper.scrollLeft = x2 + 10 - screenw
-                scrolled = true
-                if (x2 > code.clientWidth) {
-                    result = false
-                }
-            }
-            if (scrolled && options.onScroll) {
-                options.onScroll(instance)
-            }
-            return result
-        }
-        const scrollCursorIntoView = () => {
-            var cursor = localCoords(sel.inverted ? sel.from : sel.to)
-            return scrollIntoView(cursor.x, cursor.y, cursor.x, cursor.yBot)
-        }
-        const prepareInput = () => {
-            var text = []
-            var from = Math.max(0, sel.from.line - 1)
-            var to = Math.min(lines.length, sel.to.line + 2)
-            for (var i = from; i < to; ++i) {
-                text.push(lines[i].text)
-            }
-            text = input.value = text.join(lineSep)
-            var startch = sel.from.ch
-            var endch = sel.to.ch
-            for (var i = from; i < sel.from.line; ++i) {
-                startch += lineSep.length + lines[i].text.length
-            }
-            for (var i = from; i < sel.to.line; ++i) {
-                endch += lineSep.length + lines[i].text.length
-            }
-            editing = { text: text, from: from, to: to, start: startch, end: endch }
-            setSelRange(input, startch, reducedSelection ? startch : endch)
-        }
-        const readInput = () => {
-            var changed = false
-            var text = input.value
-            var sr = selRange(input)
-            if (!sr) {
-                return false
-            }
-            var changed = editing.text != text
-            var rs = reducedSelection
-            var moved = changed || sr.start != editing.start || sr.end != (rs ? editing.start : editing.end)
-            if (reducedSelection && !moved && sel.from.line == 0 && sel.from.ch == 0) {
-                reducedSelection = null
-            } else if (!moved) {
-                return false
-            }
-            if (changed) {
-                shiftSelecting = reducedSelection = null
-                if (options.readOnly) {
-                    updateInput = true
-                    return 'changed'
-                }
-            }
-
-            // Compute selection start and end based on start/end offsets in textarea
-            function computeOffset(n, startLine) {
-                var pos = 0
-                for (; ;) {
-                    var found = text.indexOf("\n", pos)
-                    if (found == -1 || (text.charAt(found - 1) == "\r" ? found - 1 : found) >= n) {
-                        return { line: startLine, ch: n - pos }
-                    }
-                    ++startLine
-                    pos = found + 1
-                }
-            }
-            var from = computeOffset(sr.start, editing.from)
-            var to = computeOffset(sr.end, editing.from);
-            // Here we have to take the reducedSelection hack into account,
-            // so that you can, for example, press shift-up at the start of
-            // your selection and have the right thing happen.
-            if (rs) {
-                from = sr.start == rs.anchor ? to : from
-                to = shiftSelecting ? sel.to : sr.start == rs.anchor ? from : to
-                if (!posLess(from, to)) {
-                    reducedSelection = null
-                    sel.inverted = false
-                    var tmp = from
-                    from = to
-                    to = tmp
-                }
-            }
-
-            // In some cases (cursor on same line as before), we don't have
-            // to update the textarea content at all.
-            if (from.line == to.line && from.line == sel.from.line && from.line == sel.to.line && !shiftSelecting) {
-                updateInput = false
-            }
-
-            // Magic mess to extract precise edited range from the changed
-            // string.
-            if (changed) {
-                var start = 0
-                var end = text.length
-                var len = Math.min(end, editing.text.length)
-                var c
-                var line = editing.from
-                var nl = -1
-                while (start < len && (c = text.charAt(start)) == editing.text.charAt(start)) {
-                    ++start
-                    if (c == "\n") {
-                        line++
-                        nl = start
-                    }
-                }
-                var ch = nl > -1 ? start - nl : start
-                var endline = editing.to - 1
-                var edend = editing.text.length
-
-                for (; ;) {
-                    c = editing.text.charAt(edend)
-                    if (c == "\n") {
-                        endline--
-                    }
-                    if (text.charAt(end) != c) {
-                        ++end
-                        ++edend
-                        break
-                    }
-                    if (edend <= start || end <= start) {
-                        break
-                    }
-                    --end
-                    --edend
-                }
-                var nl = editing.text.lastIndexOf("\n", edend - 1)
-                var endch = nl == -1 ? edend : edend - nl - 1
-                updateLines({ line: line, ch: ch }, { line: endline, ch: endch }, splitLines(text.slice(start, end)), from, to)
-                if (line != endline || from.line != line) {
-                    updateInput = true
-                }
-            } else {
-                setSelection(from, to)
-            }
-
-            editing.text = text
-            editing.start = sr.start
-            editing.end = sr.end
-            return changed ? 'changed' : moved ? 'moved' : false
-        }
-        const updateLinesNoUndo = (from, to, newText, selFrom, selTo) => {
-            var nlines = to.line - from.line
-            var firstLine = lines[from.line]
-            var lastLine = lines[to.line]
-            // First adjust the line structure, taking some care to leave highlighting intact.
-            if (firstLine == lastLine) {
-                if (newText.length == 1) {
-                    firstLine.replace(from.ch, to.ch, newText[0])
-                } else {
-                    lastLine = firstLine.split(to.ch, newText[newText.length - 1])
-                    var spliceargs = [from.line + 1, nlines]
-                    firstLine.replace(from.ch, firstLine.text.length, newText[0])
-                    for (var i = 1, e = newText.length - 1; i < e; ++i) {
-                        spliceargs.push(new Line(newText[i]))
-                    }
-                    spliceargs.push(lastLine)
-                    lines.splice.apply(lines, spliceargs)
-                }
-            } else if (newText.length == 1) {
-                firstLine.replace(from.ch, firstLine.text.length, newText[0] + lastLine.text.slice(to.ch))
-                lines.splice(from.line + 1, nlines)
-            } else {
-                var spliceargs = [from.line + 1, nlines - 1]
-                firstLine.replace(from.ch, firstLine.text.length, newText[0])
-                lastLine.replace(0, to.ch, newText[newText.length - 1])
-                for (var i = 1, e = newText.length - 1; i < e; ++i) {
-                    spliceargs.push(new Line(newText[i]))
-                }
-                lines.splice.apply(lines, spliceargs)
-            }
-
-            // Add these lines to the work array, so that they will be
-            // highlighted. Adjust work lines if lines were added/removed.
-            var newWork = []
-            var lendiff = newText.length - nlines - 1
-            for (var i = 0, l = work.length; i < l; ++i) {
-                var task = work[i]
-                if (task < from.line) {
-                    newWork.push(task)
-                } else if (task > to.line) {
-                    newWork.push(task + lendiff)
-                }
-            }
-            if (newText.length) {
-                newWork.push(from.line)
-            }
-            work = newWork
-            startWorker(100)
-            // Remember that these lines changed, for updating the display
-            changes.push({ from: from.line, to: to.line + 1, diff: lendiff })
-            textChanged = true
-
-            // Update the selection
-            function updateLine(n) {
-                return n <= Math.min(to.line, to.line + lendiff) ? n : n + lendiff
-            }
-            setSelection(selFrom, selTo, updateLine(sel.from.line), updateLine(sel.to.line));
-
-            // Make sure the scroll-size div has the correct height.
-            code.style.height = (lines.length * lineHeight() + 2 * paddingTop()) + 'px'
-        }
-        const startState = (mode, a1, a2) => mode.startState ? mode.startState(a1, a2) : true
-        const charX = (line, pos) => {
-            var text = lines[line].text
-            var span = measure.firstChild
-            if (text.lastIndexOf("\t", pos) == -1) {
-                return pos * charWidth()
-            }
-            var old = span.firstChild.nodeValue
-            try {
-                span.firstChild.nodeValue = text.slice(0, pos)
-                return span.offsetWidth
-            } finally {
-                span.firstChild.nodeValue = old
-            }
-        }
-        const handleEnter = () => replaceSelection("\n", 'end')
-        const handleTab = shift => {
-            shiftSelecting = null
-            switch (options.tabMode) {
-                case 'default':
-                    return false
-                case 'indent':
-                    for (var i = sel.from.line, e = sel.to.line; i <= e; ++i) {
-                        indentLine(i, 'smart')
-                    }
-                    break
-                case 'classic':
-                    if (posEq(sel.from, sel.to)) {
-                        if (shift) {
-                            indentLine(sel.from.line, 'smart')
-                        } else {
-                            replaceSelection("\t", 'end')
-                        }
-                        break
-                    }
-                case 'shift':
-                    for (var i = sel.from.line, e = sel.to.line; i <= e; ++i) {
-                        indentLine(i, shift ? 'subtract' : 'add')
-                    }
-                    break
-            }
-            return true
-        }
-        const selectWordAt = pos => {
-            var line = lines[pos.line].text
-            var start = pos.ch
-            var end = pos.ch
-            while (start > 0 && /\w/.test(line.charAt(start - 1))) {
-                --start
-            }
-            while (end < line.length - 1 && /\w/.test(line.charAt(end))) {
-                ++end
-            }
-            setSelection({ line: pos.line, ch: start }, { line: pos.line, ch: end })
-        }
-
-        //#endregion
-
-
-        //#region Preparing Instance
-        this.getValue = getValue
-        this.setValue = operation(setValue)
-        this.getSelection = getSelection
-        this.replaceSelection = operation(replaceSelection)
-        this.focus = () => {
-            input.focus()
-            onFocus()
-            fastPoll()
-        }
-        this.setOption = (option, value) => {
-            options[option] = value
-            if (option == 'lineNumbers' || option == 'gutter') {
-                gutterChanged()
-            } else if (option == 'mode' || option == 'indentUnit') {
-                loadMode()
-            }
-        }
-        this.getOption = option => options[option]
-        this.undo = operation(undo)
-        this.redo = operation(redo)
-        this.historySize = () => ({ undo: history.done.length, redo: history.undone.length })
-        this.getTokenAt = pos => {
-            pos = clipPos(pos)
-            return lines[pos.line].getTokenAt(mode, getStateBefore(pos.line), pos.ch)
-        }
-        this.cursorCoords = start => {
-            if (start == null) {
-                start = sel.inverted
-            }
-            return pageCoords(start ? sel.from : sel.to)
-        }
-        this.charCoords = pos => pageCoords(clipPos(pos))
-        this.coordsChar = coords => {
-            var line = Math.min(showingTo - 1, showingFrom + Math.floor(coords.y / lineHeight()))
-            return clipPos({ line: line, ch: charFromX(clipLine(line), coords.x) })
-        }
-        this.getSearchCursor = (query, pos, caseFold) => new SearchCursor(query, pos, caseFold)
-        this.markText = operation((a, b, c) => operation(markText(a, b, c)))
-        this.setMarker = addGutterMarker
-        this.clearMarker = removeGutterMarker
-        this.setLineClass = operation(setLineClass)
-        this.lineInfo = lineInfo
-        this.addWidget = (pos, node, scroll) => {
-            var pos = localCoords(clipPos(pos), true)
-            node.style.top = (showingFrom * lineHeight() + pos.yBot + paddingTop()) + 'px'
-            node.style.left = (pos.x + paddingLeft()) + 'px'
-            code.appendChild(node)
-            if (scroll) {
-                scrollIntoView(pos.x, pos.yBot, pos.x + node.offsetWidth, pos.yBot + node.offsetHeight)
-            }
-        }
-        this.lineCount = () => lines.length
-        this.getCursor = start => {
-            if (start == null) start = sel.inverted
-            return copyPos(start ? sel.from : sel.to)
-        }
-        this.somethingSelected = () => !posEq(sel.from, sel.to)
-        this.setCursor = operation((line, ch) => {
-            if (ch == null && typeof line.line == 'number') {
-                setCursor(line.line, line.ch)
-            } else {
-                setCursor(line, ch)
-            }
-        })
-        this.setSelection = operation((from, to) => setSelection(clipPos(from), clipPos(to || from)))
-        this.getLine = line => {
-            if (isLine(line)) {
-                return lines[line].text
-            }
-        }
-        this.setLine = operation((line, text) => {
-            if (isLine(line)) {
-                replaceRange(text, { line: line, ch: 0 }, { line: line, ch: lines[line].text.length })
-            }
-        })
-        this.removeLine = operation(line => {
-            if (isLine(line)) {
-                replaceRange('', { line: line, ch: 0 }, clipPos({ line: line + 1, ch: 0 }))
-            }
-        })
-        this.replaceRange = operation(replaceRange)
-        this.getRange = (from, to) => getRange(clipPos(from), clipPos(to))
-        this.operation = f => operation(f)()
-        this.refresh = () => updateDisplay(true)
-        this.getInputField = () => input
-        this.getWrapperElement = () => wrapper
-        //#endregion
-
-        //#region Prepoare Events
-        setTimeout(prepareInput, 20)
-        // Register our event handlers.
-        connect(wrapper, 'mousedown', operation(onMouseDown))
-        // Gecko browsers fire contextmenu *after* opening the menu, at
-        // which point we can't mess with it anymore. Context menu is
-        // handled in onMouseDown for Gecko.
-        if (!gecko) connect(wrapper, 'contextmenu', operation(onContextMenu))
-        connect(code, 'dblclick', operation(onDblClick))
-        connect(wrapper, 'scroll', () => {
-            updateDisplay([])
-            if (options.onScroll) {
-                options.onScroll(instance)
-            }
-        })
-        connect(window, 'resize', () => updateDisplay(true))
-        connect(input, 'keyup', operation(onKeyUp))
-        connect(input, 'keydown', operation(onKeyDown))
-        connect(input, 'keypress', operation(onKeyPress))
-        connect(input, 'focus', onFocus)
-        connect(input, 'blur', onBlur)
-        connect(wrapper, 'dragenter', e => e.stop())
-        connect(wrapper, 'dragover', e => e.stop())
-        connect(wrapper, 'drop', operation(onDrop))
-        connect(wrapper, 'paste', () => {
-            input.focus()
-            fastPoll()
-        })
-        connect(input, 'paste', () => fastPoll())
-        connect(input, 'cut', () => fastPoll())
-        //#endregion
-
-
-    }
+// All functions that need access to the editor's state live inside
+// the CodeMirror function. Below that, at the bottom of the file,
+// some utilities are defined.
+
+// The history object 'chunks' changes that are made close together
+// and at almost the same time into bigger undoable units.
+class History {
+    constructor() {
+        this.time = 0
+        this.done = []
+        this.undone = []
+    }
+    addChange(start, added, old) {
+        this.undone.length = 0
+        var time = + new Date
+        var last = this.done[this.done.length - 1]
+        if (time - this.time > 400 || !last || last.start > start + added || last.start + last.added < start - last.added + last.old.length) {
+            this.done.push({ start: start, added: added, old: old })
+        } else {
+            var oldoff = 0
+            if (start < last.start) {
+                for (var i = last.start - start - 1; i >= 0; --i) {
+                    last.old.unshift(old[i])
+                }
+                last.added += last.start - start
+                last.start = start
+            } else if (last.start < start) {
+                oldoff = start - last.start
+                added += oldoff
+            }
+            for (var i = last.added - oldoff, e = old.length; i < e; ++i) {
+                last.old.push(old[i])
+            }
+            if (last.added < added) {
+                last.added = added
+            }
+        }
+        this.time = time
+    }
+    // Record a change made up of many edits (replace all, ...) as one
+    // undoable unit, never merged with the edits around it. segments,
+    // when given, holds what the segments of the lines were (see
+    // segmentInfo), to be put back with their text.
+    addGroup(start, added, old, segments) {
+        this.undone.length = 0
+        this.done.push(segments ? { start: start, added: added, old: old, segments: segments } : { start: start, added: added, old: old })
+        this.time = 0
+    }
+    // Record a change that loaded the document again (resegmenting,
+    // switching views) by the XLIFF it had before, the view it was
+    // shown in and where the cursor was.
+    addSnapshot(text, view, cursor) {
+        this.undone.length = 0
+        this.done.push({ snapshot: text, view: view, cursor: cursor })
+        this.time = 0
+    }
+}
+
+// Line objects. These hold state related to a line, including
+// highlighting info (the styles array).
+class Line {
+    constructor(text, styles) {
+        this.styles = styles || [text, null]
+        this.stateAfter = null
+        this.text = text
+        this.marked = this.gutterMarker = this.className = null
+        this.segment = null
+    }
+    // Replace a piece of a line, keeping the styles around it intact.
+    replace(from, to, text) {
+        var st = []
+        var mk = this.marked
+        copyStyles(0, from, this.styles, st)
+        if (text) {
+            st.push(text, null)
+        }
+        copyStyles(to, this.text.length, this.styles, st)
+        this.styles = st
+        this.text = this.text.slice(0, from) + text + this.text.slice(to)
+        this.stateAfter = null
+        if (mk) {
+            var diff = text.length - (to - from)
+            var end = this.text.length
+            function fix(n) {
+                return n <= Math.min(to, to + diff) ? n : n + diff
+            }
+            for (var i = 0; i < mk.length; ++i) {
+                var mark = mk[i]
+                var del = false
+                if (mark.from >= end) {
+                    del = true
+                } else {
+                    mark.from = fix(mark.from)
+                    if (mark.to != null) {
+                        mark.to = fix(mark.to)
+                    }
+                }
+                if (del || mark.from >= mark.to) {
+                    mk.splice(i, 1); i--
+                }
+            }
+        }
+    }
+    // Split a line in two, again keeping styles intact.
+    split(pos, textBefore) {
+        var st = [textBefore, null]
+        copyStyles(pos, this.text.length, this.styles, st)
+        return new Line(textBefore + this.text.slice(pos), st)
+    }
+    addMark(from, to, style) {
+        var mk = this.marked
+        var mark = {
+            from: from,
+            to: to,
+            style: style
+        }
+        if (this.marked == null) {
+            this.marked = []
+        }
+        this.marked.push(mark)
+        this.marked.sort(function (a, b) { return a.from - b.from })
+        return mark
+    }
+    removeMark(mark) {
+        var mk = this.marked
+        if (!mk) return
+        for (var i = 0; i < mk.length; ++i) {
+            if (mk[i] == mark) {
+                mk.splice(i, 1)
+                break
+            }
+        }
+    }
+    // Run the given mode's parser over a line, update the styles
+    // array, which contains alternating fragments of text and CSS
+    // classes.
+    highlight(mode, state) {
+        var stream = new StringStream(this.text)
+        var st = this.styles
+        var pos = 0
+        var changed = false
+        while (!stream.eol()) {
+            var style = mode.token(stream, state)
+            var substr = this.text.slice(stream.start, stream.pos)
+            stream.start = stream.pos
+            if (pos && st[pos - 1] == style) {
+                st[pos - 2] += substr
+            } else if (substr) {
+                if (!changed && st[pos] != substr || st[pos + 1] != style) {
+                    changed = true
+                }
+                st[pos++] = substr
+                st[pos++] = style
+            }
+            // Give up when line is ridiculously long
+            if (stream.pos > 5000) {
+                st[pos++] = this.text.slice(stream.pos)
+                st[pos++] = null
+                break
+            }
+        }
+        if (st.length != pos) {
+            st.length = pos
+            changed = true
+        }
+        return changed
+    }
+    indentation() {
+        return countColumn(this.text)
+    }
+    // Produces an HTML fragment for the line, taking selection,
+    // marking, and highlighting into account.
+    getHTML(sfrom, sto, includePre) {
+        var html = []
+        if (includePre) {
+            html.push(this.className ? '<pre class="' + this.className + '">' : '<pre>')
+        }
+        function span(text, style) {
+            if (!text) {
+                return
+            }
+            if (style) {
+                html.push('<span class="', style, '">', segmentEscape(text), '</span>')
+            } else {
+                html.push(segmentEscape(text))
+            }
+        }
+        var st = this.styles
+        var allText = this.text
+        var marked = this.marked
+        if (sfrom == sto) {
+            sfrom = null
+        }
+
+        if (!allText) {
+            span(' ', sfrom != null && sto == null ? 'XliffEditor-selected' : null)
+        } else if (!marked && sfrom == null) {
+            for (var i = 0, e = st.length; i < e; i += 2) {
+                span(st[i], st[i + 1])
+            }
+        } else {
+            var pos = 0
+            var i = 0
+            var text = ''
+            var style
+            var sg = 0
+            while (pos < allText.length) {
+                var upto = allText.length
+                var extraStyle = ''
+                if (sfrom != null) {
+                    if (sfrom > pos) {
+                        upto = sfrom
+                    } else if (sto == null || sto > pos) {
+                        extraStyle = ' XliffEditor-selected'
+                        if (sto != null) {
+                            upto = Math.min(upto, sto)
+                        }
+                    }
+                }
+                // Marks may overlap (spelling over changes), so every
+                // mark covering pos adds its style.
+                ;(marked || []).forEach(mark => {
+                    if (mark.from > pos) {
+                        upto = Math.min(upto, mark.from)
+                    } else if (mark.to == null || mark.to > pos) {
+                        extraStyle += ' ' + mark.style
+                        if (mark.to != null) {
+                            upto = Math.min(upto, mark.to)
+                        }
+                    }
+                })
+                for (; ;) {
+                    var end = pos + text.length
+                    var apliedStyle = style
+                    if (extraStyle) {
+                        apliedStyle = style ? style + extraStyle : extraStyle
+                    }
+                    span(end > upto ? text.slice(0, upto - pos) : text, apliedStyle)
+                    if (end >= upto) {
+                        text = text.slice(upto - pos)
+                        pos = upto
+                        break
+                    }
+                    pos = end
+                    text = st[i++]
+                    style = st[i++]
+                }
+            }
+            if (sfrom != null && sto == null) {
+                span(' ', 'XliffEditor-selected')
+            }
+        }
+        if (includePre) {
+            html.push('</pre>')
+        }
+        return html.join('')
+    }
+}
+
+class Delayed {
+    constructor() {
+        this.id = null
+    }
+    set(ms, f) {
+        clearTimeout(this.id)
+        this.id = setTimeout(f, ms)
+    }
+}
+
+function stopEvent() {
+    if (this.preventDefault) {
+        this.preventDefault()
+        this.stopPropagation()
+    } else {
+        this.returnValue = false
+        this.cancelBubble = true
+    }
+}
+
+function copyStyles(from, to, source, dest) {
+    for (var i = 0, pos = 0, state = 0; pos < to; i += 2) {
+        var part = source[i]
+        var end = pos + part.length
+        if (state == 0) {
+            if (end > from) {
+                dest.push(part.slice(from - pos, Math.min(part.length, to - pos)), source[i + 1])
+            }
+            if (end >= from) {
+                state = 1
+            }
+        } else if (state == 1) {
+            if (end > to) {
+                dest.push(part.slice(0, to - pos), source[i + 1])
+            } else {
+                dest.push(part, source[i + 1])
+            }
+        }
+        pos = end
+    }
+}
+
+function addStop(event) {
+    if (!event.stop) {
+        event.stop = stopEvent
+    }
+    return event
+}
+
+// Where an edit that turned from into to ends, judging by the common
+// tail of the two strings. Used to put the cursor back after undo.
+function editEnd(from, to) {
+    if (!to) {
+        return from ? from.length : 0
+    }
+    if (!from) {
+        return to.length
+    }
+    for (var i = from.length, j = to.length; i >= 0 && j >= 0; --i, --j) {
+        if (from.charAt(i) != to.charAt(j)) {
+            break
+        }
+    }
+    return j + 1
+}
+
+function indexOf(collection, elt) {
+    if (collection.indexOf) {
+        return collection.indexOf(elt)
+    }
+    for (var i = 0, e = collection.length; i < e; ++i) {
+        if (collection[i] == elt) {
+            return i
+        }
+    }
+    return -1
+}
+
+function htmlEscape(str) {
+    return str.replace(/[<&]/g, function (str) { return str == '&' ? '&amp;' : '&lt;'; })
+}
+// Like htmlEscape, but also shows the LINE_BREAK stand-ins, and gives
+// inline codes (see tagChar) a visible glyph. Their chip styling comes
+// from marks.
+function segmentEscape(str) {
+    return htmlEscape(str).replace(LINE_BREAK_RE, '<span class="XliffEditor-linebreak">\u00b6</span>')
+        .replace(TAG_RE, ch => TAG_GLYPHS[tagInfo(ch).kind])
+}
+const TAG_GLYPHS = { open: '\u2039', close: '\u203a', standalone: '\u2022' }
+function xmlEscape(str, quote) {
+    str = str.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;')
+    if (quote == '"') {
+        str = str.replace(/"/g, '&quot;')
+    } else if (quote == "'") {
+        str = str.replace(/'/g, '&apos;')
+    }
+    return str
+}
+// Apply a list of { start, end, text } replacements to a string.
+// Edits must not overlap; edits at the same position keep their order.
+function applyEdits(text, edits) {
+    var sorted = edits.map((e, i) => ({ e: e, i: i })).sort((a, b) => a.e.start - b.e.start || a.i - b.i)
+    var out = []
+    var pos = 0
+    sorted.forEach(({ e }) => {
+        out.push(text.slice(pos, e.start), e.text)
+        pos = Math.max(pos, e.end)
+    })
+    out.push(text.slice(pos))
+    return out.join('')
+}
+// Character references beyond Unicode are left as they are, or handed
+// to fail (with their offset in str) when it is given.
+function decodeEntities(str, fail) {
+    if (str.indexOf('&') == -1) {
+        return str
+    }
+    return str.replace(/&(#x[0-9a-fA-F]+|#[0-9]+|lt|gt|amp|quot|apos);/g, function (all, ent, offset) {
+        switch (ent) {
+            case 'lt': return '<'
+            case 'gt': return '>'
+            case 'amp': return '&'
+            case 'quot': return '"'
+            case 'apos': return "'"
+        }
+        var code = ent.charAt(1) == 'x' ? parseInt(ent.slice(2), 16) : parseInt(ent.slice(1), 10)
+        if (code > 0x10FFFF) {
+            return fail ? fail(offset) : all
+        }
+        return String.fromCodePoint(code)
+    })
+}
+// Tabs stop at every tabSize columns.
+var tabSize = 8
+function countColumn(string, end) {
+    if (end == null) {
+        end = string.search(/[^\s\u00a0]/)
+        if (end == -1) {
+            end = string.length
+        }
+    }
+    for (var i = 0, n = 0; i < end; ++i) {
+        if (string.charAt(i) == "\t") {
+            n += tabSize - (n % tabSize)
+        } else {
+            ++n
+        }
+    }
+    return n
+}
+class Event {
+    constructor(orig) {
+        this.e = orig
+    }
+    stop() {
+        stopEvent.call(this.e)
+    }
+    target() {
+        return this.e.target || this.e.srcElement
+    }
+    button() {
+        if (this.e.which) {
+            return this.e.which
+        } else if (this.e.button & 1) {
+            return 1
+        } else if (this.e.button & 2) {
+            return 3
+        } else if (this.e.button & 4) {
+            return 2
+        }
+    }
+    pageX() {
+        if (this.e.pageX != null) {
+            return this.e.pageX
+        } else {
+            return this.e.clientX + document.body.scrollLeft + document.documentElement.scrollLeft
+        }
+    }
+    pageY() {
+        if (this.e.pageY != null) {
+            return this.e.pageY
+        } else {
+            return this.e.clientY + document.body.scrollTop + document.documentElement.scrollTop
+        }
+    }
+}
+
+class StringStream {
+    constructor(string) {
+        this.pos = this.start = 0
+        this.string = string
+    }
+    eol() {
+        return this.pos >= this.string.length
+    }
+    sol() {
+        return this.pos == 0
+    }
+    peek() {
+        return this.string.charAt(this.pos)
+    }
+    next() {
+        if (this.pos < this.string.length) {
+            return this.string.charAt(this.pos++)
+        }
+    }
+    eat(match) {
+        var ch = this.string.charAt(this.pos)
+        if (typeof match == 'string') {
+            var ok = ch == match
+        } else {
+            var ok = ch && (match.test ? match.test(ch) : match(ch))
+        }
+        if (ok) {
+            ++this.pos
+            return ch
+        }
+    }
+    eatWhile(match) {
+        var start = this.start
+        while (this.eat(match)) { }
+        return this.pos > start
+    }
+    eatSpace() {
+        var start = this.pos
+        while (/[\s\u00a0]/.test(this.string.charAt(this.pos))) {
+            ++this.pos
+        }
+        return this.pos > start
+    }
+    skipToEnd() {
+        this.pos = this.string.length
+    }
+    skipTo(ch) {
+        var found = this.string.indexOf(ch, this.pos)
+        if (found > -1) {
+            this.pos = found
+            return true
+        }
+    }
+    backUp(n) {
+        this.pos -= n
+    }
+    column() {
+        return countColumn(this.string, this.start)
+    }
+    indentation() {
+        return countColumn(this.string)
+    }
+    match(pattern, consume, caseInsensitive) {
+        if (typeof pattern == 'string') {
+            function cased(str) {
+                return caseInsensitive ? str.toLowerCase() : str
+            }
+            if (cased(this.string).indexOf(cased(pattern), this.pos) == this.pos) {
+                if (consume !== false) {
+                    this.pos += pattern.length
+                }
+                return true
+            }
+        } else {
+            var match = this.string.slice(this.pos).match(pattern)
+            if (match && consume !== false) {
+                this.pos += match[0].length
+            }
+            return match
+        }
+    }
+    current() {
+        return this.string.slice(this.start, this.pos)
+    }
+}
+
+// Finds the occurrences of a string or regexp in the editor's lines.
+// Created through XliffEditor.getSearchCursor, which passes in the
+// lines and a replaceRange to use for replace().
+class SearchCursor {
+    constructor(lines, query, pos, caseFold, replaceRange) {
+        this.lines = lines
+        this.replaceRange = replaceRange
+        this.atOccurrence = false
+        if (caseFold == null) {
+            caseFold = typeof query == 'string' && query == query.toLowerCase()
+        }
+        pos = pos && typeof pos == 'object' ? this.clip(pos) : { line: 0, ch: 0 }
+        this.pos = { from: pos, to: pos }
+
+        // The matches method is filled in based on the type of query.
+        // It takes a position and a direction, and returns an object
+        // describing the next occurrence of the query, or null if no
+        // more matches were found.
+        if (typeof query != 'string') { // Regexp match
+            this.matches = (reverse, pos) => {
+                if (reverse) {
+                    var line = lines[pos.line].text.slice(0, pos.ch)
+                    var match = line.match(query)
+                    var start = 0
+                    while (match) {
+                        var ind = line.indexOf(match[0])
+                        start += ind
+                        line = line.slice(ind + 1)
+                        var newmatch = line.match(query)
+                        if (newmatch) {
+                            match = newmatch
+                        } else {
+                            break
+                        }
+                    }
+                } else {
+                    var line = lines[pos.line].text.slice(pos.ch)
+                    var match = line.match(query)
+                    var start = match && pos.ch + line.indexOf(match[0])
+                }
+                if (match) {
+                    return {
+                        from: { line: pos.line, ch: start },
+                        to: { line: pos.line, ch: start + match[0].length },
+                        match: match
+                    }
+                }
+            }
+        } else { // String query
+            if (caseFold) {
+                query = query.toLowerCase()
+            }
+            var fold = caseFold ? str => str.toLowerCase() : str => str
+            var target = query.split("\n")
+            // Different methods for single-line and multi-line queries
+            if (target.length == 1) {
+                this.matches = (reverse, pos) => {
+                    var line = fold(lines[pos.line].text)
+                    var len = query.length
+                    var match
+                    if (reverse ? (pos.ch >= len && (match = line.lastIndexOf(query, pos.ch - len)) != -1) : (match = line.indexOf(query, pos.ch)) != -1) {
+                        return {
+                            from: { line: pos.line, ch: match },
+                            to: { line: pos.line, ch: match + len }
+                        }
+                    }
+                }
+            } else {
+                this.matches = (reverse, pos) => {
+                    var ln = pos.line
+                    var idx = (reverse ? target.length - 1 : 0)
+                    var match = target[idx]
+                    var line = fold(lines[ln].text)
+                    var offsetA = (reverse ? line.indexOf(match) + match.length : line.lastIndexOf(match))
+                    if (reverse ? offsetA >= pos.ch || offsetA != match.length : offsetA <= pos.ch || offsetA != line.length - match.length) {
+                        return
+                    }
+                    for (; ;) {
+                        if (reverse ? !ln : ln == lines.length - 1) {
+                            return
+                        }
+                        line = fold(lines[ln += reverse ? -1 : 1].text)
+                        match = target[reverse ? --idx : ++idx]
+                        if (idx > 0 && idx < target.length - 1) {
+                            if (line != match) {
+                                return
+                            } else {
+                                continue
+                            }
+                        }
+                        var offsetB = (reverse ? line.lastIndexOf(match) : line.indexOf(match) + match.length)
+                        if (reverse ? offsetB != line.length - match.length : offsetB != match.length) {
+                            return
+                        }
+                        var start = { line: pos.line, ch: offsetA }
+                        var end = { line: ln, ch: offsetB }
+                        return { from: reverse ? end : start, to: reverse ? start : end }
+                    }
+                }
+            }
+        }
+    }
+    clip(pos) {
+        var last = this.lines.length - 1
+        if (pos.line > last) {
+            return { line: last, ch: this.lines[last].text.length }
+        }
+        var line = Math.max(0, pos.line)
+        return { line: line, ch: Math.max(0, Math.min(pos.ch, this.lines[line].text.length)) }
+    }
+    findNext() {
+        return this.find(false)
+    }
+    findPrevious() {
+        return this.find(true)
+    }
+    find(reverse) {
+        var lines = this.lines
+        var pos = this.clip(reverse ? this.pos.from : this.pos.to)
+        var savePosAndFail = line => {
+            var pos = { line: line, ch: 0 }
+            this.pos = { from: pos, to: pos }
+            this.atOccurrence = false
+            return false
+        }
+        for (; ;) {
+            if (this.pos = this.matches(reverse, pos)) {
+                this.atOccurrence = true
+                return this.pos.match || true
+            }
+            if (reverse) {
+                if (!pos.line) {
+                    return savePosAndFail(0)
+                }
+                pos = { line: pos.line - 1, ch: lines[pos.line - 1].text.length }
+            } else {
+                if (pos.line == lines.length - 1) {
+                    return savePosAndFail(lines.length)
+                }
+                pos = { line: pos.line + 1, ch: 0 }
+            }
+        }
+    }
+    from() {
+        if (this.atOccurrence) {
+            return { line: this.pos.from.line, ch: this.pos.from.ch }
+        }
+    }
+    to() {
+        if (this.atOccurrence) {
+            return { line: this.pos.to.line, ch: this.pos.to.ch }
+        }
+    }
+    replace(newText) {
+        if (this.atOccurrence) {
+            this.pos.to = this.replaceRange(newText, this.pos.from, this.pos.to)
+        }
+    }
+}
+
+// Thrown by XmlReader. Line and column are 1-based, like an editor
+// status bar would show them.
+class XmlParseError extends Error {
+    constructor(message, text, offset) {
+        var before = text.slice(0, offset).split('\n')
+        var line = before.length
+        var column = before[before.length - 1].length + 1
+        super(message + ' at line ' + line + ', column ' + column)
+        this.name = 'XmlParseError'
+        this.offset = offset
+        this.line = line
+        this.column = column
+    }
+}
+
+// Nodes produced by XmlReader. Every node remembers where it came
+// from in the original text (start/end), elements also remember where
+// their content starts and ends, so the document can be written back
+// with only the changed pieces replaced.
+class XmlNode {
+    constructor(type, start) {
+        this.type = type
+        this.start = start
+        this.end = start
+        this.parent = null
+        this.children = []
+    }
+    attr(name) {
+        for (var i = 0; i < this.attrs.length; ++i) {
+            if (this.attrs[i].name == name) {
+                return this.attrs[i].value
+            }
+        }
+        return null
+    }
+    // Looks an attribute up by namespace URI and local name, for the
+    // XLIFF modules (slr:, ctr:, ...) whose prefix is up to the author.
+    attrNS(namespace, localName) {
+        for (var i = 0; i < this.attrs.length; ++i) {
+            var at = this.attrs[i]
+            if (at.namespace == namespace && at.localName == localName) {
+                return at.value
+            }
+        }
+        return null
+    }
+    elements(localName) {
+        return this.children.filter(n => n.type == 'element' && (localName == null || n.localName == localName))
+    }
+    element(localName) {
+        return this.elements(localName)[0] || null
+    }
+    // Raw markup between the start and end tag.
+    innerXml(text) {
+        return this.selfClosing ? '' : text.slice(this.contentStart, this.contentEnd)
+    }
+    outerXml(text) {
+        return text.slice(this.start, this.end)
+    }
+    // An edit (see applyEdits) that sets an attribute, leaving the rest
+    // of the start tag, including attribute order and quoting, alone.
+    setAttrEdit(name, value) {
+        for (var i = 0; i < this.attrs.length; ++i) {
+            var at = this.attrs[i]
+            if (at.name == name) {
+                return { start: at.valueStart, end: at.valueEnd, text: xmlEscape(value, at.quote) }
+            }
+        }
+        var last = this.attrs[this.attrs.length - 1]
+        var pos = last ? last.end : this.start + 1 + this.name.length
+        return { start: pos, end: pos, text: ' ' + name + '="' + xmlEscape(value, '"') + '"' }
+    }
+    removeAttrEdit(name) {
+        for (var i = 0; i < this.attrs.length; ++i) {
+            var at = this.attrs[i]
+            if (at.name == name) {
+                var prev = i ? this.attrs[i - 1].end : this.start + 1 + this.name.length
+                return { start: prev, end: at.end, text: '' }
+            }
+        }
+        return null
+    }
+    // An edit that replaces the element's content. Self-closing
+    // elements get their start tag reopened.
+    setContentEdit(content, text) {
+        if (!this.selfClosing) {
+            return { start: this.contentStart, end: this.contentEnd, text: content }
+        }
+        var open = text.slice(this.start, this.end).replace(/\s*\/>$/, '>')
+        return { start: this.start, end: this.end, text: open + content + '</' + this.name + '>' }
+    }
+    textContent() {
+        if (this.type == 'text' || this.type == 'cdata') {
+            return this.value
+        }
+        return this.children.map(n => n.type == 'comment' || n.type == 'pi' ? '' : n.textContent()).join('')
+    }
+}
+
+// A small non-validating XML reader. It does not build a DOM, but a
+// tree of XmlNodes with source offsets, and it resolves namespace
+// prefixes so callers can match on namespace URI and local name.
+class XmlReader {
+    constructor(text) {
+        this.text = text
+        this.pos = 0
+    }
+    fail(message, offset) {
+        throw new XmlParseError(message, this.text, offset == null ? this.pos : offset)
+    }
+    parse() {
+        var text = this.text
+        var doc = new XmlNode('document', 0)
+        var stack = [doc]
+        var scopes = [{ xml: 'http://www.w3.org/XML/1998/namespace' }]
+        var root = null
+        while (this.pos < text.length) {
+            var parent = stack[stack.length - 1]
+            var start = this.pos
+            var node
+            if (text.charAt(start) != '<') {
+                var next = text.indexOf('<', start)
+                this.pos = next == -1 ? text.length : next
+                node = new XmlNode('text', start)
+                node.value = decodeEntities(text.slice(start, this.pos), at => this.fail('Invalid character reference', start + at))
+                if (parent == doc && /\S/.test(node.value)) {
+                    this.fail('Text outside of the root element', start)
+                }
+            } else if (text.startsWith('<!--', start)) {
+                node = new XmlNode('comment', start)
+                this.pos = this.skipPast('-->', 'Unterminated comment')
+                node.value = text.slice(start + 4, this.pos - 3)
+            } else if (text.startsWith('<![CDATA[', start)) {
+                node = new XmlNode('cdata', start)
+                this.pos = this.skipPast(']]>', 'Unterminated CDATA section')
+                node.value = text.slice(start + 9, this.pos - 3)
+            } else if (text.startsWith('<?', start)) {
+                node = new XmlNode('pi', start)
+                this.pos = this.skipPast('?>', 'Unterminated processing instruction')
+                node.value = text.slice(start + 2, this.pos - 2)
+            } else if (text.startsWith('<!DOCTYPE', start)) {
+                node = new XmlNode('doctype', start)
+                this.skipDoctype()
+            } else if (text.startsWith('</', start)) {
+                this.pos += 2
+                var name = this.readName()
+                this.skipSpace()
+                if (text.charAt(this.pos) != '>') {
+                    this.fail('Expected ">"')
+                }
+                if (parent == doc || parent.name != name) {
+                    this.fail(parent == doc ? 'Unexpected closing tag </' + name + '>' :
+                        'Closing tag </' + name + '> does not match <' + parent.name + '>', start)
+                }
+                parent.closeStart = start
+                parent.contentEnd = start
+                parent.end = ++this.pos
+                stack.pop()
+                scopes.pop()
+                continue
+            } else {
+                if (parent == doc && root) {
+                    this.fail('Only one root element is allowed', start)
+                }
+                node = this.readStartTag(scopes[scopes.length - 1])
+                if (parent == doc) {
+                    root = node
+                }
+                if (!node.selfClosing) {
+                    parent.children.push(node)
+                    node.parent = parent
+                    stack.push(node)
+                    scopes.push(node.scope)
+                    continue
+                }
+            }
+            node.end = this.pos
+            node.parent = parent
+            parent.children.push(node)
+        }
+        if (stack.length > 1) {
+            var open = stack[stack.length - 1]
+            this.fail('Element <' + open.name + '> is never closed', open.start)
+        }
+        if (!root) {
+            this.fail('No root element', 0)
+        }
+        doc.end = text.length
+        doc.root = root
+        return doc
+    }
+    skipPast(str, message) {
+        var found = this.text.indexOf(str, this.pos)
+        if (found == -1) {
+            this.fail(message)
+        }
+        return found + str.length
+    }
+    skipDoctype() {
+        var depth = 0
+        for (var i = this.pos; i < this.text.length; ++i) {
+            var ch = this.text.charAt(i)
+            if (ch == '[') {
+                depth++
+            } else if (ch == ']') {
+                depth--
+            } else if (ch == '>' && depth <= 0) {
+                this.pos = i + 1
+                return
+            }
+        }
+        this.fail('Unterminated DOCTYPE')
+    }
+    skipSpace() {
+        while (/\s/.test(this.text.charAt(this.pos))) {
+            ++this.pos
+        }
+    }
+    readName() {
+        var m = /^[^\s\/>=<"']+/.exec(this.text.slice(this.pos, this.pos + 256))
+        if (!m) {
+            this.fail('Expected a name')
+        }
+        this.pos += m[0].length
+        return m[0]
+    }
+    readStartTag(scope) {
+        var text = this.text
+        var node = new XmlNode('element', this.pos)
+        this.pos++
+        node.name = this.readName()
+        node.attrs = []
+        for (; ;) {
+            var hadSpace = /\s/.test(text.charAt(this.pos))
+            this.skipSpace()
+            var ch = text.charAt(this.pos)
+            if (ch == '>' || text.startsWith('/>', this.pos)) {
+                break
+            }
+            if (!ch) {
+                this.fail('Unterminated start tag <' + node.name + '>', node.start)
+            }
+            if (!hadSpace) {
+                this.fail('Expected whitespace between attributes')
+            }
+            var atStart = this.pos
+            var name = this.readName()
+            this.skipSpace()
+            if (text.charAt(this.pos) != '=') {
+                this.fail('Attribute ' + name + ' has no value')
+            }
+            this.pos++
+            this.skipSpace()
+            var quote = text.charAt(this.pos)
+            if (quote != '"' && quote != "'") {
+                this.fail('Attribute value of ' + name + ' must be quoted')
+            }
+            var valueStart = this.pos + 1
+            var valueEnd = text.indexOf(quote, valueStart)
+            if (valueEnd == -1) {
+                this.fail('Unterminated attribute value', valueStart)
+            }
+            if (node.attr(name) != null) {
+                this.fail('Duplicate attribute ' + name, atStart)
+            }
+            this.pos = valueEnd + 1
+            node.attrs.push({
+                name: name, value: decodeEntities(text.slice(valueStart, valueEnd), at => this.fail('Invalid character reference', valueStart + at)),
+                start: atStart, end: this.pos, valueStart: valueStart, valueEnd: valueEnd, quote: quote
+            })
+        }
+        node.selfClosing = text.charAt(this.pos) == '/'
+        this.pos += node.selfClosing ? 2 : 1
+        node.openEnd = node.contentStart = node.contentEnd = node.closeStart = this.pos
+        if (node.selfClosing) {
+            node.end = this.pos
+        }
+
+        // Resolve namespaces: declarations on this element first.
+        var own = null
+        node.attrs.forEach(at => {
+            if (at.name == 'xmlns' || at.name.startsWith('xmlns:')) {
+                own = own || Object.assign({}, scope)
+                own[at.name == 'xmlns' ? '' : at.name.slice(6)] = at.value
+            }
+        })
+        node.scope = own || scope
+        var resolve = (name, isAttr) => {
+            var colon = name.indexOf(':')
+            var prefix = colon == -1 ? '' : name.slice(0, colon)
+            return {
+                prefix: prefix,
+                localName: colon == -1 ? name : name.slice(colon + 1),
+                namespace: isAttr && !prefix ? null : node.scope[prefix] || null
+            }
+        }
+        Object.assign(node, resolve(node.name, false))
+        node.attrs.forEach(at => Object.assign(at, resolve(at.name, true)))
+        return node
+    }
+}
+
+const XLIFF_2_NS = 'urn:oasis:names:tc:xliff:document:2.0'
+const XLIFF_12_NS = 'urn:oasis:names:tc:xliff:document:1.2'
+const XLIFF_SLR_NS = 'urn:oasis:names:tc:xliff:sizerestriction:2.0'
+const XLIFF_CTR_NS = 'urn:oasis:names:tc:xliff:changetracking:2.0'
+// Our own namespace, for what XLIFF has no attribute for (who wrote a
+// review comment, whether it is resolved).
+const XLIFF_EDITOR_NS = 'urn:x-xliff-editor:review'
+
+// Stands in for a line break inside a segment, since every segment
+// lives on a single editor line.
+const LINE_BREAK = '\uE000'
+const LINE_BREAK_RE = new RegExp(LINE_BREAK, 'g')
+
+// Inline codes in segment text are single characters from the private
+// use area. The block says what kind of code it is, the low byte
+// indexes the segment's tag table, so an opening and its closing code
+// share that index. Being one character, a code is always moved over,
+// selected and deleted as a whole. A segment can thus have at most
+// TAG_MAX codes.
+const TAG_OPEN = 0xE100
+const TAG_CLOSE = 0xE200
+const TAG_STANDALONE = 0xE300
+const TAG_KINDS = ['open', 'close', 'standalone']
+const TAG_MAX = 0x100
+
+function tagChar(kind, n) {
+    if (!(n >= 0 && n < TAG_MAX)) {
+        throw new RangeError('Inline code ' + n + ' is out of range; a segment can have ' + TAG_MAX)
+    }
+    return String.fromCharCode((kind == 'open' ? TAG_OPEN : kind == 'close' ? TAG_CLOSE : TAG_STANDALONE) + n)
+}
+// { kind, n } for an inline code character, null for anything else.
+function tagInfo(ch) {
+    var code = ch.charCodeAt(0)
+    if (code < TAG_OPEN || code >= TAG_STANDALONE + 0x100) {
+        return null
+    }
+    return { kind: TAG_KINDS[(code >> 8) - (TAG_OPEN >> 8)], n: code & 0xff }
+}
+const TAG_RE = /[\uE100-\uE3FF]/g
+
+// Elements that wrap content and so give an opening and a closing code.
+const PAIRED_INLINE = { pc: true, g: true, mrk: true }
+// Isolated halves of a pair, mapped to the element name of their start.
+const INLINE_STARTS = { sc: 'sc', sm: 'sm', bx: 'bx', bpt: 'bpt' }
+const INLINE_ENDS = { ec: 'sc', em: 'sm', ex: 'bx', ept: 'bpt' }
+
+// An entry of a segment's tag table: one inline code, or one pair of
+// them. The markup is kept per side, since a target may spell a code
+// differently from its source; writing falls back to the other side.
+class InlineTag {
+    constructor(name, id) {
+        this.name = name
+        this.id = id
+        this.xml = { source: {}, target: {} }
+    }
+    markup(kind, side) {
+        return this.xml[side][kind] || this.xml.source[kind] || this.xml.target[kind] || ''
+    }
+}
+
+// Attributes in our namespace, from values ({ name: value }), declaring
+// the namespace where node hasn't got it in scope.
+function editorAttrs(node, values) {
+    var scope = node ? node.scope : {}
+    var prefix = Object.keys(scope).find(p => p && scope[p] == XLIFF_EDITOR_NS)
+    var attrs = prefix ? [] : [{ name: 'xmlns:xe', value: XLIFF_EDITOR_NS }]
+    Object.keys(values).forEach(name => attrs.push({ name: (prefix || 'xe') + ':' + name, value: values[name] }))
+    return attrs
+}
+// Edits that set our namespace attributes on node, removing the ones
+// whose value is null.
+function editorAttrEdits(node, values) {
+    var edits = []
+    var added = {}
+    Object.keys(values).forEach(name => {
+        var existing = node.attrs.find(at => at.namespace == XLIFF_EDITOR_NS && at.localName == name)
+        if (existing) {
+            edits.push(values[name] == null ? node.removeAttrEdit(existing.name) : node.setAttrEdit(existing.name, values[name]))
+        } else if (values[name] != null) {
+            added[name] = values[name]
+        }
+    })
+    if (Object.keys(added).length) {
+        editorAttrs(node, added).forEach(at => edits.push(node.setAttrEdit(at.name, at.value)))
+    }
+    return edits
+}
+// Our namespace attributes as markup for a new element inside node.
+function editorAttrsXml(node, values) {
+    Object.keys(values).forEach(name => values[name] == null && delete values[name])
+    return Object.keys(values).length
+        ? editorAttrs(node, values).map(at => ' ' + at.name + '="' + xmlEscape(at.value, '"') + '"').join('') : ''
+}
+
+// A <note> of a unit, or a review comment added in the editor (node is
+// null then). Comments are the notes that have an author.
+class Note {
+    constructor(node, version12) {
+        this.node = node
+        this.version12 = version12
+        this.id = node ? node.attr('id') : null
+        this.text = node ? node.textContent() : ''
+        this.category = node ? node.attr('category') : null
+        this.priority = node ? slrLimit(node.attr('priority')) : null
+        this.appliesTo = node ? node.attr(version12 ? 'annotates' : 'appliesTo') : null
+        this.author = node ? node.attrNS(XLIFF_EDITOR_NS, 'author') || node.attr('from') : null
+        this.resolved = node ? node.attrNS(XLIFF_EDITOR_NS, 'resolved') == 'yes' : false
+        this.original = { text: this.text, resolved: this.resolved }
+    }
+    isComment() {
+        return this.author != null
+    }
+    // Our namespace attributes, declaring the namespace where needed.
+    editorAttrs(names) {
+        var values = {}
+        names.forEach(name => values[name] = name == 'resolved' ? (this.resolved ? 'yes' : 'no') : this[name])
+        return editorAttrs(this.node, values)
+    }
+    xml(name) {
+        var attrs = []
+        if (this.version12) {
+            attrs.push({ name: 'from', value: this.author })
+        } else if (this.category) {
+            attrs.push({ name: 'category', value: this.category })
+        }
+        if (this.priority != null) {
+            attrs.push({ name: 'priority', value: String(this.priority) })
+        }
+        if (this.appliesTo) {
+            attrs.push({ name: this.version12 ? 'annotates' : 'appliesTo', value: this.appliesTo })
+        }
+        attrs = attrs.concat(this.editorAttrs(this.version12 ? ['resolved'] : ['author', 'resolved']))
+        return '<' + name + attrs.filter(at => at.value != null).map(at => ' ' + at.name + '="' + xmlEscape(at.value, '"') + '"').join('') +
+            '>' + xmlEscape(this.text) + '</' + name + '>'
+    }
+    // Edits for a note read from the document.
+    collectEdits(text, edits) {
+        if (this.text != this.original.text) {
+            edits.push(this.node.setContentEdit(xmlEscape(this.text), text))
+        }
+        if (this.resolved != this.original.resolved) {
+            edits.push.apply(edits, editorAttrEdits(this.node, { resolved: this.resolved ? 'yes' : 'no' }))
+        }
+    }
+}
+
+// What a note says about itself: category, priority and what it
+// applies to.
+function noteLabels(note) {
+    var labels = []
+    if (note.category) {
+        labels.push(note.category)
+    }
+    if (note.priority != null) {
+        labels.push('priority ' + note.priority)
+    }
+    if (note.appliesTo) {
+        labels.push(note.appliesTo)
+    }
+    if (note.resolved) {
+        labels.push('resolved')
+    }
+    return labels
+}
+
+// Turn the content of a <source>, <target> or <mrk> into segment text,
+// registering its inline codes in tags. With again, the side was read
+// before (a revision of the target) and its codes are the same entries.
+function readInlineContent(node, text, tags, side, again) {
+    var out = []
+    var taken = {}
+    var register = (name, id, kind, xml) => {
+        // Source and target codes with the same name and id share an
+        // entry; a repeated id on one side gets an entry of its own.
+        var n = tags.findIndex((t, i) => t.name == name && t.id == id && !taken[kind + i] &&
+            (t.xml[side][kind] == null || (again && t.xml[side][kind] == xml)))
+        if (n == -1) {
+            n = tags.length
+            if (n == TAG_MAX) {
+                throw new XmlParseError('More than ' + TAG_MAX + ' inline codes in a segment', text, node.start)
+            }
+            tags.push(new InlineTag(name, id))
+        }
+        taken[kind + n] = true
+        tags[n].xml[side][kind] = xml
+        out.push(tagChar(kind, n))
+    }
+    var walk = parent => parent.children.forEach(child => {
+        if (child.type == 'text' || child.type == 'cdata') {
+            out.push(child.value)
+        } else if (child.type != 'element') {
+            register('#' + child.type, child.outerXml(text), 'standalone', child.outerXml(text))
+        } else if (PAIRED_INLINE[child.localName]) {
+            var open = text.slice(child.start, child.openEnd).replace(/\s*\/>$/, '>')
+            var id = child.attr('id')
+            register(child.localName, id, 'open', open)
+            walk(child)
+            register(child.localName, id, 'close', '</' + child.name + '>')
+        } else if (INLINE_STARTS[child.localName]) {
+            register(child.localName, child.attr('rid') || child.attr('id'), 'open', child.outerXml(text))
+        } else if (INLINE_ENDS[child.localName]) {
+            var ref = child.attr('startRef') || child.attr('rid') || child.attr('id')
+            register(INLINE_ENDS[child.localName], ref, 'close', child.outerXml(text))
+        } else {
+            var key = child.attr('id') != null ? child.attr('id') : child.outerXml(text)
+            register(child.localName, key, 'standalone', child.outerXml(text))
+        }
+    })
+    walk(node)
+    return out.join('')
+}
+
+// The inverse of readInlineContent: markup for a piece of segment text.
+// Codes missing from the table would be lost, so they are an error; the
+// editor keeps them out of targets (see ownCodes).
+function writeInlineContent(str, tags, side) {
+    return str.replace(/[^\uE100-\uE3FF]+|[\uE100-\uE3FF]/g, piece => {
+        var info = tagInfo(piece)
+        if (!info) {
+            return xmlEscape(piece)
+        }
+        if (!tags[info.n]) {
+            throw new Error('Inline code ' + info.n + ' isn\'t in the segment\'s tag table')
+        }
+        return tags[info.n].markup(info.kind, side)
+    })
+}
+// str without the codes seg has no entry for, which come from pasting
+// the text of another segment.
+function ownCodes(str, seg) {
+    return str.replace(TAG_RE, ch => seg.tags[tagInfo(ch).n] ? ch : '')
+}
+
+// Segment text without its inline codes, for searching and counting.
+function plainText(str) {
+    return str.replace(TAG_RE, '')
+}
+
+// The indexes of the codes in a segment text, in the order they first
+// turn up in.
+function tagOrder(str) {
+    var order = []
+    ;(str.match(TAG_RE) || []).forEach(ch => order.indexOf(tagInfo(ch).n) == -1 && order.push(tagInfo(ch).n))
+    return order
+}
+// Sources repeat one another when they agree with runs of whitespace
+// folded, and have the same codes in the same places. Tag tables are
+// per segment, so codes are compared by the order they come in.
+function repetitionKey(str) {
+    var order = tagOrder(str)
+    return str.replace(/\s+/g, ' ').trim().replace(TAG_RE, ch => tagChar(tagInfo(ch).kind, order.indexOf(tagInfo(ch).n)))
+}
+// A target written against source from, with its codes renumbered for
+// the repeating source to. Null when it has codes that from hasn't.
+function renumberTags(target, from, to) {
+    var fromOrder = tagOrder(from)
+    var toOrder = tagOrder(to)
+    var lost = false
+    var out = target.replace(TAG_RE, ch => {
+        var info = tagInfo(ch)
+        var i = fromOrder.indexOf(info.n)
+        lost = lost || i == -1
+        return i == -1 ? ch : tagChar(info.kind, toOrder[i])
+    })
+    return lost ? null : out
+}
+
+// Build a segment predicate from a filter spec. A spec is a function,
+// or an object whose fields must all match:
+//   state         a state or an array of states
+//   untranslated  true for segments with an empty target
+//   file, unit    a file or unit id
+//   source, target, notes
+//                 a RegExp, or a string to look for ignoring case
+function segmentFilter(spec) {
+    if (typeof spec == 'function') {
+        return spec
+    }
+    var textTest = query => {
+        if (typeof query.test == 'function') {
+            return str => { query.lastIndex = 0; return query.test(str) }
+        }
+        var lower = String(query).toLowerCase()
+        return str => str.toLowerCase().indexOf(lower) > -1
+    }
+    var tests = []
+    if (spec.state != null) {
+        var states = [].concat(spec.state)
+        tests.push(seg => states.indexOf(seg.state) > -1)
+    }
+    if (spec.untranslated) {
+        tests.push(seg => !seg.target)
+    }
+    if (spec.file != null) {
+        tests.push(seg => seg.unit.file.id == spec.file)
+    }
+    if (spec.unit != null) {
+        tests.push(seg => seg.unit.id == spec.unit)
+    }
+    var texts = ['source', 'target']
+    texts.forEach(field => {
+        if (spec[field] != null) {
+            var test = textTest(spec[field])
+            tests.push(seg => test(plainText(seg[field] || '')))
+        }
+    })
+    if (spec.notes != null) {
+        var notesTest = textTest(spec.notes)
+        tests.push(seg => (seg.notes || []).some(note => notesTest(note.text)))
+    }
+    return seg => tests.every(test => test(seg))
+}
+
+// Compile a search spec (see XliffEditor.findNext) into a global
+// regexp. Throws a SyntaxError for a bad regex query.
+function compileSearch(spec) {
+    var flags = 'g' + (spec.caseSensitive ? '' : 'i')
+    var escaped = String(spec.query).replace(/[.*+?^${}()|[\]\\\/]/g, '\\$&')
+    switch (spec.mode) {
+        case 'regex':
+            return new RegExp(spec.query, flags)
+        case 'word':
+            return new RegExp('(?<![\\p{L}\\p{N}_])' + escaped + '(?![\\p{L}\\p{N}_])', flags + 'u')
+        default:
+            return new RegExp(escaped, flags)
+    }
+}
+
+// The matches of a compiled search in a piece of segment text. Matches
+// that are empty or would take an inline code with them are left out,
+// so replacing can never damage a tag.
+function searchText(re, text) {
+    var found = []
+    var match
+    re.lastIndex = 0
+    while ((match = re.exec(text))) {
+        if (!match[0]) {
+            re.lastIndex++
+            continue
+        }
+        TAG_RE.lastIndex = 0
+        if (!TAG_RE.test(match[0])) {
+            found.push({ from: match.index, to: match.index + match[0].length, match: match })
+        }
+    }
+    return found
+}
+
+// Expand $&, $1..$99 and $$ in a regex replacement.
+function expandReplacement(replacement, match) {
+    return replacement.replace(/\$(\$|&|\d\d?)/g, (all, what) => {
+        if (what == '$') {
+            return '$'
+        }
+        if (what == '&') {
+            return match[0]
+        }
+        return match[+what] != null ? match[+what] : ''
+    })
+}
+
+// (Re)create the chip marks of a line from the code characters in its
+// text. Marks move along with edits by themselves, but undo only puts
+// back text, so they are always derived rather than kept.
+function markInlineTags(line) {
+    if (line.marked) {
+        line.marked = line.marked.filter(m => m.tag == null)
+    }
+    var text = line.text
+    for (var i = 0; i < text.length; ++i) {
+        var info = tagInfo(text.charAt(i))
+        if (info) {
+            line.addMark(i, i + 1, 'XliffEditor-tag XliffEditor-tag-' + info.kind).tag = info.n
+        }
+    }
+    if (line.marked && !line.marked.length) {
+        line.marked = null
+    }
+}
+
+// A segment of translatable content: one source, at most one target.
+// Source and target are segment text: plain text with line breaks, and
+// inline codes as tag characters (see tagChar) indexing tags. In XLIFF 2.0
+// node is the <segment>; in 1.2 it is the <trans-unit>, or the
+// <mrk mtype="seg"> when the unit is split up by <seg-source>.
+// Ignorable content around the segment (within the same <unit>) is
+// kept next to it, since translators need to see it in context.
+class Segment {
+    constructor(unit, node, sourceNode, targetNode, text) {
+        this.unit = unit
+        this.node = node
+        this.id = node.attr('id')
+        this.mid = null
+        this.state = 'initial'
+        this.subState = null
+        this.translate = true
+        this.sourceNode = sourceNode
+        this.targetNode = targetNode
+        this.tags = []
+        this.source = sourceNode ? readInlineContent(sourceNode, text, this.tags, 'source') : ''
+        this.target = targetNode ? readInlineContent(targetNode, text, this.tags, 'target') : null
+        this.originalTarget = this.target
+        this.ignorableBefore = []
+        this.ignorableAfter = []
+        this.altTrans = []
+        // The version under review (ctr:), when there are tracked
+        // changes; see XliffDocument.readChangeTrack.
+        this.reviewBase = this.originalReviewBase = null
+        this.reviewAuthor = null
+        this.revisionsNode = this.revisionNode = null
+        // Where the target came from: 'mt' for machine translation, with
+        // the engine's name, 'pseudo' for pseudo-localization or
+        // 'propagated' when copied from a repetition. Kept as xe:origin
+        // and xe:engine.
+        this.origin = this.originalOrigin = null
+        this.engine = this.originalEngine = null
+    }
+    // Push the edits needed to write this segment back into text.
+    // Untouched segments produce no edits, so they stay byte-identical.
+    collectEdits(text, edits) {
+        // 1.2 keeps its state on the unit's <target>, see collectEdits12.
+        if (!this.unit.xliff12) {
+            if (this.state != this.originalState) {
+                edits.push(this.node.setAttrEdit('state', this.state))
+            }
+            if (this.subState != this.originalSubState) {
+                var edit = this.subState == null ? this.node.removeAttrEdit('subState') : this.node.setAttrEdit('subState', this.subState)
+                if (edit) {
+                    edits.push(edit)
+                }
+            }
+            if (this.origin != this.originalOrigin || this.engine != this.originalEngine) {
+                edits.push.apply(edits, editorAttrEdits(this.node, { origin: this.origin, engine: this.engine }))
+            }
+        }
+        if (this.target == this.originalTarget) {
+            return
+        }
+        var content = this.targetXml()
+        if (this.targetNode) {
+            edits.push(this.targetNode.setContentEdit(content, text))
+        } else if (this.mid != null) {
+            // A 1.2 <mrk> segment whose <target> has no matching <mrk>
+            // yet. Units without any <target> are written by the
+            // document, see XliffDocument.collectEdits12.
+            var unitTarget = this.unit.targetNode
+            if (unitTarget && !unitTarget.selfClosing && content) {
+                edits.push({ start: unitTarget.contentEnd, end: unitTarget.contentEnd, text: mrkXml(this.mid, content) })
+            }
+        } else if (content) {
+            // New targets follow their source.
+            var src = this.unit.segSourceNode || this.sourceNode
+            var name = src.prefix ? src.prefix + ':target' : 'target'
+            var attrs = this.unit.xliff12 ? ' state="' + XLIFF12_STATES[this.state] + '"' + provenance12Xml(this.unit, src) : ''
+            edits.push(insertAfterEdit(src, '<' + name + attrs + '>' + content + '</' + name + '>', text))
+        }
+    }
+    targetXml() {
+        return writeInlineContent(this.target || '', this.tags, 'target')
+    }
+    // Markup for a segment made by splitting or merging (2.0).
+    segmentXml() {
+        var name = local => prefixed(this.unit.node, local)
+        var attrs = (this.id != null ? ' id="' + xmlEscape(this.id, '"') + '"' : '') +
+            (this.state != 'initial' ? ' state="' + this.state + '"' : '') +
+            (this.subState != null ? ' subState="' + xmlEscape(this.subState, '"') + '"' : '') +
+            editorAttrsXml(this.unit.node, { origin: this.origin, engine: this.engine })
+        return '<' + name('segment') + attrs + '><' + name('source') + '>' + writeInlineContent(this.source, this.tags, 'source') + '</' + name('source') + '>' +
+            (this.target != null ? '<' + name('target') + '>' + this.targetXml() + '</' + name('target') + '>' : '') + '</' + name('segment') + '>'
+    }
+    // A row of the grid's source column, drawn like a line so the
+    // inline codes show up as the same chips. terms are the glossary
+    // terms found in it (see Termbase.recognize). Notes show as a flag
+    // with the notes for a tooltip.
+    getSourceHTML(selectedTag, terms) {
+        var line = new Line(this.source.replace(/\n/g, LINE_BREAK))
+        markInlineTags(line)
+        if (terms) {
+            markTerms(line, terms, 'XliffEditor-term')
+        }
+        if (selectedTag) {
+            (line.marked || []).forEach(m => {
+                if (line.text.charAt(m.from) == selectedTag) {
+                    m.style += ' XliffEditor-tag-selected'
+                }
+            })
+        }
+        var notes = this.notes || []
+        var flag = notes.length ? '<span class="XliffEditor-notes-flag" title="' +
+            xmlEscape(notes.map(note => noteLabels(note).map(l => '[' + l + '] ').join('') + note.text).join('\n'), '"') +
+            '">\u270e' + notes.length + '</span>' : ''
+        return '<pre>' + line.getHTML(null, null, false) + flag + '</pre>'
+    }
+}
+
+// Sentence segmentation rules from an SRX 2.0 file. Rules are regular
+// expressions, as in Java but with the JavaScript escapes for Unicode
+// classes (\p{Lu}). Rules that don't compile are left out.
+class SrxRules {
+    constructor(text) {
+        this.cascade = true
+        this.languageRules = {}
+        this.maps = []
+        var root = new XmlReader(text).parse().root
+        var header = root.element('header')
+        this.cascade = !header || header.attr('cascade') != 'no'
+        var body = root.element('body')
+        var languageRules = body && body.element('languagerules')
+        var mapRules = body && body.element('maprules')
+        ;(languageRules ? languageRules.elements('languagerule') : []).forEach(el => {
+            this.languageRules[el.attr('languagerulename')] = el.elements('rule').map(rule => {
+                var before = rule.element('beforebreak')
+                var after = rule.element('afterbreak')
+                // Matches (empty) at the offsets the rule applies to.
+                try {
+                    return {
+                        break: rule.attr('break') != 'no',
+                        pattern: new RegExp('(?<=(?:' + (before ? before.textContent() : '') + '))(?=(?:' + (after ? after.textContent() : '') + '))', 'gu')
+                    }
+                } catch (e) {
+                    return null
+                }
+            }).filter(rule => rule)
+        })
+        ;(mapRules ? mapRules.elements('languagemap') : []).forEach(el => {
+            try {
+                this.maps.push({ pattern: new RegExp('^(?:' + el.attr('languagepattern') + ')$', 'i'), name: el.attr('languagerulename') })
+            } catch (e) {
+            }
+        })
+    }
+    // The rules for a language, in the order they're tried.
+    rulesFor(lang) {
+        var maps = this.maps.filter(map => map.pattern.test(lang || ''))
+        return (this.cascade ? maps : maps.slice(0, 1)).reduce((rules, map) => rules.concat(this.languageRules[map.name] || []), [])
+    }
+    // The offsets where a text breaks into sentences. The first rule
+    // matching around an offset decides.
+    breaks(text, lang) {
+        var decided = new Map()
+        this.rulesFor(lang).forEach(rule => {
+            rule.pattern.lastIndex = 1
+            for (var m; (m = rule.pattern.exec(text)) && m.index < text.length; rule.pattern.lastIndex = m.index + 1) {
+                if (!decided.has(m.index)) {
+                    decided.set(m.index, rule.break)
+                }
+            }
+        })
+        var found = []
+        decided.forEach((brk, pos) => brk && found.push(pos))
+        return found.sort((a, b) => a - b)
+    }
+}
+
+// The rules used when none are given: the usual sentence ends, with
+// exceptions for common abbreviations in a few languages, and the
+// ideographic full stop.
+const SRX_DEFAULT = `<srx xmlns="http://www.lisa.org/srx20" version="2.0">
+<header segmentsubflows="yes" cascade="yes"/>
+<body>
+<languagerules>
+<languagerule languagerulename="English">
+<rule break="no"><beforebreak>\\b(?:Mr|Mrs|Ms|Dr|Prof|Sr|Jr|St|vs|etc|approx|No|Fig|e\\.g|i\\.e)\\.</beforebreak><afterbreak>\\s</afterbreak></rule>
+</languagerule>
+<languagerule languagerulename="German">
+<rule break="no"><beforebreak>\\b(?:z\\.\\s?B|d\\.\\s?h|u\\.\\s?a|z|d|u|bzw|usw|ca|Nr|Dr|Hr|Fr|vgl|evtl|ggf|inkl|S)\\.</beforebreak><afterbreak>\\s</afterbreak></rule>
+<rule break="no"><beforebreak>\\b\\d+\\.</beforebreak><afterbreak>\\s</afterbreak></rule>
+</languagerule>
+<languagerule languagerulename="French">
+<rule break="no"><beforebreak>\\b(?:M|MM|Mme|Mlle|Dr|etc|cf|env|p\\.\\s?ex)\\.</beforebreak><afterbreak>\\s</afterbreak></rule>
+</languagerule>
+<languagerule languagerulename="Spanish">
+<rule break="no"><beforebreak>\\b(?:Sr|Sra|Srta|Dr|Dra|Ud|Uds|etc|p\\.\\s?ej)\\.</beforebreak><afterbreak>\\s</afterbreak></rule>
+</languagerule>
+<languagerule languagerulename="Default">
+<rule break="no"><beforebreak>\\b\\p{Lu}\\.</beforebreak><afterbreak>\\s</afterbreak></rule>
+<rule break="yes"><beforebreak>[.?!\\u2026]+['"\\u2019\\u201d)\\]]*</beforebreak><afterbreak>\\s+['"\\u2018\\u201c(\\[\\u00bf\\u00a1]*[\\p{Lu}\\p{Lo}\\p{N}]</afterbreak></rule>
+<rule break="yes"><beforebreak>[\\u3002\\uff01\\uff1f]+[\\u300d\\u300f\\uff09]*</beforebreak><afterbreak>[^\\s\\u3002\\uff01\\uff1f\\u300d\\u300f\\uff09]</afterbreak></rule>
+<rule break="yes"><beforebreak>\\n</beforebreak><afterbreak></afterbreak></rule>
+</languagerule>
+</languagerules>
+<maprules>
+<languagemap languagepattern="en.*" languagerulename="English"/>
+<languagemap languagepattern="de.*" languagerulename="German"/>
+<languagemap languagepattern="fr.*" languagerulename="French"/>
+<languagemap languagepattern="es.*" languagerulename="Spanish"/>
+<languagemap languagepattern=".*" languagerulename="Default"/>
+</maprules>
+</body>
+</srx>`
+
+// Whether a segment text can break at pos: a segment can't hold half
+// of a paired code (<pc>, <mrk>), the isolated ones (<sc>/<ec>) may
+// span segments.
+function canBreakAt(str, tags, pos) {
+    var open = []
+    ;(str.slice(0, pos).match(TAG_RE) || []).forEach(ch => {
+        var info = tagInfo(ch)
+        var tag = tags[info.n]
+        if (tag && PAIRED_INLINE[tag.name]) {
+            if (info.kind == 'open') {
+                open.push(info.n)
+            } else if (info.kind == 'close') {
+                open.splice(open.indexOf(info.n), 1)
+            }
+        }
+    })
+    return !open.length
+}
+// The sentence breaks of a segment text by srx (see SrxRules). Rules
+// are matched on the text without its codes; opening codes go with the
+// sentence after a break, the others with the one before. Breaks leaving an empty part, or halves
+// of a paired code, are dropped.
+function sentenceBreaks(str, tags, srx, lang) {
+    var offsets = []
+    for (var i = 0; i <= str.length; ++i) {
+        if (!tagInfo(str.charAt(i)) || i == str.length) {
+            offsets.push(i)
+        }
+    }
+    var found = []
+    srx.breaks(plainText(str), lang).forEach(at => {
+        var pos = offsets[at]
+        while (pos > 0 && tagInfo(str.charAt(pos - 1)) && tagInfo(str.charAt(pos - 1)).kind == 'open') {
+            --pos
+        }
+        var prev = found.length ? found[found.length - 1] : 0
+        if (str.slice(prev, pos).trim() && str.slice(pos).trim() && canBreakAt(str, tags, pos)) {
+            found.push(pos)
+        }
+    })
+    return found
+}
+
+// An XLIFF document: the parsed tree, the original text, and the list
+// of segments in document order.
+class XliffDocument {
+    constructor(text) {
+        this.text = text
+        this.tree = new XmlReader(text).parse()
+        this.root = this.tree.root
+        if (this.root.localName != 'xliff') {
+            throw new XmlParseError('Root element is <' + this.root.name + '>, not <xliff>', text, this.root.start)
+        }
+        this.version = this.root.attr('version')
+        this.files = []
+        this.segments = []
+        if (this.root.namespace == XLIFF_2_NS) {
+            this.readXliff2()
+        } else if (this.root.namespace == XLIFF_12_NS || /^1\./.test(this.version)) {
+            this.readXliff12()
+        } else {
+            throw new XmlParseError('Unsupported XLIFF version ' + this.version, text, this.root.start)
+        }
+    }
+    // Counts for quoting, per file and for the whole document (see
+    // newAnalysis). Segments whose source came up before are
+    // repetitions; the others go into the band of their best match in
+    // tm, when there is one.
+    analyze(tm) {
+        var seen = {}
+        var report = newAnalysis(null)
+        report.files = this.files.map(file => {
+            var part = newAnalysis(file.original || file.id)
+            var srcLang = file.srcLang || this.srcLang
+            var trgLang = file.trgLang || this.trgLang
+            var minScore = ANALYSIS_BANDS[ANALYSIS_BANDS.length - 2].min
+            file.units.forEach(unit => unit.segments.forEach(seg => {
+                var counts = { segments: 1, words: countWords(seg.source), characters: countCharacters(seg.source) }
+                var key = seg.source.trim()
+                var into = []
+                if (!seg.translate) {
+                    into.push('locked')
+                } else if (seen[key]) {
+                    into.push('total', 'repetitions')
+                } else {
+                    var match = tm ? tm.lookup(srcLang, trgLang, seg.source, minScore, 1)[0] : null
+                    var band = ANALYSIS_BANDS.find(b => (match ? match.score : 0) >= b.min)
+                    into.push('total', ['bands', band.name])
+                    seen[key] = true
+                }
+                if (seg.translate) {
+                    into.push(['states', seg.state])
+                }
+                ;[part, report].forEach(a => into.forEach(at => addCounts(typeof at == 'string' ? a[at] : a[at[0]][at[1]], counts)))
+            }))
+            return part
+        })
+        return report
+    }
+    // Write the document back out. Everything outside of the edited
+    // parts is copied from the original text as it was.
+    serialize() {
+        var edits = []
+        this.segments.forEach(seg => seg.unit.resegmented || seg.collectEdits(this.text, edits))
+        if (this.version12) {
+            this.collectEdits12(edits)
+        }
+        this.files.forEach(file => file.units.forEach(unit => {
+            if (!unit.xliff12) {
+                this.collectChangeTrackEdits(unit, edits)
+                if (unit.resegmented) {
+                    this.collectSegmentationEdits(unit, edits)
+                }
+            }
+            this.collectNoteEdits(unit, edits)
+        }))
+        return applyEdits(this.text, edits)
+    }
+    // Resegmentation, for XLIFF 2.0 only. Segments can be split and
+    // merged unless canResegment (on them or around them) says no, or
+    // they have tracked changes.
+    canResegment(seg) {
+        return !seg.unit.xliff12 && inheritedAttr(seg.node, 'canResegment') != 'no' && seg.reviewBase == null && !seg.revisionsNode
+    }
+    // Split a segment at points ({ source, target } offsets, in order).
+    // Whitespace at a split goes into an <ignorable>, and the parts after
+    // the first get fresh ids. Returns the parts, or null when the
+    // segment can't be split there.
+    splitSegment(seg, points) {
+        var target = seg.target || ''
+        if (!this.canResegment(seg) || !points.length || points.some((p, i) =>
+            p.source <= (i ? points[i - 1].source : 0) || p.source >= seg.source.length || !canBreakAt(seg.source, seg.tags, p.source) ||
+            (target && (p.target < (i ? points[i - 1].target : 0) || p.target > target.length || !canBreakAt(target, seg.tags, p.target))))) {
+            return null
+        }
+        // Cut str at offsets, moving the whitespace around each cut out of
+        // the parts.
+        var cut = offsets => str => {
+            var parts = offsets.concat(str.length).map((pos, i) => str.slice(i ? offsets[i - 1] : 0, pos))
+            var gaps = parts.slice(1).map((part, i) => {
+                var before = /\s*$/.exec(parts[i])[0]
+                var after = /^\s*/.exec(part)[0]
+                parts[i] = parts[i].slice(0, parts[i].length - before.length)
+                parts[i + 1] = part.slice(after.length)
+                return before + after
+            })
+            return { parts: parts, gaps: gaps }
+        }
+        var sources = cut(points.map(p => p.source))(seg.source)
+        var targets = target ? cut(points.map(p => p.target))(target) : null
+        var ids = []
+        var walk = node => node.elements().forEach(el => {
+            ids.push(el.attr('id'))
+            walk(el)
+        })
+        walk(seg.unit.node)
+        seg.unit.segments.forEach(other => ids.push(other.id))
+        var freshId = () => {
+            for (var n = 2; ; ++n) {
+                if (ids.indexOf(seg.id + '-' + n) == -1) {
+                    ids.push(seg.id + '-' + n)
+                    return seg.id + '-' + n
+                }
+            }
+        }
+        var after = seg.ignorableAfter
+        var parts = sources.parts.map((source, i) => {
+            var part = seg
+            if (i) {
+                part = new Segment(seg.unit, seg.node, null, null, this.text)
+                part.id = seg.id != null ? freshId() : null
+                part.tags = seg.tags
+                part.state = seg.state
+                part.subState = seg.subState
+                part.translate = seg.translate
+                part.notes = seg.notes
+                part.origin = seg.origin
+                part.engine = seg.engine
+                part.resegmented = true
+            }
+            part.source = source
+            part.target = targets ? targets.parts[i] : seg.target
+            return part
+        })
+        parts.forEach((part, i) => {
+            var gap = sources.gaps[i]
+            var targetGap = targets ? targets.gaps[i] : ''
+            var between = i < parts.length - 1 && (gap || targetGap)
+                ? [{ node: null, id: null, source: xmlEscape(gap), target: targets ? xmlEscape(targetGap) : null }] : []
+            if (i < parts.length - 1) {
+                part.ignorableAfter = between
+                parts[i + 1].ignorableBefore = between
+            } else {
+                part.ignorableAfter = after
+            }
+        })
+        var spliceAfter = (list, item, added) => list.splice.apply(list, [list.indexOf(item) + 1, 0].concat(added))
+        spliceAfter(seg.unit.segments, seg, parts.slice(1))
+        spliceAfter(this.segments, seg, parts.slice(1))
+        seg.resegmented = seg.unit.resegmented = true
+        return parts
+    }
+    // Merge a segment with the one after it in its unit. The ignorables
+    // between them join the text. Returns the merged segment, or null
+    // when they can't be merged.
+    mergeSegments(seg) {
+        var unit = seg.unit
+        var next = unit.segments[unit.segments.indexOf(seg) + 1]
+        var between = seg.ignorableAfter
+        // Codes in an ignorable would need a tag table of their own.
+        if (!next || !this.canResegment(seg) || !this.canResegment(next) || seg.tags.length + next.tags.length > TAG_MAX ||
+            between.some(ign => /</.test(ign.source + (ign.target || '')))) {
+            return null
+        }
+        var shift = str => str.replace(TAG_RE, ch => tagChar(tagInfo(ch).kind, tagInfo(ch).n + seg.tags.length))
+        var gap = between.map(ign => decodeEntities(ign.source)).join('')
+        var targetGap = between.map(ign => decodeEntities(ign.target != null ? ign.target : ign.source)).join('')
+        seg.source += gap + shift(next.source)
+        if (seg.target != null || next.target != null) {
+            seg.target = [seg.target, next.target && shift(next.target)].filter(str => str).join(targetGap)
+        }
+        seg.tags = seg.tags.concat(next.tags)
+        seg.state = lowestState([seg, next])
+        seg.subState = seg.subState == next.subState ? seg.subState : null
+        if (seg.origin != next.origin || seg.engine != next.engine) {
+            seg.origin = seg.engine = null
+        }
+        seg.ignorableAfter = next.ignorableAfter
+        unit.segments.splice(unit.segments.indexOf(next), 1)
+        this.segments.splice(this.segments.indexOf(next), 1)
+        seg.resegmented = unit.resegmented = true
+        return seg
+    }
+    // A resegmented unit gets its <segment>s and <ignorable>s written
+    // anew, one after the other. The ones it had before keep their
+    // markup.
+    collectSegmentationEdits(unit, edits) {
+        var range = unit.segmentation
+        var name = local => prefixed(unit.node, local)
+        var items = unit.segments[0].ignorableBefore.slice()
+        unit.segments.forEach(seg => items.push.apply(items, [seg].concat(seg.ignorableAfter)))
+        var xml = items.map(item => {
+            if (!(item instanceof Segment)) {
+                return item.node ? item.node.outerXml(this.text) : '<' + name('ignorable') + '><' + name('source') + '>' + item.source + '</' + name('source') + '>' +
+                    (item.target != null ? '<' + name('target') + '>' + item.target + '</' + name('target') + '>' : '') + '</' + name('ignorable') + '>'
+            }
+            if (item.resegmented) {
+                return item.segmentXml()
+            }
+            var own = []
+            item.collectEdits(this.text, own)
+            return applyEdits(item.node.outerXml(this.text), own.map(e => ({ start: e.start - item.node.start, end: e.end - item.node.start, text: e.text })))
+        })
+        edits.push({ start: range.start, end: range.end, text: xml.join(range.separator) })
+    }
+    readXliff2() {
+        this.srcLang = this.root.attr('srcLang')
+        this.trgLang = this.root.attr('trgLang')
+        var walkGroup = (file, node) => {
+            node.elements().forEach(el => {
+                if (el.namespace != XLIFF_2_NS) {
+                    return
+                }
+                if (el.localName == 'group') {
+                    walkGroup(file, el)
+                } else if (el.localName == 'unit') {
+                    file.units.push(this.readUnit2(file, el))
+                }
+            })
+        }
+        this.root.elements('file').forEach(node => {
+            var file = { id: node.attr('id'), original: node.attr('original'), node: node, units: [], slr: slrProfiles(node) }
+            this.files.push(file)
+            walkGroup(file, node)
+        })
+    }
+    readUnit2(file, node) {
+        var unit = {
+            id: node.attr('id'), name: node.attr('name'), file: file, node: node, segments: [],
+            sizeRestriction: slrLimit(node.attrNS(XLIFF_SLR_NS, 'sizeRestriction')),
+            storageRestriction: slrLimit(node.attrNS(XLIFF_SLR_NS, 'storageRestriction'))
+        }
+        unit.notesNode = node.elements('notes').find(el => el.namespace == XLIFF_2_NS) || null
+        unit.notes = unit.notesNode ? unit.notesNode.elements('note').map(el => new Note(el, false)) : []
+        unit.removedNotes = []
+        var pending = []
+        var last = null
+        node.elements().forEach(el => {
+            if (el.namespace != XLIFF_2_NS) {
+                return
+            }
+            if (el.localName == 'segment') {
+                last = new Segment(unit, el, el.element('source'), el.element('target'), this.text)
+                last.notes = unit.notes
+                // Unknown states count as initial.
+                last.state = last.originalState = stateRank(el.attr('state')) == -1 ? 'initial' : el.attr('state')
+                last.subState = last.originalSubState = el.attr('subState')
+                last.origin = last.originalOrigin = el.attrNS(XLIFF_EDITOR_NS, 'origin')
+                last.engine = last.originalEngine = el.attrNS(XLIFF_EDITOR_NS, 'engine')
+                last.translate = inheritedAttr(node, 'translate') != 'no'
+                last.ignorableBefore = pending
+                pending = []
+                unit.segments.push(last)
+                this.segments.push(last)
+            } else if (el.localName == 'ignorable') {
+                var ign = {
+                    node: el, id: el.attr('id'),
+                    source: el.element('source') ? el.element('source').innerXml(this.text) : '',
+                    target: el.element('target') ? el.element('target').innerXml(this.text) : null
+                }
+                pending.push(ign)
+                if (last) {
+                    last.ignorableAfter.push(ign)
+                }
+            }
+        })
+        // Where the segments are, and what separates them, for writing
+        // them anew (see collectSegmentationEdits).
+        var items = node.elements().filter(el => el.namespace == XLIFF_2_NS && (el.localName == 'segment' || el.localName == 'ignorable'))
+        if (items.length) {
+            var space = items.length > 1 ? this.text.slice(items[0].end, items[1].start) : this.text.slice(node.openEnd, items[0].start)
+            unit.segmentation = { start: items[0].start, end: items[items.length - 1].end, separator: /^\s*$/.test(space) ? space : '' }
+        }
+        this.readChangeTrack(unit)
+        return unit
+    }
+    // Change Tracking (ctr:). The latest revision of a target is the
+    // version under review: what the reviewer's changes are relative to.
+    readChangeTrack(unit) {
+        unit.changeTrackNode = unit.node.elements('changeTrack').find(el => el.namespace == XLIFF_CTR_NS) || null
+        if (!unit.changeTrackNode) {
+            return
+        }
+        unit.changeTrackNode.elements('revisions').forEach(revisions => {
+            var ref = revisions.attr('ref')
+            var seg = ref != null ? unit.segments.find(s => s.id == ref) : unit.segments.length == 1 ? unit.segments[0] : null
+            var revision = revisions.elements('revision').pop()
+            var item = revision && revision.elements('item').find(el => el.attr('property') == 'content')
+            if (!seg || revisions.attr('appliesTo') != 'target' || !item) {
+                return
+            }
+            // A revision matching the target is history, not pending.
+            var base = readInlineContent(item, this.text, seg.tags, 'target', true)
+            seg.revisionsNode = revisions
+            if (base != seg.target) {
+                seg.revisionNode = revision
+                seg.reviewBase = seg.originalReviewBase = base
+                seg.reviewAuthor = revision.attr('author')
+            }
+        })
+    }
+    // XLIFF 1.2. Languages are set per <file>; the document reports
+    // those of the first file.
+    readXliff12() {
+        this.version12 = true
+        var walkGroup = (file, node) => {
+            node.elements().forEach(el => {
+                if (el.localName == 'group') {
+                    walkGroup(file, el)
+                } else if (el.localName == 'trans-unit') {
+                    file.units.push(this.readUnit12(file, el))
+                }
+            })
+        }
+        this.root.elements('file').forEach(node => {
+            var file = {
+                id: node.attr('original'), original: node.attr('original'), node: node, units: [],
+                srcLang: node.attr('source-language'), trgLang: node.attr('target-language')
+            }
+            if (!this.files.length) {
+                this.srcLang = file.srcLang
+                this.trgLang = file.trgLang
+            }
+            this.files.push(file)
+            var body = node.element('body')
+            if (body) {
+                walkGroup(file, body)
+            }
+        })
+    }
+    readUnit12(file, node) {
+        var unit = {
+            id: node.attr('id'), name: node.attr('resname'), file: file, node: node, segments: [], xliff12: true,
+            segSourceNode: node.element('seg-source'), targetNode: node.element('target')
+        }
+        // maxwidth counts characters or bytes, by size-unit.
+        var maxWidth = slrLimit(node.attr('maxwidth'))
+        var sizeUnit = node.attr('size-unit') || 'pixel'
+        unit.sizeRestriction = sizeUnit == 'char' ? maxWidth : null
+        unit.storageRestriction = sizeUnit == 'byte' ? maxWidth : null
+        unit.notes = node.elements('note').map(el => new Note(el, true))
+        unit.removedNotes = []
+        var translate = inheritedAttr(node, 'translate') != 'no'
+        var approved = node.attr('approved') == 'yes'
+        var targetState = unit.targetNode && unit.targetNode.attr('state')
+        var altTrans = node.elements('alt-trans')
+        // Alternatives share the segment's tag table, so their codes line
+        // up with the ones in the source.
+        var readAltTrans = (seg, mid) => altTrans.filter(el => mid == null || el.attr('mid') == null || el.attr('mid') == mid).map(el => ({
+            node: el, mid: el.attr('mid'), origin: el.attr('origin'),
+            matchQuality: el.attr('match-quality'),
+            source: el.element('source') ? readInlineContent(el.element('source'), this.text, seg.tags, 'source') : null,
+            target: el.element('target') ? readInlineContent(el.element('target'), this.text, seg.tags, 'target') : null
+        }))
+        var add = seg => {
+            seg.translate = translate
+            seg.subState = targetState
+            seg.state = seg.originalState = approved ? 'final' : seg.target == null ? 'initial' : xliff12State(targetState)
+            if (seg.target != null && unit.targetNode && unit.targetNode.attr('state-qualifier') == 'mt-suggestion') {
+                seg.origin = seg.originalOrigin = 'mt'
+                seg.engine = seg.originalEngine = unit.targetNode.attrNS(XLIFF_EDITOR_NS, 'engine')
+            } else if (seg.target != null && unit.targetNode) {
+                seg.origin = seg.originalOrigin = unit.targetNode.attrNS(XLIFF_EDITOR_NS, 'origin')
+            }
+            seg.notes = unit.notes
+            unit.segments.push(seg)
+            this.segments.push(seg)
+        }
+        var marks = unit.segSourceNode ? segMarks(unit.segSourceNode) : []
+        if (marks.length) {
+            var targetMarks = unit.targetNode ? segMarks(unit.targetNode) : []
+            marks.forEach(mrk => {
+                var mid = mrk.attr('mid')
+                var seg = new Segment(unit, mrk, mrk, targetMarks.find(t => t.attr('mid') == mid) || null, this.text)
+                seg.id = mid
+                seg.mid = mid
+                seg.altTrans = readAltTrans(seg, mid)
+                add(seg)
+            })
+        } else {
+            var seg = new Segment(unit, node, node.element('source'), unit.targetNode, this.text)
+            seg.altTrans = readAltTrans(seg, null)
+            add(seg)
+        }
+        unit.originalState = lowestState(unit.segments)
+        unit.originalProvenance = provenance12(unit)
+        return unit
+    }
+    // Segments with changes pending review keep the version under review
+    // as a ctr:revision. Once the changes are accepted or rejected, the
+    // revision goes.
+    collectChangeTrackEdits(unit, edits) {
+        var text = this.text
+        var revisionXml = (seg, prefix) => '<' + prefix + 'revision' +
+            (seg.reviewAuthor != null ? ' author="' + xmlEscape(seg.reviewAuthor, '"') + '"' : '') +
+            ' datetime="' + new Date().toISOString() + '"><' + prefix + 'item property="content">' +
+            writeInlineContent(seg.reviewBase, seg.tags, 'target') + '</' + prefix + 'item></' + prefix + 'revision>'
+        var revisionsXml = (seg, prefix) => '<' + prefix + 'revisions appliesTo="target"' +
+            (seg.id != null ? ' ref="' + xmlEscape(seg.id, '"') + '"' : '') + '>' + revisionXml(seg, prefix) + '</' + prefix + 'revisions>'
+        var prefix = node => node.prefix ? node.prefix + ':' : ''
+        var track = unit.changeTrackNode
+        var added = []
+        var removed = []
+        unit.segments.forEach(seg => {
+            var base = seg.reviewBase != null && seg.reviewBase != seg.target ? seg.reviewBase : null
+            if (base == seg.originalReviewBase) {
+                return
+            }
+            if (seg.revisionNode && base == null) {
+                removed.push(seg)
+            } else if (seg.revisionNode) {
+                edits.push({ start: seg.revisionNode.start, end: seg.revisionNode.end, text: revisionXml(seg, prefix(seg.revisionNode)) })
+            } else if (seg.revisionsNode) {
+                var last = seg.revisionsNode.elements('revision').pop()
+                edits.push(insertAfterEdit(last, revisionXml(seg, prefix(last)), text))
+            } else {
+                added.push(seg)
+            }
+        })
+        // Revisions that end up empty go, and so does an empty changeTrack.
+        var emptied = removed.filter(seg => seg.revisionsNode.elements('revision').length == 1)
+        if (track && !added.length && emptied.length == track.elements().length) {
+            edits.push(removeNodeEdit(track, text))
+            return
+        }
+        removed.forEach(seg => edits.push(removeNodeEdit(emptied.indexOf(seg) != -1 ? seg.revisionsNode : seg.revisionNode, text)))
+        if (!added.length) {
+            return
+        }
+        if (track) {
+            var lastChild = track.elements().pop()
+            added.forEach(seg => edits.push(lastChild ? insertAfterEdit(lastChild, revisionsXml(seg, prefix(track)), text)
+                : { start: track.contentEnd, end: track.contentEnd, text: revisionsXml(seg, prefix(track)) }))
+        } else {
+            var first = unit.node.elements().find(el => el.namespace == XLIFF_2_NS)
+            edits.push(insertBeforeEdit(first, '<ctr:changeTrack xmlns:ctr="' + XLIFF_CTR_NS + '">' +
+                added.map(seg => revisionsXml(seg, 'ctr:')).join('') + '</ctr:changeTrack>', text))
+        }
+    }
+    // Notes go after the edits of the segments, so a new 1.2 <note>
+    // lands after a <target> created at the same place.
+    collectNoteEdits(unit, edits) {
+        var text = this.text
+        unit.notes.forEach(note => note.node && note.collectEdits(text, edits))
+        var added = unit.notes.filter(note => !note.node)
+        var kept = unit.notes.filter(note => note.node)
+        var notes = unit.notesNode
+        if (notes && unit.removedNotes.length && !kept.length && !added.length) {
+            // <notes> must not be empty.
+            edits.push(removeNodeEdit(notes, text))
+            return
+        }
+        unit.removedNotes.forEach(note => edits.push(removeNodeEdit(note.node, text)))
+        if (unit.xliff12) {
+            var last = unit.node.elements().pop()
+            added.forEach(note => edits.push(insertAfterEdit(last, note.xml(prefixed(last, 'note')), text)))
+            return
+        }
+        if (notes && added.length) {
+            var anchor = kept.length ? kept[kept.length - 1].node : null
+            var xml = added.map(note => note.xml(prefixed(notes, 'note')))
+            if (anchor) {
+                xml.forEach(x => edits.push(insertAfterEdit(anchor, x, text)))
+            } else {
+                edits.push({ start: notes.contentEnd, end: notes.contentEnd, text: xml.join('') })
+            }
+        } else if (added.length) {
+            var first = unit.node.elements().find(el => el.namespace == XLIFF_2_NS)
+            var name = prefixed(unit.node, 'notes')
+            edits.push(insertBeforeEdit(first, '<' + name + '>' + added.map(note => note.xml(prefixed(unit.node, 'note'))).join('') +
+                '</' + name + '>', text))
+        }
+    }
+    // 1.2 units split by <seg-source> but lacking a <target> get one
+    // holding a <mrk> per translated segment.
+    // The state of a unit's <target> and its approved flag follow the
+    // least advanced of its segments.
+    collectEdits12(edits) {
+        this.files.forEach(file => file.units.forEach(unit => {
+            var target = unit.targetNode
+            var state = lowestState(unit.segments)
+            if (state != unit.originalState) {
+                if (target && !target.selfClosing) {
+                    edits.push(target.setAttrEdit('state', XLIFF12_STATES[state]))
+                }
+                if (state == 'final' || unit.originalState == 'final') {
+                    edits.push(unit.node.setAttrEdit('approved', state == 'final' ? 'yes' : 'no'))
+                }
+            }
+            var prov = provenance12(unit)
+            var old = unit.originalProvenance
+            if (target && !target.selfClosing && (prov.origin != old.origin || prov.engine != old.engine)) {
+                if (prov.origin == 'mt') {
+                    edits.push(target.setAttrEdit('state-qualifier', 'mt-suggestion'))
+                } else if (old.origin == 'mt') {
+                    edits.push(target.removeAttrEdit('state-qualifier'))
+                }
+                edits.push.apply(edits, editorAttrEdits(target, { origin: prov.origin == 'mt' ? null : prov.origin, engine: prov.engine }))
+            }
+            if (!unit.segSourceNode || (target && !target.selfClosing)) {
+                return
+            }
+            var changed = unit.segments.filter(seg => seg.mid != null && seg.target != seg.originalTarget && seg.target)
+            if (!changed.length) {
+                return
+            }
+            var content = changed.map(seg => mrkXml(seg.mid, seg.targetXml())).join('')
+            if (target) {
+                edits.push(target.setContentEdit(content, this.text))
+            } else {
+                var xml = '<target state="' + XLIFF12_STATES[state] + '"' + provenance12Xml(unit, unit.segSourceNode) + '>' + content + '</target>'
+                edits.push(insertAfterEdit(unit.segSourceNode, xml, this.text))
+            }
+        }))
+    }
+}
+
+// Translatability and similar attributes are inherited from the
+// enclosing <group>/<file> elements.
+function inheritedAttr(node, name) {
+    for (var n = node; n && n.type == 'element'; n = n.parent) {
+        var value = n.attr(name)
+        if (value != null) {
+            return value
+        }
+    }
+    return null
+}
+
+// A 1.2 <target> holds all of a unit's segments, so it only has an
+// origin when all of the translated ones share it. Machine translation
+// shows as state-qualifier="mt-suggestion", other origins as xe:origin.
+function provenance12(unit) {
+    var translated = unit.segments.filter(seg => seg.target != null)
+    var origin = translated.length ? translated[0].origin : null
+    if (!origin || !translated.every(seg => seg.origin == origin)) {
+        return { origin: null, engine: null }
+    }
+    return { origin: origin, engine: origin == 'mt' ? translated[0].engine : null }
+}
+// The provenance attributes of a new 1.2 <target> inside node.
+function provenance12Xml(unit, node) {
+    var prov = provenance12(unit)
+    if (prov.origin == 'mt') {
+        return ' state-qualifier="mt-suggestion"' + editorAttrsXml(node, { engine: prov.engine })
+    }
+    return editorAttrsXml(node, { origin: prov.origin })
+}
+
+// The <mrk mtype="seg"> elements of a 1.2 <seg-source> or <target>,
+// at any depth.
+function segMarks(node) {
+    var found = []
+    node.elements().forEach(el => {
+        if (el.localName == 'mrk' && el.attr('mtype') == 'seg') {
+            found.push(el)
+        } else {
+            found.push.apply(found, segMarks(el))
+        }
+    })
+    return found
+}
+
+// An edit inserting markup right after node, on a line of its own
+// indented like node if node starts its line.
+function insertAfterEdit(node, xml, text) {
+    var lineStart = text.lastIndexOf('\n', node.start - 1) + 1
+    var indent = text.slice(lineStart, node.start)
+    return { start: node.end, end: node.end, text: (/^\s*$/.test(indent) ? '\n' + indent : '') + xml }
+}
+
+// Merge two versions of a segment text for review: the words of both,
+// and the ranges only the old one has (deletions) or only the new one
+// (insertions).
+function mergeVersions(before, after) {
+    var text = ''
+    var changes = []
+    fuzzyMatch(before, after).diff.forEach(d => {
+        if (d.op != 'equal') {
+            changes.push({ type: d.op, from: text.length, to: text.length + d.text.length })
+        }
+        text += d.text
+    })
+    return { text: text, changes: changes }
+}
+
+// The profiles of the Size and Length Restriction module in force for
+// a <file> (or the whole document). Only the standard profiles are
+// known: code points for sizes, and UTF-8/16/32 for storage.
+const SLR_DEFAULTS = { general: 'xliff:codepoints', storage: 'xliff:utf8' }
+
+function slrProfiles(file) {
+    for (var node = file; node && node.type == 'element'; node = node.parent) {
+        var profiles = node.elements('profiles').find(el => el.namespace == XLIFF_SLR_NS)
+        if (profiles) {
+            return {
+                general: profiles.attr('generalProfile') || SLR_DEFAULTS.general,
+                storage: profiles.attr('storageProfile') || SLR_DEFAULTS.storage
+            }
+        }
+    }
+    return SLR_DEFAULTS
+}
+function slrLimit(value) {
+    var n = parseInt(value, 10)
+    return isNaN(n) ? null : n
+}
+// The size of a piece of segment text in a profile. Inline codes take
+// no room of their own.
+function slrSize(str, profile) {
+    var text = plainText(str).replace(LINE_BREAK_RE, '\n')
+    var points = Array.from(text)
+    switch (profile) {
+        case 'xliff:utf8':
+            return points.reduce((n, ch) => {
+                var c = ch.codePointAt(0)
+                return n + (c < 0x80 ? 1 : c < 0x800 ? 2 : c < 0x10000 ? 3 : 4)
+            }, 0)
+        case 'xliff:utf16':
+            return text.length * 2
+        case 'xliff:utf32':
+            return points.length * 4
+        default:
+            return points.length
+    }
+}
+
+// Put xml in front of node, indented like node if node starts its line.
+function insertBeforeEdit(node, xml, text) {
+    var lineStart = text.lastIndexOf('\n', node.start - 1) + 1
+    var indent = text.slice(lineStart, node.start)
+    return { start: node.start, end: node.start, text: xml + (/^\s*$/.test(indent) ? '\n' + indent : '') }
+}
+// Remove a node, along with its line if it has one to itself.
+function removeNodeEdit(node, text) {
+    var lineStart = text.lastIndexOf('\n', node.start - 1)
+    var start = /^\s*$/.test(text.slice(lineStart + 1, node.start)) && lineStart != -1 ? lineStart : node.start
+    return { start: start, end: node.end, text: '' }
+}
+// A name for a new element next to or inside node, in the XLIFF
+// namespace, with node's prefix.
+function prefixed(node, name) {
+    return node.prefix ? node.prefix + ':' + name : name
+}
+
+const SEGMENT_STATE_ICONS = {
+    initial: '\u25cb',
+    translated: '\u25d0',
+    reviewed: '\u25cf',
+    final: '\u2714'
+}
+
+function stateIcon(state) {
+    return '<span class="XliffEditor-state XliffEditor-state-' + xmlEscape(state, '"') + '" title="' + xmlEscape(state, '"') + '">' +
+        (SEGMENT_STATE_ICONS[state] || '?') + '</span>'
+}
+
+function mrkXml(mid, content) {
+    return '<mrk mtype="seg" mid="' + xmlEscape(mid, '"') + '">' + content + '</mrk>'
+}
+
+// The XLIFF 2.0 segment states, in workflow order.
+const SEGMENT_STATES = ['initial', 'translated', 'reviewed', 'final']
+// What each of them is written as in an XLIFF 1.2 target.
+const XLIFF12_STATES = { initial: 'new', translated: 'translated', reviewed: 'signed-off', final: 'final' }
+
+function stateRank(state) {
+    return SEGMENT_STATES.indexOf(state)
+}
+function lowestState(segments) {
+    return segments.reduce((low, seg) => stateRank(seg.state) < stateRank(low) ? seg.state : low, 'final')
+}
+
+// Map the XLIFF 1.2 target states onto the four 2.0 states.
+function xliff12State(state) {
+    switch (state) {
+        case 'final':
+            return 'final'
+        case 'signed-off':
+            return 'reviewed'
+        case 'needs-adaptation':
+        case 'needs-l10n':
+        case 'needs-translation':
+        case 'new':
+            return 'initial'
+        default:
+            return 'translated'
+    }
+}
+
+// Renumber the inline codes of a source/target pair by their order in
+// the source, so pairs from different segments (and documents) can be
+// compared. Returns the texts and, for each new number, the old one.
+function tagPlaceholders(source, target) {
+    var order = []
+    var renumber = ch => {
+        var info = tagInfo(ch)
+        var k = order.indexOf(info.n)
+        if (k == -1) {
+            k = order.push(info.n) - 1
+        }
+        return tagChar(info.kind, k)
+    }
+    source = source.replace(TAG_RE, renumber)
+    // Codes only the target has can't be mapped back, they go.
+    target = target == null ? null : target.replace(TAG_RE, ch => order.indexOf(tagInfo(ch).n) == -1 ? '' : renumber(ch))
+    return { source: source, target: target, order: order }
+}
+
+// Split a text into words, inline codes and other single characters,
+// each with the whitespace in front of it. Trailing whitespace goes
+// with the last token, so the tokens add up to the text.
+function fuzzyTokens(str) {
+    var tokens = (str.match(/\s*(?:[\p{L}\p{N}_]+|[^\s])/gu) || []).map(text => ({ key: text.trim(), text: text }))
+    var trailing = /\s*$/.exec(str)[0]
+    if (tokens.length && trailing) {
+        tokens[tokens.length - 1].text += trailing
+    }
+    return tokens
+}
+
+// Word edit distance between two texts, with the source diff: a list of
+// { op: 'equal' | 'insert' | 'delete', text } going from a to b.
+function fuzzyMatch(a, b) {
+    var ta = fuzzyTokens(a)
+    var tb = fuzzyTokens(b)
+    var d = [new Array(tb.length + 1).fill(0).map((x, j) => j)]
+    for (var i = 1; i <= ta.length; ++i) {
+        d[i] = [i]
+        for (var j = 1; j <= tb.length; ++j) {
+            d[i][j] = ta[i - 1].key == tb[j - 1].key ? d[i - 1][j - 1] : 1 + Math.min(d[i - 1][j - 1], d[i - 1][j], d[i][j - 1])
+        }
+    }
+    var diff = []
+    var push = (op, text) => {
+        var last = diff[diff.length - 1]
+        if (last && last.op == op) {
+            last.text += text
+        } else {
+            diff.push({ op: op, text: text })
+        }
+    }
+    var ops = []
+    for (var i = ta.length, j = tb.length; i || j;) {
+        if (i && j && ta[i - 1].key == tb[j - 1].key && d[i][j] == d[i - 1][j - 1]) {
+            ops.push(['equal', tb[--j].text]), --i
+        } else if (j && d[i][j] == d[i][j - 1] + 1) {
+            ops.push(['insert', tb[--j].text])
+        } else if (i && j && d[i][j] == d[i - 1][j - 1] + 1) {
+            ops.push(['insert', tb[--j].text], ['delete', ta[--i].text])
+        } else {
+            ops.push(['delete', ta[--i].text])
+        }
+    }
+    ops.reverse().forEach(op => push(op[0], op[1]))
+    var distance = d[ta.length][tb.length]
+    var longest = Math.max(ta.length, tb.length)
+    var score = longest ? Math.floor(100 * (1 - distance / longest)) : 100
+    // Same words, different spacing or case of the whole: not exact.
+    if (score == 100 && a != b) {
+        score = 99
+    }
+    return { score: score, distance: distance, diff: diff }
+}
+
+// Turn a TMX <seg> into segment text. The inline codes of all the
+// <tuv>s of a <tu> share one numbering, kept in keys; codes gets the
+// native code of each. Null when there are more codes than a segment
+// can have.
+function readTmxSeg(seg, codes, keys) {
+    var out = []
+    var code = (key, kind, native) => {
+        var n = keys.indexOf(key)
+        if (n == -1) {
+            n = keys.push(key) - 1
+            codes[n] = {}
+        }
+        codes[n][kind] = native
+        out.push(n < TAG_MAX ? tagChar(kind, n) : null)
+    }
+    var walk = parent => parent.children.forEach(child => {
+        if (child.type == 'text' || child.type == 'cdata') {
+            out.push(child.value)
+        } else if (child.type != 'element') {
+            return
+        } else if (child.localName == 'bpt' || child.localName == 'ept') {
+            code('bpt' + child.attr('i'), child.localName == 'bpt' ? 'open' : 'close', child.textContent())
+        } else if (child.localName == 'it') {
+            code('it' + (child.attr('x') || keys.length), child.attr('pos') == 'end' ? 'close' : 'open', child.textContent())
+        } else if (child.localName == 'hi') {
+            var key = 'hi' + (child.attr('x') || keys.length)
+            code(key, 'open', '')
+            walk(child)
+            code(key, 'close', '')
+        } else {
+            // <ph>, <ut> and anything unknown stand alone.
+            code(child.localName + (child.attr('x') || keys.length), 'standalone', child.textContent())
+        }
+    })
+    walk(seg)
+    return out.indexOf(null) == -1 ? out.join('') : null
+}
+
+// The inverse of readTmxSeg: codes whose partner isn't in the text
+// become <it>s.
+function writeTmxSeg(str, codes) {
+    return str.replace(/[^\uE100-\uE3FF]+|[\uE100-\uE3FF]/g, piece => {
+        var info = tagInfo(piece)
+        if (!info) {
+            return xmlEscape(piece)
+        }
+        var native = xmlEscape(((codes || [])[info.n] || {})[info.kind] || '')
+        var x = info.n + 1
+        if (info.kind == 'standalone') {
+            return '<ph x="' + x + '">' + native + '</ph>'
+        }
+        var partner = tagChar(info.kind == 'open' ? 'close' : 'open', info.n)
+        if (str.indexOf(partner) == -1) {
+            return '<it pos="' + (info.kind == 'open' ? 'begin' : 'end') + '" x="' + x + '">' + native + '</it>'
+        }
+        return info.kind == 'open' ? '<bpt i="' + x + '">' + native + '</bpt>' : '<ept i="' + x + '">' + native + '</ept>'
+    })
+}
+
+// TMX dates (20240131T120000Z) as ISO dates, which sort the same.
+function tmxDate(date) {
+    var m = /^(\d{4})(\d\d)(\d\d)T(\d\d)(\d\d)(\d\d)Z$/.exec(date || '')
+    return m ? m[1] + '-' + m[2] + '-' + m[3] + 'T' + m[4] + ':' + m[5] + ':' + m[6] + 'Z' : null
+}
+
+// A local translation memory: confirmed source/target pairs, kept per
+// language pair. Texts are segment texts (inline codes as private use
+// characters, '\n' for line breaks), stored with their codes renumbered
+// by tagPlaceholders.
+class TranslationMemory {
+    constructor(entries) {
+        this.pairs = {}
+        // The entries of each pair by source, for add.
+        this.sources = {}
+        ;(entries || []).forEach(e => this.add(e.srcLang, e.trgLang, e.source, e.target, e))
+    }
+    static pairKey(srcLang, trgLang) {
+        return (srcLang || '').toLowerCase() + '|' + (trgLang || '').toLowerCase()
+    }
+    // Store a pair; a source already in the memory gets the new
+    // translation.
+    add(srcLang, trgLang, source, target, props) {
+        if (!source || !target) {
+            return null
+        }
+        var texts = tagPlaceholders(source, target)
+        var key = TranslationMemory.pairKey(srcLang, trgLang)
+        var list = this.pairs[key] || (this.pairs[key] = [])
+        var sources = this.sources[key] || (this.sources[key] = new Map())
+        var entry = sources.get(texts.source)
+        if (!entry) {
+            entry = { srcLang: srcLang, trgLang: trgLang, source: texts.source }
+            list.push(entry)
+            sources.set(texts.source, entry)
+        }
+        entry.target = texts.target
+        entry.changed = (props && props.changed) || new Date().toISOString()
+        // The native codes behind the placeholders, and what TMX has
+        // to say about the pair.
+        if (props && props.codes) {
+            entry.codes = texts.order.map(n => props.codes[n] || {})
+        }
+        ;['tuid', 'props', 'notes'].forEach(name => {
+            if (props && props[name] != null) {
+                entry[name] = props[name]
+            }
+        })
+        return entry
+    }
+    entries(srcLang, trgLang) {
+        if (srcLang === undefined) {
+            return [].concat(...Object.keys(this.pairs).map(key => this.pairs[key]))
+        }
+        return this.pairs[TranslationMemory.pairKey(srcLang, trgLang)] || []
+    }
+    get size() {
+        return this.entries().length
+    }
+    // The best matches for a source text, best first. Each match has the
+    // entry, its score (0-100), the diff from the entry's source to the
+    // text, and the entry's target with the codes of the text put back.
+    lookup(srcLang, trgLang, source, minScore, max) {
+        minScore = minScore == null ? 70 : minScore
+        var texts = tagPlaceholders(source, null)
+        var length = fuzzyTokens(texts.source).length
+        var matches = []
+        // Without an exact language pair, 'en-US|de-DE' serves 'en|de'.
+        var wanted = TranslationMemory.pairKey(srcLang, trgLang)
+        var primary = key => key.split('|').map(lang => lang.split('-')[0]).join('|')
+        var keys = this.pairs[wanted] ? [wanted] : Object.keys(this.pairs).filter(key => primary(key) == primary(wanted))
+        var entries = [].concat(...keys.map(key => this.pairs[key]))
+        entries.forEach(entry => {
+            // The length difference alone can rule an entry out.
+            var other = entry.tokenCount || (entry.tokenCount = fuzzyTokens(entry.source).length)
+            var longest = Math.max(length, other)
+            if (longest && 100 * (1 - Math.abs(length - other) / longest) < minScore) {
+                return
+            }
+            var match = fuzzyMatch(entry.source, texts.source)
+            if (match.score >= minScore) {
+                var target = entry.target.replace(TAG_RE, ch => {
+                    var info = tagInfo(ch)
+                    return info.n < texts.order.length ? tagChar(info.kind, texts.order[info.n]) : ''
+                })
+                matches.push({ entry: entry, score: match.score, diff: match.diff, target: target })
+            }
+        })
+        matches.sort((a, b) => b.score - a.score || (b.entry.changed > a.entry.changed ? 1 : -1))
+        return max == null ? matches : matches.slice(0, max)
+    }
+    toJSON() {
+        return this.entries().map(e => {
+            var copy = {}
+            ;['srcLang', 'trgLang', 'source', 'target', 'changed', 'codes', 'tuid', 'props', 'notes'].forEach(name => {
+                if (e[name] != null) {
+                    copy[name] = e[name]
+                }
+            })
+            return copy
+        })
+    }
+    // Add the translation units of a TMX document. Every <tuv> in
+    // another language than the source becomes a pair. Returns the
+    // number of pairs added.
+    importTmx(text) {
+        var root = new XmlReader(text).parse().root
+        if (root.localName != 'tmx') {
+            throw new XmlParseError('Root element is <' + root.name + '>, not <tmx>', text, root.start)
+        }
+        var header = root.element('header')
+        var body = root.element('body')
+        var srcLang = header && header.attr('srclang')
+        var count = 0
+        ;(body ? body.elements('tu') : []).forEach(tu => {
+            var tuvs = tu.elements('tuv').filter(tuv => tuv.element('seg'))
+            var lang = tuv => tuv.attr('xml:lang') || tuv.attr('lang') || ''
+            var from = tu.attr('srclang') || srcLang
+            var source = !from || from == '*all*' ? tuvs[0] : tuvs.find(tuv => lang(tuv).toLowerCase() == from.toLowerCase())
+            if (!source) {
+                return
+            }
+            var codes = []
+            var keys = []
+            var sourceText = readTmxSeg(source.element('seg'), codes, keys)
+            if (sourceText == null) {
+                return
+            }
+            var props = {
+                tuid: tu.attr('tuid'),
+                codes: codes,
+                props: tu.elements('prop').map(prop => ({ type: prop.attr('type'), value: prop.textContent() })),
+                notes: tu.elements('note').map(note => note.textContent()),
+                changed: tmxDate(tu.attr('changedate') || tu.attr('creationdate'))
+            }
+            tuvs.forEach(tuv => {
+                var targetText = tuv != source ? readTmxSeg(tuv.element('seg'), codes, keys) : null
+                if (targetText != null && this.add(lang(source), lang(tuv), sourceText, targetText, props)) {
+                    count++
+                }
+            })
+        })
+        return count
+    }
+    // The memory, or the pairs of one language pair, as TMX 1.4b.
+    toTmx(srcLang, trgLang) {
+        var entries = srcLang === undefined ? this.entries() : this.entries(srcLang, trgLang)
+        var langs = entries.map(e => e.srcLang).filter((lang, i, all) => all.indexOf(lang) == i)
+        var out = [
+            '<?xml version="1.0" encoding="UTF-8"?>',
+            '<tmx version="1.4">',
+            '  <header creationtool="XliffEditor" creationtoolversion="2.0" datatype="xml" segtype="sentence"' +
+            ' adminlang="en" srclang="' + xmlEscape(langs.length == 1 ? langs[0] : '*all*', '"') + '" o-tmf="XliffEditor"/>',
+            '  <body>'
+        ]
+        entries.forEach(e => {
+            var attrs = (e.tuid != null ? ' tuid="' + xmlEscape(e.tuid, '"') + '"' : '') +
+                (e.changed ? ' changedate="' + xmlEscape(e.changed.replace(/[-:]|\.\d+/g, ''), '"') + '"' : '')
+            out.push('    <tu' + attrs + '>')
+            ;(e.props || []).forEach(prop => out.push('      <prop type="' + xmlEscape(prop.type || '', '"') + '">' + xmlEscape(prop.value) + '</prop>'))
+            ;(e.notes || []).forEach(note => out.push('      <note>' + xmlEscape(note) + '</note>'))
+            out.push('      <tuv xml:lang="' + xmlEscape(e.srcLang, '"') + '"><seg>' + writeTmxSeg(e.source, e.codes) + '</seg></tuv>')
+            out.push('      <tuv xml:lang="' + xmlEscape(e.trgLang, '"') + '"><seg>' + writeTmxSeg(e.target, e.codes) + '</seg></tuv>')
+            out.push('    </tu>')
+        })
+        out.push('  </body>', '</tmx>', '')
+        return out.join('\n')
+    }
+}
+
+// Source counts for quoting. Chinese and Japanese are written without
+// spaces, so each of their characters is a word. Characters leave out
+// whitespace; inline codes count as neither.
+const CJK_CHARS = '\\p{sc=Han}\\p{sc=Hiragana}\\p{sc=Katakana}'
+const WORD_CHAR = '(?:(?![' + CJK_CHARS + '])[\\p{L}\\p{N}\\p{M}_])'
+const WORD_RE = new RegExp('[' + CJK_CHARS + ']|' + WORD_CHAR + '+(?:[\'\u2019.,\\-]' + WORD_CHAR + '+)*', 'gu')
+function countWords(str) {
+    return (str.replace(TAG_RE, ' ').match(WORD_RE) || []).length
+}
+function countCharacters(str) {
+    return Array.from(str.replace(TAG_RE, '').replace(/\s/g, '')).length
+}
+
+// TM match bands of the analysis, best first. A segment goes into the
+// first band whose min its best match reaches.
+const ANALYSIS_BANDS = [
+    { name: '100%', min: 100 }, { name: '95-99%', min: 95 }, { name: '85-94%', min: 85 },
+    { name: '75-84%', min: 75 }, { name: '50-74%', min: 50 }, { name: 'No match', min: 0 }
+]
+// The analysis of a file, or of the whole document: counts of
+// { segments, words, characters } in total, for the repetitions, per
+// band, per state and for the segments that aren't to be translated.
+function newAnalysis(name) {
+    var counts = () => ({ segments: 0, words: 0, characters: 0 })
+    var bands = {}
+    var states = {}
+    ANALYSIS_BANDS.forEach(band => bands[band.name] = counts())
+    SEGMENT_STATES.forEach(state => states[state] = counts())
+    return { name: name, total: counts(), repetitions: counts(), bands: bands, states: states, locked: counts() }
+}
+function addCounts(into, counts) {
+    into.segments += counts.segments
+    into.words += counts.words
+    into.characters += counts.characters
+}
+// The rows of an analysis, as [label, counts].
+function analysisRows(analysis) {
+    return [['Total', analysis.total], ['Repetitions', analysis.repetitions]]
+        .concat(ANALYSIS_BANDS.map(band => [band.name, analysis.bands[band.name]]))
+        .concat(SEGMENT_STATES.map(state => ['State ' + state, analysis.states[state]]))
+        .concat([['Not translatable', analysis.locked]])
+}
+function csvField(value) {
+    value = String(value)
+    return /[",;\t\r\n]/.test(value) ? '"' + value.replace(/"/g, '""') + '"' : value
+}
+// A report (see XliffDocument.analyze) as CSV: a row per file and
+// category, then the document totals.
+function analysisCsv(report) {
+    var rows = [['File', 'Category', 'Segments', 'Words', 'Characters']]
+    report.files.concat([report]).forEach(part => analysisRows(part).forEach(row =>
+        rows.push([part == report ? 'All files' : part.name || '', row[0], row[1].segments, row[1].words, row[1].characters])))
+    return rows.map(row => row.map(csvField).join(',')).join('\r\n') + '\r\n'
+}
+
+// Machine translation providers are objects with a name and a
+// translate(segments, srcLang, tgtLang) method that returns a promise of
+// the translations, in order. Segments go out as markup: text with &, <
+// and > escaped, and the inline codes as <bx id="1"/>, <ex id="1"/> and
+// <x id="1"/> placeholders. Translations come back the same way.
+const MT_PLACEHOLDERS = { open: 'bx', close: 'ex', standalone: 'x' }
+const MT_KINDS = { bx: 'open', ex: 'close', x: 'standalone' }
+function mtEncode(str) {
+    return xmlEscape(str).replace(TAG_RE, ch => {
+        var info = tagInfo(ch)
+        return '<' + MT_PLACEHOLDERS[info.kind] + ' id="' + (info.n + 1) + '"/>'
+    })
+}
+// A translation back as segment text. Placeholders for codes the
+// segment hasn't got, repeated ones and any other markup are dropped.
+function mtDecode(str, tags) {
+    var used = {}
+    return decodeEntities(str.replace(/<(bx|ex|x)\s+id\s*=\s*["'](\d+)["']\s*\/>|<[^>]*>/gi, (all, name, id) => {
+        var kind = name && MT_KINDS[name.toLowerCase()]
+        var tag = kind && tags[id - 1]
+        if (!tag || !tag.markup(kind, 'source') || used[kind + id]) {
+            return ''
+        }
+        used[kind + id] = true
+        return tagChar(kind, id - 1)
+    }))
+}
+
+// A provider behind an HTTP endpoint. It gets { segments, srcLang,
+// tgtLang } POSTed as JSON and answers with { translations }. A stub
+// running on localhost is enough to try things out without a network.
+class HttpMtProvider {
+    constructor(url, name) {
+        this.url = url
+        this.name = name || url
+    }
+    translate(segments, srcLang, tgtLang) {
+        var body = JSON.stringify({ segments: segments, srcLang: srcLang, tgtLang: tgtLang })
+        return fetch(this.url, { method: 'POST', headers: { 'Content-Type': 'application/json' }, body: body })
+            .then(res => {
+                if (!res.ok) {
+                    throw new Error(this.name + ' answered ' + res.status + ' ' + res.statusText)
+                }
+                return res.json()
+            })
+            .then(data => data.translations)
+    }
+}
+
+// printf-style conversions: %s, %1$d, %.2f, %%.
+const PRINTF_RE = /%(?:\d+\$)?[-+ 0#]*(?:\d+|\*)?(?:\.\d+)?(?:hh|h|ll|l|L|z|j|t)?[diouxXeEfFgGaAcspn@%]/
+// Placeholders of the usual message formats: {0}, {name} and ICU
+// arguments, which nest ({n, plural, one {# file} other {# files}}),
+// Mustache {{name}}, template ${name} and printf.
+// Returns their { from, to, text } in str.
+function findPlaceholders(str) {
+    var re = new RegExp('\\{\\{[^{}]*\\}\\}|\\$\\{[^{}]*\\}|\\{|' + PRINTF_RE.source, 'g')
+    var found = []
+    var m
+    while ((m = re.exec(str))) {
+        var to = re.lastIndex
+        if (m[0] == '{') {
+            // A brace that isn't closed is just a brace.
+            var end = closingBrace(str, m.index)
+            if (end == -1) {
+                continue
+            }
+            re.lastIndex = to = end + 1
+        }
+        found.push({ from: m.index, to: to, text: str.slice(m.index, to) })
+    }
+    return found
+}
+// Where the brace at from is closed, or -1 when it isn't.
+function closingBrace(str, from) {
+    for (var depth = 0, i = from; i < str.length; ++i) {
+        var ch = str.charAt(i)
+        if (ch == '{') {
+            ++depth
+        } else if (ch == '}' && !--depth) {
+            return i
+        }
+    }
+    return -1
+}
+// The positions of the braces in str that have no partner.
+function unbalancedBraces(str) {
+    var open = []
+    var stray = []
+    for (var i = 0; i < str.length; ++i) {
+        if (str.charAt(i) == '{') {
+            open.push(i)
+        } else if (str.charAt(i) == '}') {
+            if (open.length) {
+                open.pop()
+            } else {
+                stray.push(i)
+            }
+        }
+    }
+    return stray.concat(open)
+}
+// The placeholders of a text as a set of keys, to compare source and
+// target by. ICU arguments ({n, plural, ...}) count by their name, plus
+// what their messages hold, since the messages get translated.
+function placeholderKeys(str) {
+    var keys = {}
+    findPlaceholders(str).forEach(ph => {
+        var arg = /^\{\s*([^{}\s,]+)\s*,\s*[\w-]+\s*,?/.exec(ph.text)
+        if (!arg || ph.text.charAt(1) == '{') {
+            keys[ph.text] = true
+            return
+        }
+        keys['{' + arg[1] + '}'] = true
+        var body = ph.text.slice(arg[0].length, -1)
+        for (var i = body.indexOf('{'); i != -1; i = body.indexOf('{', end + 1)) {
+            var end = closingBrace(body, i)
+            Object.assign(keys, placeholderKeys(body.slice(i + 1, end)))
+        }
+    })
+    return keys
+}
+
+// Pseudo-localization transforms: letters swapped for accented ones,
+// the text padded by expansion percent, brackets around it, and mirror
+// to show it right-to-left.
+const PSEUDO_DEFAULTS = { accents: true, expansion: 30, brackets: ['[', ']'], mirror: false }
+const PSEUDO_LETTERS = 'abcdefghijklmnopqrstuvwxyzABCDEFGHIJKLMNOPQRSTUVWXYZ'
+const PSEUDO_ACCENTED = '\u00e5\u0180\u00e7\u00f0\u00e9\u0192\u011d\u0125\u00ee\u0135\u0137\u013c\u0271\u00f1\u00f6\u00fe\u01eb\u0155\u0161\u0163\u00fb\u1e7d\u0175\u1e8b\u00fd\u017e' +
+    '\u00c5\u0181\u00c7\u00d0\u00c9\u0191\u011c\u0124\u00ce\u0134\u0136\u013b\u1e40\u00d1\u00d6\u00de\u01ea\u0154\u0160\u0162\u00db\u1e7c\u0174\u1e8a\u00dd\u017d'
+
+// The pseudo-translation of a segment text. Inline codes, line breaks
+// and placeholders are copied as they are; only the text between them
+// is transformed.
+function pseudoTranslation(str, transforms) {
+    if (!str) {
+        return ''
+    }
+    var t = Object.assign({}, PSEUDO_DEFAULTS, transforms)
+    var parts = []
+    var length = 0
+    var pos = 0
+    var text = part => {
+        if (!part) {
+            return
+        }
+        if (t.accents) {
+            part = part.replace(/[a-zA-Z]/g, ch => PSEUDO_ACCENTED.charAt(PSEUDO_LETTERS.indexOf(ch)))
+        }
+        parts.push(t.mirror && part.trim() ? '\u202e' + part + '\u202c' : part)
+        length += part.length
+    }
+    var kept = findPlaceholders(str)
+    str.replace(/[\n\uE100-\uE3FF]/g, (ch, at) => kept.push({ from: at, to: at + 1, text: ch }))
+    kept.sort((a, b) => a.from - b.from).forEach(k => {
+        // Codes inside a placeholder go with it.
+        if (k.from >= pos) {
+            text(str.slice(pos, k.from))
+            parts.push(k.text)
+            pos = k.to
+        }
+    })
+    text(str.slice(pos))
+    var pad = Math.ceil(length * (t.expansion || 0) / 100)
+    var brackets = t.brackets || ['', '']
+    return brackets[0] + parts.join('') + (pad > 1 ? ' ' + '~'.repeat(pad - 1) : pad ? '~' : '') + brackets[1]
+}
+
+// Term statuses, from TBX administrativeStatus/normativeAuthorization
+// values or plain CSV words. Terms with these mustn't be used.
+const TERM_FORBIDDEN = { deprecated: true, superseded: true, forbidden: true }
+
+function termStatus(value) {
+    var status = (value || '').trim().replace(/-admn-sts$/, '').replace(/Term$/, '').toLowerCase()
+    switch (status) {
+        case 'standardized':
+        case 'legal':
+        case 'regulated':
+            return 'preferred'
+        case 'notrecommended':
+        case 'obsolete':
+            return 'deprecated'
+        default:
+            return status || null
+    }
+}
+function primaryLanguage(lang) {
+    return (lang || '').toLowerCase().split(/[-_]/)[0]
+}
+
+// Split CSV (RFC 4180, with ',', ';' or tab as the separator, as found
+// in the first line) into rows of fields.
+function parseCsv(text) {
+    var first = text.split('\n')[0]
+    var sep = [',', ';', '\t'].reduce((a, b) => first.split(b).length > first.split(a).length ? b : a)
+    var rows = []
+    var row = []
+    var field = ''
+    for (var i = 0, quoted = false; i < text.length; ++i) {
+        var ch = text.charAt(i)
+        if (quoted) {
+            if (ch == '"' && text.charAt(i + 1) == '"') {
+                field += ch
+                ++i
+            } else if (ch == '"') {
+                quoted = false
+            } else {
+                field += ch
+            }
+        } else if (ch == '"') {
+            quoted = true
+        } else if (ch == sep) {
+            row.push(field)
+            field = ''
+        } else if (ch == '\n' || ch == '\r') {
+            if (ch == '\r' && text.charAt(i + 1) == '\n') {
+                ++i
+            }
+            row.push(field)
+            rows.push(row)
+            row = []
+            field = ''
+        } else {
+            field += ch
+        }
+    }
+    if (field || row.length) {
+        row.push(field)
+        rows.push(row)
+    }
+    return rows.filter(r => r.some(f => f.trim()))
+}
+
+// A termbase: a list of concepts, each with its terms in a number of
+// languages. A term is { lang, text, status, partOfSpeech }.
+class Termbase {
+    constructor() {
+        this.concepts = []
+        this.index = null
+    }
+    addConcept(concept) {
+        concept.terms = concept.terms.filter(term => term.text)
+        if (concept.terms.length) {
+            this.concepts.push(concept)
+            this.index = null
+        }
+        return concept
+    }
+    // Load the concepts of a TBX file, TBX 2008 (<martif>, <termEntry>)
+    // or TBX v3 (<tbx>, <conceptEntry>). Returns the number of concepts.
+    importTbx(text) {
+        var root = new XmlReader(text).parse().root
+        if (root.localName != 'martif' && root.localName != 'tbx') {
+            throw new XmlParseError('Root element is <' + root.name + '>, not <martif> or <tbx>', text, root.start)
+        }
+        var find = (node, names, out) => {
+            node.elements().forEach(child => names.indexOf(child.localName) != -1 ? out.push(child) : find(child, names, out))
+            return out
+        }
+        var descrip = (node, type) => {
+            var found = node.elements('descrip').concat(...node.elements('descripGrp').map(g => g.elements('descrip')))
+                .find(d => d.attr('type') == type)
+            return found ? found.textContent().trim() : null
+        }
+        var count = this.concepts.length
+        find(root, ['termEntry', 'conceptEntry'], []).forEach(entry => {
+            var concept = { id: entry.attr('id'), definition: descrip(entry, 'definition'), terms: [] }
+            find(entry, ['langSet', 'langSec'], []).forEach(langSet => {
+                var lang = langSet.attr('xml:lang') || langSet.attr('lang')
+                concept.definition = concept.definition || descrip(langSet, 'definition')
+                find(langSet, ['tig', 'ntig', 'termSec'], []).forEach(tig => {
+                    var term = find(tig, ['term'], [])[0]
+                    var notes = find(tig, ['termNote'], [])
+                    var note = type => {
+                        var found = notes.find(n => n.attr('type') == type)
+                        return found ? found.textContent().trim() : null
+                    }
+                    concept.terms.push({
+                        lang: lang,
+                        text: term ? term.textContent().trim() : '',
+                        status: termStatus(note('administrativeStatus') || note('normativeAuthorization')),
+                        partOfSpeech: note('partOfSpeech')
+                    })
+                })
+            })
+            this.addConcept(concept)
+        })
+        return this.concepts.length - count
+    }
+    // Load a CSV glossary. The first row names the columns: a language
+    // code for terms ('en', 'de-DE'), '<lang> status' for their status,
+    // and 'definition'. Several terms in one field are separated by '|'.
+    importCsv(text) {
+        var rows = parseCsv(text)
+        var header = (rows.shift() || []).map(name => name.trim())
+        var count = this.concepts.length
+        rows.forEach((row, n) => {
+            var concept = { id: 'csv' + (n + 1), definition: null, terms: [] }
+            header.forEach((name, i) => {
+                var value = (row[i] || '').trim()
+                if (/^definition$/i.test(name)) {
+                    concept.definition = value || null
+                } else if (!/[\s:]status$/i.test(name)) {
+                    var status = header.findIndex(other => other.toLowerCase() == name.toLowerCase() + ' status' ||
+                        other.toLowerCase() == name.toLowerCase() + ':status')
+                    value.split('|').forEach(term => concept.terms.push({
+                        lang: name,
+                        text: term.trim(),
+                        status: status == -1 ? null : termStatus(row[status]),
+                        partOfSpeech: null
+                    }))
+                }
+            })
+            this.addConcept(concept)
+        })
+        return this.concepts.length - count
+    }
+    // Terms by primary language, longest first, so the longest of
+    // overlapping terms wins.
+    termsOf(lang) {
+        if (!this.index) {
+            this.index = {}
+            this.concepts.forEach(concept => concept.terms.forEach(term => {
+                var key = primaryLanguage(term.lang)
+                ;(this.index[key] = this.index[key] || []).push({ concept: concept, term: term, lower: term.text.toLowerCase() })
+            }))
+            Object.keys(this.index).forEach(key => this.index[key].sort((a, b) => b.lower.length - a.lower.length))
+        }
+        return this.index[primaryLanguage(lang)] || []
+    }
+    // The terms of a language found in a text, as { from, to, concept,
+    // term }, in text order. Terms match whole words, ignoring case;
+    // filter can limit the terms looked for.
+    recognize(text, lang, filter) {
+        var lower = text.toLowerCase()
+        var found = []
+        var wordChar = /[\p{L}\p{N}_]/u
+        this.termsOf(lang).forEach(t => {
+            if (filter && !filter(t.term, t.concept)) {
+                return
+            }
+            for (var pos = lower.indexOf(t.lower); pos != -1; pos = lower.indexOf(t.lower, pos + 1)) {
+                var end = pos + t.lower.length
+                if (wordChar.test(lower.charAt(pos - 1)) || wordChar.test(lower.charAt(end)) ||
+                    found.some(f => f.from < end && pos < f.to)) {
+                    continue
+                }
+                found.push({ from: pos, to: end, concept: t.concept, term: t.term })
+            }
+        })
+        return found.sort((a, b) => a.from - b.from)
+    }
+    // The terms a concept has in a language.
+    equivalents(concept, lang) {
+        return concept.terms.filter(term => primaryLanguage(term.lang) == primaryLanguage(lang))
+    }
+}
+
+// (Re)create the term marks of a line, like markInlineTags.
+function markTerms(line, found, style) {
+    if (line.marked) {
+        line.marked = line.marked.filter(m => m.term == null)
+    }
+    found.forEach(f => {
+        line.addMark(f.from, f.to, style).term = f.concept
+    })
+    if (line.marked && !line.marked.length) {
+        line.marked = null
+    }
+}
+
+// A Hunspell dictionary, from the text of its .aff and .dic files.
+// Words are checked by taking off at most one prefix and one suffix and
+// looking up what is left; compounding and twofold affixes aren't
+// supported. Suggestions are the checked words one edit away, plus the
+// REP replacements.
+class Hunspell {
+    constructor(aff, dic) {
+        this.flagType = 'short'
+        this.aliases = null
+        this.tryChars = ''
+        this.wordChars = ''
+        this.rep = []
+        this.prefixes = Object.create(null)
+        this.suffixes = Object.create(null)
+        this.words = Object.create(null)
+        this.flags = {}
+        this.readAff(aff)
+        this.readDic(dic)
+    }
+    parseFlags(str) {
+        if (this.aliases && /^\d+$/.test(str)) {
+            str = this.aliases[str - 1] || ''
+        }
+        var list = this.flagType == 'long' ? str.match(/[^]{1,2}/g) || []
+            : this.flagType == 'num' ? str.split(',')
+            : Array.from(str)
+        var set = Object.create(null)
+        list.forEach(flag => set[flag] = true)
+        return set
+    }
+    readAff(text) {
+        var pending = {}
+        text.split(/\r?\n/).forEach(line => {
+            var f = line.trim().split(/\s+/)
+            switch (f[0]) {
+                case 'FLAG':
+                    this.flagType = f[1] == 'UTF-8' ? 'short' : f[1]
+                    break
+                case 'AF':
+                    // The first AF line gives the count.
+                    if (this.aliases) {
+                        this.aliases.push(f[1])
+                    } else {
+                        this.aliases = []
+                    }
+                    break
+                case 'TRY':
+                    this.tryChars = f[1] || ''
+                    break
+                case 'WORDCHARS':
+                    this.wordChars = f[1] || ''
+                    break
+                case 'REP':
+                    if (f.length > 2) {
+                        this.rep.push([f[1], f[2]].map(str => str.replace(/_/g, ' ')))
+                    }
+                    break
+                case 'FORBIDDENWORD':
+                case 'NEEDAFFIX':
+                case 'PSEUDOROOT':
+                case 'ONLYINCOMPOUND':
+                case 'KEEPCASE':
+                case 'NOSUGGEST':
+                    this.flags[f[0] == 'PSEUDOROOT' ? 'NEEDAFFIX' : f[0]] = f[1]
+                    break
+                case 'PFX':
+                case 'SFX':
+                    var key = f[0] + f[1]
+                    if (!pending[key]) {
+                        pending[key] = { cross: f[2] == 'Y', count: +f[3] }
+                        break
+                    }
+                    var header = pending[key]
+                    if (!--header.count) {
+                        delete pending[key]
+                    }
+                    var add = (f[3] || '').split('/')
+                    var entry = {
+                        flag: f[1],
+                        cross: header.cross,
+                        strip: f[2] == '0' ? '' : f[2],
+                        add: add[0] == '0' ? '' : add[0],
+                        cond: null
+                    }
+                    var cond = f[4] && f[4] != '.' ? f[4] : ''
+                    try {
+                        entry.cond = new RegExp(f[0] == 'PFX' ? '^' + cond : cond + '$', 'u')
+                    } catch (e) {
+                        entry.cond = /^/
+                    }
+                    var table = f[0] == 'PFX' ? this.prefixes : this.suffixes
+                    ;(table[entry.add] = table[entry.add] || []).push(entry)
+                    break
+            }
+        })
+    }
+    readDic(text) {
+        text.split(/\r?\n/).slice(1).forEach(line => {
+            // Morphological fields follow a tab, or a space before "xx:".
+            var entry = line.split('\t')[0].replace(/\s+\S\S:.*$/, '').trim()
+            if (!entry) {
+                return
+            }
+            var slash = entry.search(/[^\\]\//)
+            var word = (slash == -1 ? entry : entry.slice(0, slash + 1)).replace(/\\\//g, '/')
+            var flags = this.parseFlags(slash == -1 ? '' : entry.slice(slash + 2))
+            ;(this.words[word] = this.words[word] || []).push(flags)
+        })
+    }
+    // Add a word (without affixes), as for a personal dictionary.
+    add(word) {
+        (this.words[word] = this.words[word] || []).push(Object.create(null))
+    }
+    check(word) {
+        if (this.checkForm(word, false)) {
+            return true
+        }
+        // Words can be capitalized, or all upper case, where the
+        // dictionary has them in lower case.
+        var lower = word.toLowerCase()
+        var capital = lower.charAt(0).toUpperCase() + lower.slice(1)
+        if (word != lower && word == word.toUpperCase()) {
+            return this.checkForm(capital, true) || this.checkForm(lower, true)
+        }
+        return word == capital && word != lower && this.checkForm(lower, true)
+    }
+    checkForm(word, recased) {
+        var flags = this.flags
+        var ok = set => !set[flags.FORBIDDENWORD] && !set[flags.ONLYINCOMPOUND] && !(recased && set[flags.KEEPCASE])
+        var homonyms = this.words[word] || []
+        if (homonyms.some(set => set[flags.FORBIDDENWORD])) {
+            return false
+        }
+        if (homonyms.some(set => ok(set) && !set[flags.NEEDAFFIX])) {
+            return true
+        }
+        var has = (stem, flag, other) => (this.words[stem] || []).some(set => set[flag] && (!other || set[other]) && ok(set))
+        // A suffix, possibly with a prefix too.
+        for (var i = 0; i <= word.length; ++i) {
+            var suffixes = this.suffixes[word.slice(word.length - i)] || []
+            for (var k = 0; k < suffixes.length; ++k) {
+                var sfx = suffixes[k]
+                var stem = word.slice(0, word.length - i) + sfx.strip
+                if (!stem || !sfx.cond.test(stem)) {
+                    continue
+                }
+                if (has(stem, sfx.flag) || (sfx.cross && this.checkPrefix(stem, (root, pfx) => pfx.cross && has(root, sfx.flag, pfx.flag)))) {
+                    return true
+                }
+            }
+        }
+        return this.checkPrefix(word, (root, pfx) => has(root, pfx.flag))
+    }
+    // Whether test(root, prefix) holds for a way of taking a prefix off
+    // word.
+    checkPrefix(word, test) {
+        for (var j = 0; j <= word.length; ++j) {
+            var prefixes = this.prefixes[word.slice(0, j)] || []
+            for (var k = 0; k < prefixes.length; ++k) {
+                var root = prefixes[k].strip + word.slice(j)
+                if (root && prefixes[k].cond.test(root) && test(root, prefixes[k])) {
+                    return true
+                }
+            }
+        }
+        return false
+    }
+    suggest(word, max) {
+        max = max || 8
+        var found = []
+        var flags = this.flags
+        var tryWord = (w, checked) => {
+            if (found.length < max && w && w != word && found.indexOf(w) == -1 && (checked || this.check(w)) &&
+                !(this.words[w] || []).some(set => set[flags.NOSUGGEST])) {
+                found.push(w)
+            }
+        }
+        this.rep.forEach(r => {
+            for (var i = word.indexOf(r[0]); i != -1; i = word.indexOf(r[0], i + 1)) {
+                tryWord(word.slice(0, i) + r[1] + word.slice(i + r[0].length))
+            }
+        })
+        tryWord(word.toLowerCase())
+        tryWord(word.charAt(0).toUpperCase() + word.slice(1).toLowerCase())
+        var chars = Array.from(new Set(Array.from(this.tryChars || 'esianrtolcdugmphbyfvkwzxjq')))
+        for (var i = 0; i < word.length; ++i) {
+            tryWord(word.slice(0, i) + word.charAt(i + 1) + word.charAt(i) + word.slice(i + 2))
+        }
+        for (var i = 0; i < word.length; ++i) {
+            tryWord(word.slice(0, i) + word.slice(i + 1))
+        }
+        for (var i = 0; i <= word.length; ++i) {
+            chars.forEach(ch => {
+                if (i < word.length) {
+                    tryWord(word.slice(0, i) + ch + word.slice(i + 1))
+                }
+                tryWord(word.slice(0, i) + ch + word.slice(i))
+            })
+        }
+        // Two words run together.
+        for (var i = 1; i < word.length; ++i) {
+            if (this.check(word.slice(0, i)) && this.check(word.slice(i))) {
+                tryWord(word.slice(0, i) + ' ' + word.slice(i), true)
+            }
+        }
+        return found
+    }
+}
+
+// (Re)create the spelling marks of a line (found is { from, to, word }),
+// leaving out words that other marks already cover.
+function markMisspellings(line, found) {
+    if (line.marked) {
+        line.marked = line.marked.filter(m => m.spelling == null)
+    }
+    // Codes and terms have their own marks; changes can be misspelled.
+    found.forEach(f => {
+        if (!(line.marked || []).some(m => (m.tag != null || m.term != null) && m.from < f.to && f.from < m.to)) {
+            line.addMark(f.from, f.to, 'XliffEditor-misspelled').spelling = f.word
+        }
+    })
+    if (line.marked && !line.marked.length) {
+        line.marked = null
+    }
+}
+
+// QA checks. A rule is { id, severity, check(seg, target, context) },
+// where target is the segment's current text and context has srcLang,
+// trgLang, line and repetitions() (the other segments with the same
+// source, as { line, segment, target }). check returns a list of
+// { message, from, to, severity }; from/to, when given, are positions
+// in target, and severity overrides the rule's.
+const QA_SEVERITIES = ['info', 'warning', 'error']
+const QA_ICONS = { error: '\u2716', warning: '\u26a0', info: '\u2139' }
+
+function worstSeverity(issues) {
+    return (issues || []).reduce((worst, issue) =>
+        QA_SEVERITIES.indexOf(issue.severity) > QA_SEVERITIES.indexOf(worst) ? issue.severity : worst, null)
+}
+// Numbers of a text, with their positions. Group and decimal separators
+// differ between languages, so only the digits are compared.
+function qaNumbers(str) {
+    var found = []
+    var re = /\p{Nd}+(?:[.,\u00a0\u202f'\u2019]\p{Nd}+)*/gu
+    var m
+    while ((m = re.exec(str))) {
+        found.push({ value: m[0].replace(/\P{Nd}/gu, ''), from: m.index, to: m.index + m[0].length })
+    }
+    return found
+}
+// Items of b that a lacks, matched by key, counting repeats.
+function qaExtra(a, b, key) {
+    var left = a.map(key)
+    return b.filter(item => {
+        var i = left.indexOf(key(item))
+        if (i == -1) {
+            return true
+        }
+        left.splice(i, 1)
+        return false
+    })
+}
+const QA_END_PUNCTUATION = { '.': '.', '\u3002': '.', '!': '!', '\uff01': '!', '?': '?', '\uff1f': '?', ':': ':', '\uff1a': ':', ';': ';', '\uff1b': ';', '\u2026': '\u2026' }
+
+const QA_RULES = [
+    {
+        id: 'empty',
+        severity: 'warning',
+        check: (seg, target) => plainText(target).trim() ? [] : [{ message: 'Target is empty' }]
+    },
+    {
+        id: 'tags',
+        severity: 'error',
+        check: (seg, target) => {
+            var chars = str => (str.match(TAG_RE) || []).map(ch => ({ ch: ch, from: str.indexOf(ch) }))
+            var name = ch => TAG_GLYPHS[tagInfo(ch).kind] + (tagInfo(ch).n + 1)
+            var missing = qaExtra(chars(target), chars(seg.source), c => c.ch)
+            var extra = qaExtra(chars(seg.source), chars(target), c => c.ch)
+            return missing.map(c => ({ message: 'Missing inline code ' + name(c.ch) }))
+                .concat(extra.map(c => ({ message: 'Extra inline code ' + name(c.ch), from: c.from, to: c.from + 1 })))
+        }
+    },
+    {
+        id: 'numbers',
+        severity: 'error',
+        check: (seg, target) => {
+            var source = qaNumbers(seg.source)
+            var numbers = qaNumbers(target)
+            return qaExtra(numbers, source, n => n.value).map(n => ({ message: 'Missing number ' + seg.source.slice(n.from, n.to) }))
+                .concat(qaExtra(source, numbers, n => n.value).map(n => ({ message: 'Extra number ' + target.slice(n.from, n.to), from: n.from, to: n.to })))
+        }
+    },
+    {
+        id: 'doubleSpace',
+        severity: 'warning',
+        check: (seg, target) => {
+            var found = []
+            var re = / {2,}/g
+            var m
+            while ((m = re.exec(target))) {
+                found.push({ message: 'Doubled space', from: m.index, to: m.index + m[0].length })
+            }
+            return found
+        }
+    },
+    {
+        id: 'whitespace',
+        severity: 'warning',
+        check: (seg, target) => {
+            var text = target.replace(LINE_BREAK_RE, '\n')
+            var lead = str => /^\s*/.exec(str)[0]
+            var trail = str => /\s*$/.exec(str)[0]
+            var found = []
+            if (lead(text) != lead(seg.source)) {
+                found.push({ message: 'Leading whitespace differs from the source', from: 0, to: lead(text).length })
+            }
+            if (trail(text) != trail(seg.source)) {
+                found.push({ message: 'Trailing whitespace differs from the source', from: text.length - trail(text).length, to: text.length })
+            }
+            return found
+        }
+    },
+    {
+        id: 'endPunctuation',
+        severity: 'warning',
+        check: (seg, target) => {
+            var last = str => plainText(str).trim().slice(-1)
+            var a = last(seg.source)
+            var b = last(target)
+            if ((QA_END_PUNCTUATION[a] || QA_END_PUNCTUATION[b]) && QA_END_PUNCTUATION[a] != QA_END_PUNCTUATION[b]) {
+                var end = target.lastIndexOf(b)
+                return [{ message: 'Source ends with "' + a + '", target with "' + b + '"', from: end, to: end + 1 }]
+            }
+            return []
+        }
+    },
+    {
+        id: 'sameAsSource',
+        severity: 'warning',
+        check: (seg, target) => /\p{L}/u.test(plainText(seg.source)) && plainText(target).replace(LINE_BREAK_RE, '\n') == plainText(seg.source)
+            ? [{ message: 'Target is the same as the source' }]
+            : []
+    },
+    {
+        id: 'placeholders',
+        severity: 'error',
+        check: (seg, target) => {
+            var source = placeholderKeys(seg.source)
+            var keys = placeholderKeys(target)
+            var at = key => target.indexOf(key) == -1 ? {} : { from: target.indexOf(key), to: target.indexOf(key) + key.length }
+            var found = Object.keys(source).filter(key => !keys[key]).map(key => ({ message: 'Missing placeholder ' + key }))
+                .concat(Object.keys(keys).filter(key => !source[key]).map(key => Object.assign({ message: 'Placeholder ' + key + ' is not in the source' }, at(key))))
+            // Stray braces only count where the source has none.
+            if (!unbalancedBraces(seg.source).length) {
+                unbalancedBraces(target).forEach(pos => found.push({ message: 'Unbalanced brace', from: pos, to: pos + 1 }))
+            }
+            return found
+        }
+    },
+    {
+        id: 'consistency',
+        severity: 'warning',
+        check: (seg, target, context) => {
+            var other = context.repetitions().find(r => r.target && r.target != target)
+            return other ? [{ message: 'Repeated source translated differently in segment ' + other.number }] : []
+        }
+    }
+]
+
+class XliffEditor {
+    constructor(place, givenOptions) {
+        //#region Prepare Defaults
+        const options = {
+            value: '',
+            xliff: null,
+            mode: null,
+            indentUnit: 2,
+            indentWithTabs: false,
+            tabMode: 'classic',
+            enterMode: 'indent',
+            electricChars: true,
+            onKeyEvent: null,
+            lineNumbers: true,
+            gutter: false,
+            firstLineNumber: 1,
+            sourceWidth: '30em',
+            filterBar: null,
+            viewBar: null,
+            searchBar: null,
+            tm: null,
+            tmPanel: null,
+            tmMinScore: 70,
+            tmMaxMatches: 5,
+            mt: null,
+            mtPanel: null,
+            mtBatchSize: 20,
+            termbase: null,
+            termPanel: null,
+            reviewer: 'Reviewer',
+            notesPanel: null,
+            review: false,
+            qa: false,
+            qaRules: null,
+            qaPanel: null,
+            analysisPanel: null,
+            dictionaries: null,
+            projectDictionary: null,
+            insertTagKey: 188,
+            copyTagKey: 190,
+            splitKey: 83,
+            mergeKey: 77,
+            pseudoKey: 76,
+            srx: null,
+            confirmState: 'translated',
+            propagate: false,
+            propagateOverwrite: false,
+            onStateChange: null,
+            onStateRefused: null,
+            readOnly: false,
+            onChange: null,
+            onCursorActivity: null,
+            onGutterClick: null,
+            onFocus: null,
+            onBlur: null,
+            onScroll: null,
+            matchBrackets: false,
+            workTime: 100,
+            workDelay: 200,
+            undoDepth: 40,
+            tabindex: null
+        }
+
+        for (var opt in options) {
+            if (givenOptions.hasOwnProperty(opt)) {
+                options[opt] = givenOptions[opt]
+            }
+        }
+        //#endregion
+
+        //#region Prepare DOM
+        const wrapper = place
+        wrapper.className = 'XliffEditor'
+
+        const code = document.createElement('div')
+        code.style.position = 'relative'
+        wrapper.appendChild(code)
+
+        const measure = document.createElement('pre')
+        measure.style.position = 'relative'
+        measure.style.height = 0
+        measure.style.visibility = 'hidden'
+        measure.style.overflow = 'hidden'
+        code.appendChild(measure)
+
+        const measureSpan = document.createElement('span')
+        measureSpan.innerText = 'xxxxxxxxxxxxxxxxxxxxxxxxxxxxxxxxxxxxxxxx'
+        measure.appendChild(measureSpan)
+
+        const mover = document.createElement('div')
+        mover.style.position = 'relative'
+        code.appendChild(mover)
+
+        const gutter = document.createElement('div')
+        gutter.className = 'XliffEditor-gutter'
+        mover.appendChild(gutter)
+
+        const gutterText = document.createElement('div')
+        gutterText.className = 'XliffEditor-gutter-text'
+        gutter.appendChild(gutterText)
+
+        // Read-only source column of the segment grid. Rows line up with
+        // the target lines, the same way the gutter's do.
+        const sourcePane = document.createElement('div')
+        sourcePane.className = 'XliffEditor-sourcepane'
+        sourcePane.style.display = 'none'
+        mover.appendChild(sourcePane)
+
+        const sourceText = document.createElement('div')
+        sourceText.className = 'XliffEditor-sourcepane-text'
+        sourcePane.appendChild(sourceText)
+
+        const inputDiv = document.createElement('div')
+        inputDiv.style.overflow = 'hidden'
+        inputDiv.style.position = 'absolute'
+        inputDiv.style.width = 0
+        inputDiv.style.left = 0
+        mover.appendChild(inputDiv)
+
+        const input = document.createElement('textarea')
+        input.style.height = '1px'
+        input.style.position = 'absolute'
+        input.style.width = '1px'
+        input.wrap = 'off'
+        inputDiv.appendChild(input)
+
+        const editorLines = document.createElement('div')
+        editorLines.className = 'XliffEditor-lines'
+        mover.appendChild(editorLines)
+
+        const lineSpace = document.createElement('div')
+        lineSpace.style.position = 'relative'
+        editorLines.appendChild(lineSpace)
+
+        const cursor = document.createElement('pre')
+        cursor.className = 'XliffEditor-cursor'
+        cursor.innerHTML = '&#160;'
+        lineSpace.appendChild(cursor)
+
+        const lineDiv = document.createElement('div')
+        lineSpace.appendChild(lineDiv)
+
+        // The search and replace bar, put into options.searchBar.
+        var searchBar = null
+        if (options.searchBar) {
+            searchBar = document.createElement('div')
+            searchBar.className = 'XliffEditor-searchbar'
+            searchBar.innerHTML =
+                '<input name="query" placeholder="Find">' +
+                '<input name="replacement" placeholder="Replace with">' +
+                '<select name="scope"><option value="target">Target</option><option value="source">Source</option>' +
+                '<option value="notes">Notes</option></select>' +
+                '<select name="mode"><option value="plain">Plain</option><option value="regex">Regex</option>' +
+                '<option value="word">Whole word</option></select>' +
+                '<label><input name="caseSensitive" type="checkbox"> Match case</label>' +
+                '<button name="previous" type="button">Previous</button>' +
+                '<button name="next" type="button">Next</button>' +
+                '<button name="replace" type="button">Replace</button>' +
+                '<button name="replaceAll" type="button">Replace all</button>' +
+                '<span class="XliffEditor-searchbar-count"></span>'
+            options.searchBar.appendChild(searchBar)
+        }
+
+        // The translation memory matches of the current segment, put into
+        // options.tmPanel.
+        var tmPanel = null
+        if (options.tmPanel) {
+            tmPanel = document.createElement('div')
+            tmPanel.className = 'XliffEditor-tmpanel'
+            options.tmPanel.appendChild(tmPanel)
+        }
+
+        // The machine translation of the current segment, put into
+        // options.mtPanel.
+        var mtPanel = null
+        if (options.mtPanel) {
+            mtPanel = document.createElement('div')
+            mtPanel.className = 'XliffEditor-mtpanel'
+            options.mtPanel.appendChild(mtPanel)
+        }
+
+        // The glossary entries of the current segment, put into
+        // options.termPanel.
+        var termPanel = null
+        if (options.termPanel) {
+            termPanel = document.createElement('div')
+            termPanel.className = 'XliffEditor-termpanel'
+            options.termPanel.appendChild(termPanel)
+        }
+
+        // The notes and comments of the current segment, put into
+        // options.notesPanel.
+        var notesPanel = null
+        if (options.notesPanel) {
+            notesPanel = document.createElement('div')
+            notesPanel.className = 'XliffEditor-notespanel'
+            options.notesPanel.appendChild(notesPanel)
+        }
+
+        // The QA issue list, put into options.qaPanel.
+        var qaPanel = null
+        if (options.qaPanel) {
+            qaPanel = document.createElement('div')
+            qaPanel.className = 'XliffEditor-qapanel'
+            options.qaPanel.appendChild(qaPanel)
+        }
+
+        // The analysis report (see XliffDocument.analyze), put into
+        // options.analysisPanel.
+        var analysisPanel = null
+        if (options.analysisPanel) {
+            analysisPanel = document.createElement('div')
+            analysisPanel.className = 'XliffEditor-analysispanel'
+            analysisPanel.innerHTML = '<button name="analyze" type="button">Analyze</button><div class="XliffEditor-analysis"></div>'
+            options.analysisPanel.appendChild(analysisPanel)
+        }
+
+        // Buttons to switch between the grid and the raw view, when
+        // options.viewBar names an element to put them in.
+        var viewBar = null
+        if (options.viewBar) {
+            viewBar = document.createElement('div')
+            viewBar.className = 'XliffEditor-viewbar'
+            viewBar.innerHTML = '<button name="grid" type="button" class="XliffEditor-viewbar-active">Grid</button>' +
+                '<button name="raw" type="button">XML</button><span class="XliffEditor-viewbar-error"></span>'
+            options.viewBar.appendChild(viewBar)
+        }
+
+        // The filter toolbar, when options.filterBar names an element to
+        // put it in.
+        var filterBar = null
+        if (options.filterBar) {
+            filterBar = document.createElement('div')
+            filterBar.className = 'XliffEditor-filterbar'
+            filterBar.innerHTML =
+                '<select name="state"><option value="">All states</option><option value="untranslated">Untranslated</option>' +
+                SEGMENT_STATES.map(st => '<option value="' + st + '">' + st + '</option>').join('') + '</select>' +
+                '<select name="file"><option value="">All files</option></select>' +
+                '<input name="source" placeholder="Source contains">' +
+                '<input name="target" placeholder="Target contains">' +
+                '<label><input name="regex" type="checkbox"> Regex</label>' +
+                '<button name="clear" type="button">Clear</button>' +
+                '<span class="XliffEditor-filterbar-count"></span>'
+            options.filterBar.appendChild(filterBar)
+        }
+
+        // The menu of spelling suggestions that right-clicking a
+        // misspelled word brings up. It is in the document only while
+        // shown.
+        const spellMenu = document.createElement('div')
+        spellMenu.className = 'XliffEditor-spellmenu'
+
+        if (options.tabindex != null) {
+            input.tabindex = options.tabindex
+        }
+        if (!options.gutter && !options.lineNumbers) {
+            gutter.style.display = 'none'
+        }
+        //#endregion
+
+        //#region Helper functions
+        var modes = {}
+        var mimeModes = {}
+        const defineMode = (name, mode) => {
+            if (!options.mode && name != 'null') {
+                options.mode = name
+            }
+            modes[name] = mode
+        }
+        const defineMIME = (mime, spec) => {
+            mimeModes[mime] = spec
+        }
+        const getMode = (options, spec) => {
+            if (typeof spec == 'string' && mimeModes.hasOwnProperty(spec)) {
+                spec = mimeModes[spec]
+            }
+            if (typeof spec == 'string') {
+                var mname = spec
+                var config = {}
+            } else {
+                var mname = spec.name
+                var config = spec
+            }
+            var mfactory = modes[mname]
+            if (!mfactory) {
+                if (window.console) console.warn('No mode ' + mname + ' found, falling back to plain text.')
+                return getMode(options, 'text/plain')
+            }
+            return mfactory(options, config)
+        }
+        const listModes = () => modes.filter(m => modes.propertyIsEnumerable(m))
+        const listMIMEs = () => mimeModes.filter(m => mimeModes.propertyIsEnumerable(m))
+        const connect = (node, type, handler, disconnect) => {
+            const wrapHandler = event => handler(new Event(event || window.event))
+
+            node.addEventListener(type, wrapHandler, false)
+            if (disconnect) return () => node.removeEventListener(type, wrapHandler, false)
+        }
+        var splitLines
+        if ('\n\nb'.split(/\n/).length != 3) {
+            splitLines = string => {
+                var pos = 0
+                var nl
+                var result = []
+                while ((nl = string.indexOf("\n", pos)) > -1) {
+                    result.push(string.slice(pos, string.charAt(nl - 1) == "\r" ? nl - 1 : nl))
+                    pos = nl + 1
+                }
+                result.push(string.slice(pos))
+                return result
+            }
+        } else {
+            splitLines = string => string.split(/\r?\n/)
+        }
+        const loadMode = () => {
+            mode = getMode(options, options.mode)
+            for (var i = 0, l = lines.length; i < l; ++i) {
+                lines[i].stateAfter = null
+            }
+            work = [0]
+        }
+        const copyState = (mode, state) => {
+            if (state === true) return state
+            if (mode.copyState) return mode.copyState(state)
+            var nstate = {}
+            for (var n in state) {
+                var val = state[n]
+                if (val instanceof Array) {
+                    val = val.concat([])
+                }
+                nstate[n] = val
+            }
+            return nstate
+        }
+        //#endregion
+
+        //#region Define Mode
+        // Segment text, the default. The placeholders of the usual message
+        // formats (see findPlaceholders) stand out: ICU arguments are
+        // taken apart, and braces without a partner are flagged. Every
+        // segment starts afresh.
+        defineMode('segment', config => {
+            const MESSAGE = -1
+            const ICU_TYPES = /^(?:plural|selectordinal|select|number|date|time|spellout|ordinal|duration)$/
+            const printf = new RegExp('^' + PRINTF_RE.source)
+            // Plain text, or the message of an ICU argument.
+            const tokenText = (stream, state) => {
+                if (stream.match(/^\{\{[^{}]*\}\}/) || stream.match(/^\$\{[^{}]*\}/) || stream.match(printf)) {
+                    return 'segment-placeholder'
+                }
+                var ch = stream.next()
+                if (ch == '{') {
+                    if (state.unclosed.indexOf(stream.pos - 1) > -1) {
+                        return 'segment-error'
+                    }
+                    state.stack.push(0)
+                    return 'segment-brace'
+                } else if (ch == '}') {
+                    if (!state.stack.length) {
+                        return 'segment-error'
+                    }
+                    state.stack.pop()
+                    return 'segment-brace'
+                } else if (ch == '#' && state.stack.length) {
+                    return 'segment-hash'
+                }
+                stream.eatWhile(/[^{}%$#]/)
+                return null
+            }
+            // Inside an ICU argument: name, type, then style or selectors,
+            // separated by commas. The number on the stack counts them.
+            const tokenArgument = (stream, state) => {
+                if (stream.eatSpace()) {
+                    return null
+                }
+                var top = state.stack.length - 1
+                var ch = stream.next()
+                if (ch == ',') {
+                    state.stack[top]++
+                    return 'segment-brace'
+                } else if (ch == '}') {
+                    state.stack.pop()
+                    return 'segment-brace'
+                } else if (ch == '{') {
+                    if (state.unclosed.indexOf(stream.pos - 1) > -1) {
+                        return 'segment-error'
+                    }
+                    state.stack.push(MESSAGE)
+                    return 'segment-brace'
+                }
+                stream.eatWhile(/[^\s,{}]/)
+                var part = state.stack[top]
+                return part == 0 ? 'segment-variable' : part == 1 && ICU_TYPES.test(stream.current()) ? 'segment-keyword' : 'segment-selector'
+            }
+            return {
+                startState: () => ({ stack: [], unclosed: [] }),
+                token: (stream, state) => {
+                    // The braces without a partner are found once a line.
+                    if (stream.sol()) {
+                        state.stack = []
+                        state.unclosed = unbalancedBraces(stream.string)
+                    }
+                    var top = state.stack[state.stack.length - 1]
+                    return top == null || top == MESSAGE ? tokenText(stream, state) : tokenArgument(stream, state)
+                }
+            }
+        })
+        defineMIME('text/x-xliff-segment', 'segment')
+        defineMode('css', config => {
+            var indentUnit = config.indentUnit, type
+            const ret = (style, tp) => {
+                type = tp
+                return style
+            }
+
+            const tokenBase = (stream, state) => {
+                var ch = stream.next()
+                if (ch == '@') {
+                    stream.eatWhile(/\w/)
+                    return ret('css-at', stream.current());
+                } else {
+                    state.tokenize = tokenCComment
+                    return tokenCComment(stream, state)
+                }
+            }
+
+            const tokenCComment = (stream, state) => {
+                var maybeEnd = false, ch
+                while ((ch = stream.next()) != null) {
+                    if (maybeEnd && ch == '/') {
+                        state.tokenize = tokenBase
+                        break
+                    }
+                    maybeEnd = (ch == '*')
+                }
+                return ret('css-comment', 'comment')
+            }
+
+            const tokenSGMLComment = (stream, state) => {
+                var dashes = 0, ch
+                while ((ch = stream.next()) != null) {
+                    if (dashes >= 2 && ch == '>') {
+                        state.tokenize = tokenBase
+                        break
+                    }
+                    dashes = (ch == '-') ? dashes + 1 : 0
+                }
+                return ret('css-comment', 'comment')
+            }
+
+            const tokenString = quote => (stream, state) => {
+                var escaped = false, ch
+                while ((ch = stream.next()) != null) {
+                    if (ch == quote && !escaped)
+                        break
+                    escaped = !escaped && ch == '\\'
+                }
+                if (!escaped) state.tokenize = tokenBase
+                return ret('css-string', 'string')
+            }
+
+            return {
+                startState: base => ({ tokenize: tokenBase, aseIndent: base || 0, stack: [] }),
+                token: (stream, state) => {
+                    if (stream.eatSpace()) return null
+                    var style = state.tokenize(stream, state)
+
+                    var context = state.stack[state.stack.length - 1]
+                    if (type == 'hash' && context == 'rule') style = 'css-colorcode'
+                    else if (style == 'css-identifier') {
+                        if (context == 'rule') style = 'css-value'
+                        else if (!context || context == '@media{') style = 'css-selector'
+                    }
+
+                    if (context == 'rule' && /^[\{\};]$/.test(type)) state.stack.pop()
+                    if (type == '{') {
+                        if (context == '@media') state.stack[state.stack.length - 1] = '@media{'
+                        else state.stack.push('{')
+                    }
+                    else if (type == '}') state.stack.pop()
+                    else if (type == '@media') state.stack.push('@media')
+                    else if (context != 'rule' && context != '@media' && type != 'comment') state.stack.push('rule')
+                    return style;
+                },
+                indent: (state, textAfter) => {
+                    var n = state.stack.length;
+                    if (/^\}/.test(textAfter))
+                        n -= state.stack[state.stack.length - 1] == 'rule' ? 2 : 1;
+                    return state.baseIndent + n * indentUnit;
+                },
+                electricChars: '}'
+            }
+        })
+        defineMIME('text/css', 'css')
+        // Raw XML, XLIFF included: tags, attributes, entities, CDATA,
+        // comments, processing instructions and doctypes. Keeps a stack of
+        // the open elements for indenting and closing them.
+        defineMode('xml', config => {
+            var indentUnit = config.indentUnit
+            const NAME = /^[^\s\u00a0=<>"'\/?!]+/
+            const inText = (stream, state) => {
+                var ch = stream.next()
+                if (ch == '<') {
+                    if (stream.eat('!')) {
+                        if (stream.match('--')) {
+                            return chain(stream, state, inBlock('xml-comment', '-->'))
+                        } else if (stream.match('[CDATA[')) {
+                            return chain(stream, state, inBlock('xml-cdata', ']]>'))
+                        }
+                        return chain(stream, state, inBlock('xml-doctype', '>'))
+                    } else if (stream.eat('?')) {
+                        return chain(stream, state, inBlock('xml-processing', '?>'))
+                    }
+                    var closing = stream.eat('/')
+                    var name = stream.match(NAME)
+                    if (!name) {
+                        return 'xml-error'
+                    }
+                    state.tagName = name[0]
+                    state.closing = !!closing
+                    state.tagIndent = stream.indentation()
+                    state.tokenize = inTag
+                    return 'xml-tag'
+                } else if (ch == '&') {
+                    return stream.match(/^(?:#x[0-9a-fA-F]+|#\d+|[\w.:-]+);/) ? 'xml-entity' : 'xml-error'
+                }
+                stream.eatWhile(/[^&<]/)
+                return null
+            }
+            const inTag = (stream, state) => {
+                var ch = stream.next()
+                if (ch == '>' || (ch == '/' && stream.eat('>'))) {
+                    state.tokenize = inText
+                    if (state.closing) {
+                        if (!state.context || state.context.name != state.tagName) {
+                            return 'xml-error'
+                        }
+                        state.context = state.context.prev
+                    } else if (ch == '>') {
+                        state.context = { name: state.tagName, indent: state.tagIndent, prev: state.context }
+                        state.opened = state.tagName
+                    }
+                    return 'xml-tag'
+                } else if (ch == '"' || ch == "'") {
+                    return chain(stream, state, inAttribute(ch))
+                } else if (ch == '=') {
+                    return null
+                } else if (ch == '<') {
+                    state.tokenize = inText
+                    return 'xml-error'
+                }
+                stream.eatWhile(NAME)
+                return 'xml-attname'
+            }
+            const inAttribute = quote => (stream, state) => {
+                while (!stream.eol()) {
+                    if (stream.next() == quote) {
+                        state.tokenize = inTag
+                        break
+                    }
+                }
+                return 'xml-attvalue'
+            }
+            const inBlock = (style, terminator) => (stream, state) => {
+                while (!stream.eol()) {
+                    if (stream.match(terminator)) {
+                        state.tokenize = inText
+                        break
+                    }
+                    stream.next()
+                }
+                return style
+            }
+            const chain = (stream, state, parser) => {
+                state.tokenize = parser
+                return parser(stream, state)
+            }
+            return {
+                startState: () => ({ tokenize: inText, context: null, tagName: null, closing: false, tagIndent: 0, opened: null }),
+                token: (stream, state) => {
+                    state.opened = null
+                    if ((state.tokenize == inText || state.tokenize == inTag) && stream.eatSpace()) {
+                        return null
+                    }
+                    return state.tokenize(stream, state)
+                },
+                indent: (state, textAfter) => {
+                    var context = state.context
+                    if (state.tokenize == inTag) {
+                        return state.tagIndent + indentUnit
+                    } else if (state.tokenize != inText) {
+                        return context ? context.indent + indentUnit : 0
+                    } else if (context && /^<\//.test(textAfter)) {
+                        return context.indent
+                    }
+                    return context ? context.indent + indentUnit : 0
+                },
+                // The element whose start tag ended last, to be closed.
+                autoClose: state => state.opened,
+                electricChars: '/'
+            }
+        })
+        defineMIME('application/xml', 'xml')
+        defineMIME('text/xml', 'xml')
+        defineMIME('application/xliff+xml', 'xml')
+        var badInnerHTML = (function () {
+            var pre = document.createElement('pre')
+            pre.innerHTML = ' '
+            return !pre.innerHTML
+        })()
+        //#endregion
+
+        //#region Local Vars
+        var gecko = /gecko\/\d{7}/i.test(navigator.userAgent)
+
+        // Delayed object wrap timeouts, making sure only one is active. blinker holds an interval.
+        var poll = new Delayed()
+        var highlight = new Delayed()
+        var blinker
+
+        // mode holds a mode API object. 
+        // lines an array of Line objects (see Line constructor), 
+        // work an array of lines that should be parsed, 
+        // and history the undo history (instance of History constructor).
+        var mode
+        var lines = [new Line('')]
+        var work = [0]
+        var history = new History()
+        var focused
+        // The XliffDocument being edited, if any. Each of its segments owns
+        // one line, which holds the segment's target.
+        var xliff = null
+        // The code picked by clicking a chip in the source column.
+        var selectedSourceTag = null
+        // With a segment filter active, the (sorted) lines that are shown,
+        // one per display row. null shows every line.
+        var rows = null
+        var filter = null
+        // Nothing can be typed into a filter that hides every segment:
+        // the cursor is on a line that isn't shown.
+        const inputBlocked = () => options.readOnly || (rows != null && !rows.length)
+        loadMode()
+
+        // The selection. 
+        // These are always maintained to point at valid positions. 
+        // Inverted is used to remember that the user is selecting bottom-to-top.
+        var sel = {
+            from: {
+                line: 0,
+                ch: 0
+            },
+            to: {
+                line: 0,
+                ch: 0
+            },
+            inverted: false
+        }
+
+        // Selection-related flags. 
+        // shiftSelecting obviously tracks whether the user is holding shift. 
+        // reducedSelection is a hack to get around the fact that we can't create inverted selections. See below.
+        var shiftSelecting
+        var reducedSelection
+
+        // Variables used by startOperation/endOperation to track what happened during the operation.
+        var updateInput
+        var changes
+        var textChanged
+        var selectionChanged
+        var leaveInputAlone
+
+        // Current visible range (may be bigger than the view window).
+        // These count display rows, which are lines unless a segment
+        // filter is active (see rows).
+        var showingFrom = 0
+        var showingTo = 0
+        var lastHeight = 0
+        var lastRows = null
+        var curKeyId = null
+
+        // editing will hold an object describing the things we put in the
+        // textarea, to help figure out whether something changed.
+        // bracketHighlighted is used to remember that a backet has been marked.
+        var editing
+        var bracketHighlighted
+
+        // Ensures slowPoll doesn't cancel fastPoll
+        var pollingFast = false
+        var mac = /Mac/.test(navigator.platform)
+        var movementKeys = {}
+        for (var i = 35; i <= 40; ++i) {
+            movementKeys[i] = movementKeys['c' + i] = true
+        }
+        var lineSep = "\n";
+        //#endregion
+
+        //#region Operation
+        var nestedOperation = 0
+        const startOperation = () => {
+            updateInput = null
+            changes = []
+            textChanged = selectionChanged = false
+        }
+
+        const endOperation = () => {
+            var reScroll = false
+            if (textChanged && xliff) {
+                measureChanges(changes)
+            }
+            if (selectionChanged) {
+                reScroll = !scrollCursorIntoView()
+            }
+            if (changes.length) {
+                updateDisplay(changes)
+            } else if (selectionChanged) {
+                updateCursor()
+            }
+            if (reScroll) {
+                scrollCursorIntoView()
+            }
+            if (selectionChanged) {
+                restartBlink()
+            }
+
+            // updateInput can be set to a boolean value to force/prevent an
+            // update.
+            if (!leaveInputAlone && (updateInput === true || (updateInput !== false && selectionChanged))) {
+                prepareInput()
+            }
+            if (selectionChanged) {
+                tmWait.set(300, () => updateMatches())
+                updateMtPanel()
+                updateTermPanel()
+                updateNotesPanel()
+            }
+            if (selectionChanged && options.onCursorActivity) {
+                options.onCursorActivity(instance)
+            }
+            if (textChanged && qaSources) {
+                recheckChanges(changes)
+            }
+            if (textChanged && options.onChange) {
+                options.onChange(instance)
+            }
+            if (selectionChanged && options.matchBrackets) {
+                setTimeout(operation(function () {
+                    if (bracketHighlighted) {
+                        bracketHighlighted()
+                        bracketHighlighted = null
+                    }
+                    matchBrackets(false)
+                }), 20)
+            }
+        }
+
+        function operation(f) {
+            return function () {
+                if (!nestedOperation++) {
+                    startOperation()
+                }
+                try {
+                    var result = f.apply(window, arguments)
+                } finally {
+                    if (!--nestedOperation) {
+                        endOperation()
+                    }
+                }
+                return result
+            }
+        }
+        //#endregion
+
+        //#region Pooling
+        const slowPoll = () => {
+            if (pollingFast) {
+                return
+            }
+            poll.set(2000, function () {
+                startOperation()
+                readInput()
+                if (focused) {
+                    slowPoll()
+                }
+                endOperation()
+            })
+        }
+        const fastPoll = keyId => {
+            var missed = false
+            pollingFast = true
+            function p() {
+                startOperation()
+                var changed = readInput()
+                if (changed == 'moved' && keyId) {
+                    movementKeys[keyId] = true
+                }
+                if (!changed && !missed) {
+                    missed = true
+                    poll.set(80, p)
+                } else {
+                    pollingFast = false
+                    slowPoll()
+                }
+                endOperation()
+            }
+            poll.set(20, p)
+        }
+        //#endregion
+
+        //#region  Event Handlers
+        const onMouseDown = e => {
+            // First, see if this is a click in the gutter
+            for (var n = e.target(); n != wrapper; n = n.parentNode) {
+                if (n.parentNode == gutterText) {
+                    if (options.onGutterClick) {
+                        options.onGutterClick(instance, lineAtRow(indexOf(gutterText.childNodes, n) + showingFrom))
+                    }
+                    return e.stop()
+                }
+                // A click on a source cell puts the cursor in its target.
+                // Clicking one of its tag chips also selects that code
+                // for copyTag.
+                if (n.parentNode == sourceText) {
+                    var row = lineAtRow(indexOf(sourceText.childNodes, n) + showingFrom)
+                    var chip = e.target()
+                    if (chip != n && /\bXliffEditor-tag\b/.test(chip.className)) {
+                        var codes = lines[row].segment.source.match(TAG_RE)
+                        selectedSourceTag = { line: row, tag: codes[indexOf(n.querySelectorAll('.XliffEditor-tag'), chip)] }
+                        updateSourcePane()
+                    }
+                    if (sel.to.line != row) {
+                        setCursor(row, 0)
+                    }
+                    if (!focused) {
+                        onFocus()
+                    }
+                    input.focus()
+                    return e.stop()
+                }
+            }
+            if (gecko && e.button() == 3) {
+                onContextMenu(e)
+            }
+            if (e.button() != 1) {
+                return
+            }
+            // For button 1, if it was clicked inside the editor
+            // (posFromMouse returning non-null), we have to adjust the
+            // selection.
+            var start = posFromMouse(e)
+            var last = start
+            var going
+
+            if (!start) {
+                if (e.target() == wrapper) {
+                    e.stop()
+                }
+                return
+            }
+            setCursor(start.line, start.ch, false)
+
+            if (!focused) {
+                onFocus()
+            }
+            e.stop()
+            // And then we have to see if it's a drag event, in which case
+            // the dragged-over text must be selected.
+            function end() {
+                input.focus()
+                updateInput = true
+                move()
+                up()
+            }
+
+            function extend(e) {
+                var cur = posFromMouse(e, true)
+                if (cur && !posEq(cur, last)) {
+                    if (!focused) {
+                        onFocus()
+                    }
+                    last = cur
+                    setSelection(start, cur)
+                    updateInput = false
+                    var visible = visibleLines()
+                    var curRow = rowOfLine(cur.line)
+                    if (curRow >= visible.to || curRow < visible.from) {
+                        going = setTimeout(operation(function () {
+                            extend(e)
+                        }), 150)
+                    }
+                }
+            }
+
+            var move = connect(document, 'mousemove', operation(function (e) {
+                clearTimeout(going)
+                e.stop()
+                extend(e)
+            }), true)
+            var up = connect(document, 'mouseup', operation(function (e) {
+                clearTimeout(going)
+                var cur = posFromMouse(e)
+                if (cur) {
+                    setSelection(start, cur)
+                }
+                e.stop()
+                end()
+            }), true)
+        }
+        const onContextMenu = e => {
+            var pos = posFromMouse(e)
+            if (!pos || window.opera) {
+                return // Opera is difficult.
+            }
+            var misspelled = xliff && view == 'grid' ? getMisspelling(pos) : null
+            if (misspelled) {
+                setCursor(pos.line, pos.ch)
+                showSpellMenu(misspelled, e.pageX(), e.pageY())
+                return e.stop()
+            }
+            if (posEq(sel.from, sel.to) || posLess(pos, sel.from) || !posLess(pos, sel.to)) {
+                setCursor(pos.line, pos.ch)
+            }
+            var oldCSS = input.style.cssText
+            input.style.cssText = 'position: fixed; width: 30px; height: 30px; top: ' + (e.pageY() - 1) +
+                'px; left: ' + (e.pageX() - 1) + 'px; z-index: 1000; background: white; ' +
+                'border-width: 0; outline: none; overflow: hidden;'
+            var val = input.value = getSelection()
+            input.focus()
+            setSelRange(input, 0, val.length)
+            if (gecko) {
+                e.stop()
+            }
+            leaveInputAlone = true
+            setTimeout(function () {
+                if (input.value != val) {
+                    operation(replaceSelection)(input.value, 'end')
+                }
+                input.style.cssText = oldCSS
+                leaveInputAlone = false
+                prepareInput()
+                slowPoll()
+            }, 50)
+        }
+        const onDblClick = e => {
+            var pos = posFromMouse(e)
+            if (!pos) {
+                return
+            }
+            selectWordAt(pos)
+            e.stop()
+        }
+        const onDrop = e => {
+            var pos = posFromMouse(e, true)
+            var files = e.e.dataTransfer.files
+            if (!pos || inputBlocked()) {
+                return
+            }
+            if (files && files.length && window.FileReader && window.File) {
+                var n = files.length
+                var text = Array(n)
+                var read = 0
+                for (var i = 0; i < n; ++i) {
+                    loadFile(files[i], i)
+                }
+
+                function loadFile(file, i) {
+                    var reader = new FileReader
+                    reader.onload = function () {
+                        text[i] = reader.result
+                        if (++read == n) {
+                            replaceRange(text.join(''), clipPos(pos), clipPos(pos))
+                        }
+                    }
+                    reader.readAsText(file)
+                }
+            }
+            else {
+                try {
+                    var text = e.e.dataTransfer.getData('Text')
+                    if (text) {
+                        replaceRange(text, pos, pos)
+                    }
+                } catch (e) { }
+            }
+        }
+        const onFocus = () => {
+            if (!focused && options.onFocus) {
+                options.onFocus(instance)
+            }
+            focused = true
+            slowPoll()
+            if (wrapper.className.search(/\bXliffEditor-focused\b/) == -1) {
+                wrapper.className += ' XliffEditor-focused'
+            }
+            restartBlink()
+        }
+        const onBlur = () => {
+            if (focused && options.onBlur) {
+                options.onBlur(instance)
+            }
+            clearInterval(blinker)
+            shiftSelecting = null
+            focused = false
+            wrapper.className = wrapper.className.replace(' XliffEditor-focused', '')
+        }
+        const onKeyUp = e => {
+            if (reducedSelection) {
+                reducedSelection = null
+                updateInput = true
+            }
+            if (e.e.keyCode == 16) {
+                shiftSelecting = null
+            }
+        }
+        const onKeyDown = e => {
+            if (!focused) {
+                onFocus()
+            }
+
+            var code = e.e.keyCode
+            // Tries to detect ctrl on non-mac, cmd on mac.
+            var mod = (mac ? e.e.metaKey : e.e.ctrlKey) && !e.e.altKey
+            var anyMod = e.e.ctrlKey || e.e.altKey || e.e.metaKey
+
+            if (code == 16 || e.e.shiftKey) {
+                shiftSelecting = shiftSelecting || (sel.inverted ? sel.to : sel.from)
+            } else {
+                shiftSelecting = null
+            }
+            // First give onKeyEvent option a chance to handle this.
+            if (options.onKeyEvent && options.onKeyEvent(instance, addStop(e.e))) {
+                return
+            }
+
+            if (code == 33 || code == 34) { // page up/down
+                scrollPage(code == 34)
+                return e.stop()
+            }
+            if (mod && (code == 36 || code == 35)) { // ctrl-home/end
+                scrollEnd(code == 36)
+                return e.stop()
+            }
+            if (mod && code == 65) { // ctrl-a
+                selectAll()
+                return e.stop()
+            }
+            if (!inputBlocked()) {
+                if (!anyMod && code == 13) { // enter
+                    return
+                }
+                if (!anyMod && code == 9 && handleTab(e.e.shiftKey)) { // tab
+                    return e.stop()
+                }
+                if (mod && code == 90) { // ctrl-z
+                    undo()
+                    return e.stop()
+                }
+                if (mod && ((e.e.shiftKey && code == 90) || code == 89)) { // ctrl-shift-z, ctrl-y
+                    redo()
+                    return e.stop()
+                }
+                if (mod && code == 13 && xliff) { // ctrl-enter
+                    confirmSegment()
+                    return e.stop()
+                }
+                if (mod && code >= 49 && code <= 57 && options.tm && xliff) { // ctrl-1..9
+                    applyMatch(code - 49)
+                    return e.stop()
+                }
+                if (mod && code == options.insertTagKey && xliff) { // ctrl-,
+                    insertNextTag()
+                    return e.stop()
+                }
+                if (mod && code == options.copyTagKey && xliff) { // ctrl-.
+                    copyTag()
+                    return e.stop()
+                }
+                if (mod && e.e.shiftKey && code == options.splitKey && xliff) { // ctrl-shift-s
+                    splitSegment()
+                    return e.stop()
+                }
+                if (mod && e.e.shiftKey && code == options.mergeKey && xliff) { // ctrl-shift-m
+                    mergeSegments()
+                    return e.stop()
+                }
+                if (mod && e.e.shiftKey && code == options.pseudoKey && xliff) { // ctrl-shift-l
+                    pseudoLocalize()
+                    return e.stop()
+                }
+            }
+
+            // Key id to use in the movementKeys map. We also pass it to
+            // fastPoll in order to 'self learn'. We need this because
+            // reducedSelection, the hack where we collapse the selection to
+            // its start when it is inverted and a movement key is pressed
+            // (and later restore it again), shouldn't be used for
+            // non-movement keys.
+            curKeyId = (mod ? 'c' : '') + code
+            if (sel.inverted && movementKeys.hasOwnProperty(curKeyId)) {
+                var range = selRange(input)
+                if (range) {
+                    reducedSelection = { anchor: range.start }
+                    setSelRange(input, range.start, range.start)
+                }
+            }
+            fastPoll(curKeyId)
+        }
+        const onKeyPress = e => {
+            if (options.onKeyEvent && options.onKeyEvent(instance, addStop(e.e))) {
+                return
+            }
+            // Segments aren't indented, so this is for plain text only.
+            var ch = String.fromCharCode(e.e.charCode == null ? e.e.keyCode : e.e.charCode)
+            if (!xliff && options.electricChars && mode.electricChars && mode.electricChars.indexOf(ch) > -1) {
+                setTimeout(operation(() => indentLine(sel.to.line, 'smart')), 50)
+            }
+            if (!xliff && ch == '>' && mode.autoClose) {
+                setTimeout(operation(autoCloseTag), 50)
+            }
+            var code = e.e.keyCode
+            // Re-stop tab and enter. Necessary on some browsers.
+            if (code == 13) {
+                handleEnter(e.e.shiftKey)
+                e.stop()
+            } else if (code == 9 && options.tabMode != 'default') {
+                e.stop()
+            } else {
+                fastPoll(curKeyId)
+            }
+        }
+        const posFromMouse = (e, liberal) => {
+            var off = eltOffset(lineSpace)
+            var x = e.pageX() - off.left
+            var y = e.pageY() - off.top
+            if (!liberal && e.target() != lineSpace.parentNode && !(e.target() == wrapper && y > (rowCount() * lineHeight()))) {
+                for (var n = e.target(); n != lineDiv && n != cursor; n = n.parentNode) {
+                    if (!n || n == wrapper) {
+                        return null
+                    }
+                }
+            }
+            if (!rowCount()) {
+                return null
+            }
+            var line = lineAtRow(Math.max(0, Math.min(rowCount() - 1, showingFrom + Math.floor(y / lineHeight()))))
+            return clipPos({ line: line, ch: charFromX(clipLine(line), x) })
+        }
+        const eltOffset = node => {
+            var x = 0
+            var y = 0
+            var n2 = node
+            for (var n = node; n; n = n.offsetParent) {
+                x += n.offsetLeft
+                y += n.offsetTop
+            }
+            for (var n = node; n != document.body; n = n.parentNode) {
+                x -= n.scrollLeft
+                y -= n.scrollTop
+            }
+            return { left: x, top: y }
+        }
+        const eltText = node => node.textContent || node.innerText || node.nodeValue || ''
+        const posEq = (a, b) => a.line == b.line && a.ch == b.ch
+        const posLess = (a, b) => a.line < b.line || (a.line == b.line && a.ch < b.ch)
+        const copyPos = x => ({ line: x.line, ch: x.ch })
+        //const htmlEscape = str => str.replace(/[<&]/g, function (str) { return str == '&' ? '&amp;' : '&lt;'; })
+        const lineHeight = () => {
+            var nlines = lineDiv.childNodes.length
+            if (nlines) {
+                return lineDiv.offsetHeight / nlines
+            } else {
+                return measure.firstChild.offsetHeight || 1
+            }
+        }
+        const charFromX = (line, x) => {
+            var text = lines[line].text
+            var cw = charWidth()
+            if (x <= 0) {
+                return 0
+            }
+            if (text.indexOf("\t") == -1) {
+                return Math.min(text.length, Math.round(x / cw))
+            }
+            var mspan = measure.firstChild
+            var mtext = mspan.firstChild
+            var old = mtext.nodeValue
+            try {
+                mtext.nodeValue = text
+                var from = 0
+                var fromX = 0
+                var to = text.length
+                var toX = mspan.offsetWidth
+                if (x > toX) {
+                    return to
+                }
+                for (; ;) {
+                    if (to - from <= 1) {
+                        return (toX - x > x - fromX) ? from : to
+                    }
+                    var middle = Math.ceil((from + to) / 2)
+                    mtext.nodeValue = text.slice(0, middle)
+                    var curX = mspan.offsetWidth
+                    if (curX > x) {
+                        to = middle
+                        toX = curX
+                    } else {
+                        from = middle
+                        fromX = curX
+                    }
+                }
+            } finally {
+                mtext.nodeValue = old
+            }
+        }
+        const localCoords = (pos, inLineWrap) => {
+            var lh = lineHeight()
+            var line = rowOfLine(pos.line) - (inLineWrap ? showingFrom : 0)
+            return { x: charX(pos.line, pos.ch), y: line * lh, yBot: (line + 1) * lh }
+        }
+        const pageCoords = pos => {
+            var local = localCoords(pos, true)
+            var off = eltOffset(lineSpace)
+            return { x: off.left + local.x, y: off.top + local.y, yBot: off.top + local.yBot }
+        }
+        const charWidth = () => (measure.firstChild.offsetWidth || 320) / 40
+        const paddingTop = () => lineSpace.offsetTop
+        const restartBlink = () => {
+            clearInterval(blinker)
+            var on = true
+            cursor.style.visibility = ''
+            blinker = setInterval(function () {
+                cursor.style.visibility = (on = !on) ? '' : 'hidden'
+            }, 650)
+        }
+        const paddingLeft = () => lineSpace.offsetLeft
+        const findStartLine = n => {
+            var minindent
+            var minline
+            for (var search = n, lim = n - 40; search > lim; --search) {
+                if (search == 0) {
+                    return 0
+                }
+                var line = lines[search - 1]
+                if (line.stateAfter) {
+                    return search
+                }
+                var indented = line.indentation()
+                if (minline == null || minindent > indented) {
+                    minline = search
+                    minindent = indented
+                }
+            }
+            return minline
+        }
+        const getStateBefore = n => {
+            var start = findStartLine(n)
+            var state = start && lines[start - 1].stateAfter
+            if (!state) {
+                state = startState(mode)
+            } else {
+                state = copyState(mode, state)
+            }
+            for (var i = start; i < n; ++i) {
+                var line = lines[i]
+                line.highlight(mode, state)
+                line.stateAfter = copyState(mode, state)
+            }
+            if (!lines[n].stateAfter) {
+                work.push(n)
+            }
+            return state
+        }
+        const updateLines = (from, to, newText, selFrom, selTo) => {
+            if (reviewing && xliff && history && from.line == to.line && newText.length == 1) {
+                trackEdit(from.line, from.ch, to.ch, newText[0], selFrom, selTo)
+                return
+            }
+            if (history) {
+                var old = []
+                for (var i = from.line, e = to.line + 1; i < e; ++i) {
+                    old.push(lines[i].text)
+                }
+                history.addChange(from.line, newText.length, old)
+                while (history.done.length > options.undoDepth) {
+                    history.done.shift()
+                }
+            }
+            updateLinesNoUndo(from, to, newText, selFrom, selTo)
+        }
+        const getValue = () => lines.map(line => line.text).join('\n')
+        const setValue = val => {
+            history = null
+            var top = { line: 0, ch: 0 }
+            updateLines(top, { line: lines.length - 1, ch: lines[lines.length - 1].text.length }, splitLines(val), top, top)
+            history = new History()
+            if (xliff) {
+                xliff = null
+                segmentLines = null
+                rows = filter = qaSources = null
+                updateSourcePane()
+                updateQaPanel()
+            }
+            lines.forEach(line => line.segment = line.gutterMarker = null)
+        }
+        // Load an XLIFF document. Line breaks inside a target can't be
+        // lines of their own here, so they are kept as LINE_BREAK.
+        const setXliff = text => {
+            var doc = new XliffDocument(text)
+            if (view == 'raw') {
+                view = 'grid'
+                options.mode = gridMode
+                loadMode()
+                syncViewBar()
+            }
+            var merged = doc.segments.map(seg => seg.reviewBase != null ? mergeVersions(seg.reviewBase, seg.target || '') : null)
+            setValue(doc.segments.map((seg, i) => (merged[i] ? merged[i].text : seg.target || '').replace(/\n/g, LINE_BREAK)).join('\n'))
+            xliff = doc
+            segmentLines = null
+            doc.segments.forEach((seg, i) => {
+                lines[i].segment = seg
+                if (merged[i]) {
+                    var stamp = { author: seg.reviewAuthor, date: null }
+                    var kinds = new Array(lines[i].text.length).fill(null)
+                    merged[i].changes.forEach(c => {
+                        var change = Object.assign({ id: ++changeId, type: c.type }, stamp)
+                        kinds.fill(change, c.from, c.to)
+                    })
+                    setChangeMarks(lines[i], kinds)
+                }
+                lines[i].gutterMarker = segmentMarker(seg)
+                markInlineTags(lines[i])
+                flagTerms(lines[i])
+                flagSpelling(lines[i])
+            })
+            setFilter(null)
+            updateGutter()
+            updateSourcePane()
+            updateMatches(true)
+            updateMtPanel(true)
+            updateTermPanel(true)
+            updateNotesPanel(true)
+            qaSources = null
+            if (options.qa) {
+                runQa()
+            } else {
+                updateQaPanel()
+            }
+        }
+        const getSegments = () => xliff ? xliff.segments : []
+        // Copy the segment lines back into their segments.
+        const syncSegments = () => {
+            lines.forEach(line => {
+                var seg = line.segment
+                if (seg && (line.text || seg.target != null)) {
+                    seg.target = targetText(line).replace(LINE_BREAK_RE, '\n')
+                }
+                var marks = changeMarks(line)
+                if (seg) {
+                    seg.reviewBase = marks.length ? baseText(line).replace(LINE_BREAK_RE, '\n') : null
+                    seg.reviewAuthor = marks.length ? marks[marks.length - 1].change.author : seg.reviewAuthor
+                }
+            })
+        }
+        const getXliff = () => {
+            if (view == 'raw') {
+                return getValue()
+            }
+            if (!xliff) {
+                return null
+            }
+            syncSegments()
+            return xliff.serialize()
+        }
+        // The document is shown either as the segment grid or, in the raw
+        // view, as its markup in the xml mode. Switching goes through the
+        // text, keeping the cursor on the same unit. Markup that doesn't
+        // parse stops the switch with the XmlParseError, the cursor put
+        // where it happened. A switch is undone like any other change.
+        var view = 'grid'
+        var gridMode = null
+        const setView = to => {
+            if (to == view || (to == 'raw' && !xliff)) {
+                return false
+            }
+            var text = getXliff()
+            var cursor = { line: sel.to.line, ch: sel.to.ch }
+            if (to == 'raw') {
+                var seg = new XliffDocument(text).segments[sel.to.line]
+                var before = seg ? text.slice(0, seg.node.start).split('\n') : ['']
+                showRaw(text)
+                addSnapshot(text, 'grid', cursor)
+                setCursor(before.length - 1, before[before.length - 1].length)
+                return true
+            }
+            var offset = lines.slice(0, sel.to.line).reduce((n, line) => n + line.text.length + 1, sel.to.ch)
+            try {
+                reloadXliff(text)
+            } catch (e) {
+                if (e instanceof XmlParseError) {
+                    setCursor(e.line - 1, e.column - 1)
+                    syncViewBar(e)
+                }
+                throw e
+            }
+            addSnapshot(text, 'raw', cursor)
+            var segs = xliff.segments
+            var n = segs.findIndex(seg => seg.node.start <= offset && offset < seg.node.end)
+            if (n == -1) {
+                n = segs.findIndex(seg => seg.unit.node.end > offset)
+            }
+            setCursor(n == -1 ? lines.length - 1 : n, 0)
+            return true
+        }
+        // Show text as markup, keeping the undo history.
+        const showRaw = text => {
+            var kept = history
+            if (view == 'grid') {
+                gridMode = options.mode
+            }
+            options.mode = 'application/xliff+xml'
+            loadMode()
+            setValue(text)
+            history = kept
+            view = 'raw'
+            syncViewBar()
+        }
+        const syncViewBar = error => {
+            if (!viewBar) {
+                return
+            }
+            viewBar.querySelectorAll('button').forEach(button =>
+                button.className = button.name == view ? 'XliffEditor-viewbar-active' : '')
+            viewBar.lastChild.textContent = error ? error.message : ''
+        }
+        const getSelection = () => getRange(sel.from, sel.to)
+        const getRange = (from, to) => {
+            var l1 = from.line
+            var l2 = to.line
+            if (l1 == l2) {
+                return lines[l1].text.slice(from.ch, to.ch)
+            }
+            var code = [lines[l1].text.slice(from.ch)]
+            for (var i = l1 + 1; i < l2; ++i) {
+                code.push(lines[i].text)
+            }
+            code.push(lines[l2].text.slice(0, to.ch))
+            return code.join('\n')
+        }
+        const replaceRange = (code, from, to) => {
+            from = clipPos(from)
+            if (!to) {
+                to = from
+            } else {
+                to = clipPos(to)
+            }
+            code = segmentCode(splitLines(code), from.line)
+
+            function adjustPos(pos) {
+                if (posLess(pos, from)) {
+                    return pos
+                }
+                if (!posLess(to, pos)) {
+                    return end
+                }
+                var line = pos.line + code.length - (to.line - from.line) - 1
+                var ch = pos.ch
+                if (pos.line == to.line) {
+                    ch += code[code.length - 1].length - (to.ch - (to.line == from.line ? from.ch : 0))
+                }
+                return { line: line, ch: ch }
+            }
+            var end
+            replaceRange1(code, from, to, function (end1) {
+                end = end1
+                return { from: adjustPos(sel.from), to: adjustPos(sel.to) }
+            })
+            return end
+        }
+        // Text going into the segments from line on, keeping only the
+        // codes each has.
+        const segmentCode = (code, line) => xliff
+            ? code.map((str, i) => lines[line + i] && lines[line + i].segment ? ownCodes(str, lines[line + i].segment) : str)
+            : code
+        const replaceRange1 = (code, from, to, computeSel) => {
+            var endch = code.length == 1 ? code[0].length + from.ch : code[code.length - 1].length
+            var newSel = computeSel({ line: from.line + code.length - 1, ch: endch })
+            updateLines(from, to, code, newSel.from, newSel.to)
+        }
+        const replaceSelection = (code, collapse) => {
+            replaceRange1(segmentCode(splitLines(code), sel.from.line), sel.from, sel.to, end => {
+                switch (collapse) {
+                    case 'end': return { from: end, to: end }
+                    case 'start': return { from: sel.from, to: sel.from }
+                    default: return { from: sel.from, to: end }
+                }
+            })
+        }
+        const unredoHelper = (from, to) => {
+            var change = from.pop()
+            if (change && change.snapshot != null) {
+                to.push({ snapshot: getXliff(), view: view, cursor: { line: sel.to.line, ch: sel.to.ch } })
+                if (change.view == 'raw') {
+                    showRaw(change.snapshot)
+                } else {
+                    reloadXliff(change.snapshot)
+                }
+                setCursor(change.cursor.line, change.cursor.ch)
+            } else if (change) {
+                var replaced = []
+                var end = change.start + change.added
+                for (var i = change.start; i < end; ++i) {
+                    replaced.push(lines[i].text)
+                }
+                var redo = { start: change.start, added: change.old.length, old: replaced }
+                if (change.segments) {
+                    redo.segments = change.segments.map(info => segmentInfo(info.line))
+                }
+                to.push(redo)
+                var pos = clipPos({
+                    line: change.start + change.old.length - 1,
+                    ch: editEnd(replaced[replaced.length - 1], change.old[change.old.length - 1])
+                })
+                if (xliff && change.old.length == change.added) {
+                    // Segments keep their lines, so those are put back one
+                    // by one.
+                    change.old.forEach((text, i) => {
+                        var n = change.start + i
+                        var at = n == end - 1 ? pos : { line: n, ch: 0 }
+                        updateLinesNoUndo({ line: n, ch: 0 }, { line: n, ch: lines[n].text.length }, [text], at, at)
+                    })
+                } else {
+                    updateLinesNoUndo({ line: change.start, ch: 0 }, { line: end - 1, ch: lines[end - 1].text.length }, change.old, pos, pos)
+                }
+                if (change.segments) {
+                    change.segments.forEach(restoreSegment)
+                }
+            }
+        }
+        // What an undo puts back of the segment on line n besides its text.
+        const segmentInfo = n => {
+            var seg = lines[n].segment
+            return { line: n, state: seg.state, subState: seg.subState, origin: seg.origin, engine: seg.engine }
+        }
+        const restoreSegment = info => {
+            var seg = lines[info.line].segment
+            seg.origin = info.origin
+            seg.engine = info.engine
+            seg.subState = info.subState
+            setSegmentState(info.line, info.state)
+        }
+        const addSnapshot = (text, view, cursor) => {
+            history.addSnapshot(text, view, cursor)
+            while (history.done.length > options.undoDepth) {
+                history.done.shift()
+            }
+        }
+        // Replace the text of several lines (edits of { line, text }, in
+        // line order) as a single undoable change. segments as for
+        // History.addGroup.
+        const setLineTexts = (edits, segments) => {
+            var first = edits[0].line
+            var last = edits[edits.length - 1].line
+            var old = []
+            for (var i = first; i <= last; ++i) {
+                old.push(lines[i].text)
+            }
+            history.addGroup(first, last - first + 1, old, segments)
+            while (history.done.length > options.undoDepth) {
+                history.done.shift()
+            }
+            edits.forEach(e => {
+                var keep = pos => pos.line == e.line ? { line: e.line, ch: Math.min(pos.ch, e.text.length) } : pos
+                updateLinesNoUndo({ line: e.line, ch: 0 }, { line: e.line, ch: lines[e.line].text.length }, [e.text], keep(sel.from), keep(sel.to))
+            })
+        }
+        const markText = (from, to, className) => {
+            from = clipPos(from)
+            to = clipPos(to)
+            var accum = []
+            function add(line, from, to, className) {
+                var line = lines[line]
+                var mark = line.addMark(from, to, className)
+                mark.line = line
+                accum.push(mark)
+            }
+            if (from.line == to.line) {
+                add(from.line, from.ch, to.ch, className)
+            } else {
+                add(from.line, from.ch, null, className)
+                for (var i = from.line + 1, e = to.line; i < e; ++i) {
+                    add(i, 0, null, className)
+                }
+                add(to.line, 0, to.ch, className)
+            }
+            changes.push({ from: from.line, to: to.line + 1 })
+            return () => {
+                var start
+                var end
+                for (var i = 0; i < accum.length; ++i) {
+                    var mark = accum[i]
+                    var found = indexOf(lines, mark.line)
+                    mark.line.removeMark(mark)
+                    if (found > -1) {
+                        if (start == null) {
+                            start = found
+                        }
+                        end = found
+                    }
+                }
+                if (start != null) {
+                    changes.push({ from: start, to: end + 1 })
+                }
+            }
+        }
+        // While reviewing, undo rejects the latest change instead.
+        const undo = () => reviewing ? rejectLastChange() : unredoHelper(history.done, history.undone)
+        const redo = () => reviewing ? null : unredoHelper(history.undone, history.done)
+        const clipPos = pos => {
+            if (pos.line < 0) {
+                return { line: 0, ch: 0 }
+            }
+            if (pos.line >= lines.length) {
+                return { line: lines.length - 1, ch: lines[lines.length - 1].text.length }
+            }
+            var ch = pos.ch
+            var linelen = lines[pos.line].text.length
+            if (ch == null || ch > linelen) {
+                return { line: pos.line, ch: linelen }
+            } else if (ch < 0) {
+                return { line: pos.line, ch: 0 }
+            } else {
+                return pos
+            }
+        }
+        const addGutterMarker = (line, text, className) => {
+            if (typeof line == 'number') {
+                line = lines[clipLine(line)]
+            }
+            line.gutterMarker = { text: text, style: className }
+            updateGutter()
+            return line
+        }
+        const removeGutterMarker = line => {
+            if (typeof line == 'number') {
+                line = lines[clipLine(line)]
+            }
+            line.gutterMarker = null
+            updateGutter()
+        }
+        const setLineClass = (line, className) => {
+            if (typeof line == 'number') {
+                var no = line
+                line = lines[clipLine(line)]
+            } else {
+                var no = indexOf(lines, line)
+                if (no == -1) {
+                    return null
+                }
+            }
+            line.className = className
+            changes.push({ from: no, to: no + 1 })
+            return line
+        }
+        const lineInfo = (line) => {
+            if (typeof line == 'number') {
+                var n = line
+                line = lines[line]
+                if (!line) {
+                    return null
+                }
+            }
+            else {
+                var n = indexOf(lines, line)
+                if (n == -1) {
+                    return null
+                }
+            }
+            var marker = line.gutterMarker
+            return { line: n, text: line.text, markerText: marker && marker.text, markerClass: marker && marker.style }
+        }
+        const highlightWorker = () => {
+            var end = +new Date + options.workTime
+            while (work.length) {
+                var first = lineAtRow(showingFrom)
+                if (first != null && first < lines.length && !lines[first].stateAfter) {
+                    var task = first
+                } else {
+                    var task = work.pop()
+                }
+                if (task >= lines.length) {
+                    continue
+                }
+                var start = findStartLine(task)
+                var state = start && lines[start - 1].stateAfter
+                if (state) {
+                    state = copyState(mode, state)
+                } else {
+                    state = startState(mode)
+                }
+
+                for (var i = start, l = lines.length; i < l; ++i) {
+                    var line = lines[i]
+                    var hadState = line.stateAfter
+                    if (+new Date > end) {
+                        work.push(i)
+                        startWorker(options.workDelay)
+                        changes.push({ from: task, to: i })
+                        return
+                    }
+                    var changed = line.highlight(mode, state)
+                    line.stateAfter = copyState(mode, state)
+                    if (hadState && !changed && line.text) {
+                        break
+                    }
+                }
+                changes.push({ from: task, to: i })
+            }
+        }
+        const startWorker = time => {
+            if (!work.length) {
+                return
+            }
+            highlight.set(time, operation(highlightWorker))
+        }
+        const isLine = n => n >= 0 && n < lines.length
+        const clipLine = n => Math.max(0, Math.min(n, lines.length - 1))
+        const setCursor = (line, ch) => {
+            var pos = clipPos({ line: line, ch: ch || 0 })
+            setSelection(pos, pos)
+        }
+        const selRange = te => {
+            try {
+                return { start: te.selectionStart, end: te.selectionEnd }
+            } catch (e) {
+                return null
+            }
+        }
+        var setSelRange = function (te, start, end) {
+            try {
+                te.setSelectionRange(start, end)
+            } catch (e) { } // Fails on Firefox when textarea isn't part of the document
+        }
+        const setSelection = (from, to, oldFrom, oldTo) => {
+            if (posEq(sel.from, from) && posEq(sel.to, to)) {
+                return
+            }
+            var sh = shiftSelecting && clipPos(shiftSelecting)
+            if (posLess(to, from)) {
+                var tmp = to
+                to = from
+                from = tmp
+            }
+            if (sh) {
+                if (posLess(sh, from)) {
+                    from = sh
+                } else if (posLess(to, sh)) {
+                    to = sh
+                }
+            }
+
+            var startEq = posEq(sel.to, to)
+            var endEq = posEq(sel.from, from)
+            if (posEq(from, to)) {
+                sel.inverted = false
+            } else if (startEq && !endEq) {
+                sel.inverted = true
+            } else if (endEq && !startEq) {
+                sel.inverted = false
+            }
+
+            // Some ugly logic used to only mark the lines that actually did
+            // see a change in selection as changed, rather than the whole
+            // selected range.
+            if (oldFrom == null) {
+                oldFrom = sel.from.line
+                oldTo = sel.to.line
+            }
+            if (posEq(from, to)) {
+                if (!posEq(sel.from, sel.to)) {
+                    changes.push({ from: oldFrom, to: oldTo + 1 })
+                }
+            } else if (posEq(sel.from, sel.to)) {
+                changes.push({ from: from.line, to: to.line + 1 })
+            } else {
+                if (!posEq(from, sel.from)) {
+                    if (from.line < oldFrom) {
+                        changes.push({ from: from.line, to: Math.min(to.line, oldFrom) + 1 })
+                    } else {
+                        changes.push({ from: oldFrom, to: Math.min(oldTo, from.line) + 1 })
+                    }
+                }
+                if (!posEq(to, sel.to)) {
+                    if (to.line < oldTo) {
+                        changes.push({ from: Math.max(oldFrom, from.line), to: oldTo + 1 })
+                    } else {
+                        changes.push({ from: Math.max(from.line, oldTo), to: to.line + 1 })
+                    }
+                }
+            }
+            sel.from = from
+            sel.to = to
+            selectionChanged = true
+        }
+        const updateCursor = () => {
+            var head = sel.inverted ? sel.from : sel.to
+            var x = charX(head.line, head.ch) + 'px'
+            var y = (rowOfLine(head.line) - showingFrom) * lineHeight() + 'px'
+            inputDiv.style.top = y
+            inputDiv.style.left = x
+            if (posEq(sel.from, sel.to) && isLineShown(head.line)) {
+                cursor.style.top = y
+                cursor.style.left = x
+                cursor.style.display = ''
+            }
+            else cursor.style.display = 'none'
+        }
+        const updateGutter = () => {
+            if (!options.gutter && !options.lineNumbers) {
+                return
+            }
+            var hText = mover.offsetHeight
+            var hEditor = wrapper.clientHeight
+            gutter.style.height = (hText - hEditor < 2 ? hEditor : hText) + 'px'
+            var html = []
+            // The shown rows can be stale while the lines are replaced.
+            for (var r = showingFrom, e = Math.min(showingTo, rowCount()); r < e; ++r) {
+                html.push(gutterRow(lineAtRow(r)))
+            }
+            gutter.style.display = 'none'
+            gutterText.innerHTML = html.join('')
+            var minwidth = String(lines.length).length
+            var firstNode = gutterText.firstChild
+            var val = firstNode ? eltText(firstNode) : ''
+            var pad = ''
+            while (val.length + pad.length < minwidth) {
+                pad += "\u00a0"
+            }
+            if (pad && firstNode) {
+                firstNode.insertBefore(document.createTextNode(pad), firstNode.firstChild)
+            }
+            gutter.style.display = ''
+            layoutColumns()
+        }
+        const gutterRow = i => {
+            var marker = lines[i].gutterMarker
+            var text = options.lineNumbers ? i + options.firstLineNumber : null
+            if (marker && marker.text) {
+                text = marker.text.replace("%N%", text != null ? text : '')
+            } else if (text == null) {
+                text = "\u00a0"
+            }
+            return (marker && marker.style ? '<pre class="' + marker.style + '">' : '<pre>') + text + '</pre>'
+        }
+        // Redraw the gutter rows of some lines only. The first row carries
+        // the padding, so touching it redraws the lot.
+        const updateGutterLines = todo => {
+            if (!options.gutter && !options.lineNumbers) {
+                return
+            }
+            var shown = todo.map(n => isLineShown(n) ? rowOfLine(n) - showingFrom : -1)
+                .filter(r => r >= 0 && r < gutterText.childNodes.length)
+            if (shown.indexOf(0) != -1) {
+                return updateGutter()
+            }
+            var scratch = document.createElement('div')
+            shown.forEach(r => {
+                scratch.innerHTML = gutterRow(lineAtRow(r + showingFrom))
+                gutterText.replaceChild(scratch.firstChild, gutterText.childNodes[r])
+            })
+            layoutColumns()
+        }
+        const updateSourcePane = () => {
+            if (!xliff) {
+                sourcePane.style.display = 'none'
+                layoutColumns()
+                return
+            }
+            var html = []
+            for (var r = showingFrom, e = Math.min(showingTo, rowCount()); r < e; ++r) {
+                var i = lineAtRow(r)
+                var seg = lines[i].segment
+                var chosen = selectedSourceTag && selectedSourceTag.line == i ? selectedSourceTag.tag : null
+                html.push(seg ? seg.getSourceHTML(chosen, sourceTerms(seg)) : '<pre>\u00a0</pre>')
+            }
+            sourceText.innerHTML = html.join('')
+            sourcePane.style.display = ''
+            var hText = mover.offsetHeight
+            var hEditor = wrapper.clientHeight
+            sourcePane.style.height = (hText - hEditor < 2 ? hEditor : hText) + 'px'
+            layoutColumns()
+        }
+        // Gutter, source column and target lines sit side by side.
+        const layoutColumns = () => {
+            var left = gutter.style.display == 'none' ? 0 : gutter.offsetWidth
+            if (xliff) {
+                sourcePane.style.left = left + 'px'
+                sourcePane.style.width = options.sourceWidth
+                left += sourcePane.offsetWidth
+            }
+            lineSpace.style.marginLeft = left + 'px'
+        }
+        const patchDisplay = updates => {
+            // Slightly different algorithm for IE (badInnerHTML), since
+            // there .innerHTML on PRE nodes is dumb, and discards
+            // whitespace.
+            var off = 0
+            var scratch = badInnerHTML && document.createElement('div')
+            for (var i = 0, e = updates.length; i < e; ++i) {
+                var rec = updates[i]
+                var extra = (rec.to - rec.from) - rec.domSize
+                var nodeAfter = lineDiv.childNodes[rec.domStart + rec.domSize + off] || null
+                if (badInnerHTML) {
+                    for (var j = Math.max(-extra, rec.domSize); j > 0; --j) {
+                        lineDiv.removeChild(nodeAfter ? nodeAfter.previousSibling : lineDiv.lastChild)
+                    }
+                } else if (extra) {
+                    for (var j = Math.max(0, extra); j > 0; --j) {
+                        lineDiv.insertBefore(document.createElement('pre'), nodeAfter)
+                    }
+                    for (var j = Math.max(0, -extra); j > 0; --j) {
+                        lineDiv.removeChild(nodeAfter ? nodeAfter.previousSibling : lineDiv.lastChild)
+                    }
+                }
+                var node = lineDiv.childNodes[rec.domStart + off]
+                for (var r = rec.from; r < rec.to; ++r) {
+                    var j = lineAtRow(r)
+                    var range = lineSelection(j)
+                    if (badInnerHTML) {
+                        scratch.innerHTML = lines[j].getHTML(range.from, range.to, true)
+                        lineDiv.insertBefore(scratch.firstChild, nodeAfter)
+                    } else {
+                        node.innerHTML = lines[j].getHTML(range.from, range.to, false)
+                        node.className = lines[j].className || ''
+                        node = node.nextSibling
+                    }
+                }
+                off += extra
+            }
+        }
+        // The selected part of line n, in the form Line.getHTML wants: a
+        // null to means selected up to and including the line end.
+        const lineSelection = n => {
+            if (n < sel.from.line || n > sel.to.line) {
+                return { from: null, to: null }
+            }
+            return {
+                from: n == sel.from.line ? sel.from.ch : 0,
+                to: n == sel.to.line ? sel.to.ch : null
+            }
+        }
+        const refreshDisplay = (from, to) => {
+            var html = []
+            for (var r = from; r < to; ++r) {
+                var i = lineAtRow(r)
+                var range = lineSelection(i)
+                html.push(lines[i].getHTML(range.from, range.to, true))
+            }
+            lineDiv.innerHTML = html.join('')
+        }
+        // Visible range, in display rows.
+        const visibleLines = () => {
+            var lh = lineHeight()
+            var top = wrapper.scrollTop - paddingTop()
+            return {
+                from: Math.min(rowCount(), Math.max(0, Math.floor(top / lh))),
+                to: Math.min(rowCount(), Math.ceil((top + wrapper.clientHeight) / lh))
+            }
+        }
+        const rowCount = () => rows ? rows.length : lines.length
+        const lineAtRow = r => rows ? rows[r] : r
+        // The row of line n, or of the first shown line after it.
+        const rowOfLine = n => {
+            if (!rows) {
+                return n
+            }
+            var lo = 0
+            var hi = rows.length
+            while (lo < hi) {
+                var mid = (lo + hi) >> 1
+                if (rows[mid] < n) {
+                    lo = mid + 1
+                } else {
+                    hi = mid
+                }
+            }
+            return lo
+        }
+        const isLineShown = n => !rows || rows[rowOfLine(n)] == n
+        // The nearest shown line before or after n, or null.
+        const shownLineBefore = n => {
+            var r = rowOfLine(n) - 1
+            return r >= 0 ? lineAtRow(r) : null
+        }
+        const shownLineAfter = n => {
+            var r = rowOfLine(n) + (isLineShown(n) ? 1 : 0)
+            return r < rowCount() ? lineAtRow(r) : null
+        }
+        const updateDisplay = changes => {
+            if (!wrapper.clientWidth) {
+                showingFrom = showingTo = 0
+                return
+            }
+            // Changes are tracked in lines, which only match rows when
+            // nothing is filtered out. Otherwise redraw everything.
+            if (rows || lastRows) {
+                changes = true
+            }
+            // First create a range of theoretically intact lines, and punch
+            // holes in that using the change info.
+            var intact = changes === true ? [] : [{ from: showingFrom, to: showingTo, domStart: 0 }]
+            for (var i = 0, l = changes.length || 0; i < l; ++i) {
+                var change = changes[i]
+                var intact2 = []
+                var diff = change.diff || 0
+                for (var j = 0, l2 = intact.length; j < l2; ++j) {
+                    var range = intact[j]
+                    if (change.to <= range.from) {
+                        intact2.push({ from: range.from + diff, to: range.to + diff, domStart: range.domStart })
+                    } else if (range.to <= change.from) {
+                        intact2.push(range)
+                    } else {
+                        if (change.from > range.from) {
+                            intact2.push({ from: range.from, to: change.from, domStart: range.domStart })
+                        }
+                        if (change.to < range.to) {
+                            intact2.push({
+                                from: change.to + diff, to: range.to + diff,
+                                domStart: range.domStart + (change.to - range.from)
+                            })
+                        }
+                    }
+                }
+                intact = intact2
+            }
+
+            // Then, determine which lines we'd want to see, and which
+            // updates have to be made to get there.
+            var visible = visibleLines()
+            var from = Math.min(showingFrom, Math.max(visible.from - 3, 0))
+            var to = Math.min(rowCount(), Math.max(showingTo, visible.to + 3))
+            var updates = []
+            var domPos = 0
+            var domEnd = showingTo - showingFrom
+            var pos = from
+            var changedLines = 0
+
+            for (var i = 0, l = intact.length; i < l; ++i) {
+                var range = intact[i]
+                if (range.to <= from) {
+                    continue
+                }
+                if (range.from >= to) {
+                    break
+                }
+                if (range.domStart > domPos || range.from > pos) {
+                    updates.push({ from: pos, to: range.from, domSize: range.domStart - domPos, domStart: domPos })
+                    changedLines += range.from - pos
+                }
+                pos = range.to
+                domPos = range.domStart + (range.to - range.from)
+            }
+            if (domPos != domEnd || pos != to) {
+                changedLines += Math.abs(to - pos)
+                updates.push({ from: pos, to: to, domSize: domEnd - domPos, domStart: domPos })
+            }
+
+            if (!updates.length) {
+                return
+            }
+            lineDiv.style.display = 'none'
+            // If more than 30% of the screen needs update, just do a full
+            // redraw (which is quicker than patching)
+            if (changedLines > (visible.to - visible.from) * .3) {
+                refreshDisplay(from = Math.max(visible.from - 10, 0), to = Math.min(visible.to + 7, rowCount()))
+            } else {
+                // Otherwise, only update the stuff that needs updating.
+                patchDisplay(updates)
+            }
+            lineDiv.style.display = ''
+
+            // Position the mover div to align with the lines it's supposed
+            // to be showing (which will cover the visible display)
+            var different = from != showingFrom || to != showingTo || lastHeight != wrapper.clientHeight || lastRows != rows
+            showingFrom = from
+            showingTo = to
+            lastRows = rows
+            mover.style.top = (from * lineHeight()) + 'px'
+            if (different) {
+                lastHeight = wrapper.clientHeight
+                code.style.height = (rowCount() * lineHeight() + 2 * paddingTop()) + 'px'
+                updateGutter()
+                updateSourcePane()
+            }
+
+            // Since this is all rather error prone, it is honoured with the
+            // only assertion in the whole file.
+            if (lineDiv.childNodes.length != showingTo - showingFrom) {
+                throw new Error('BAD PATCH! ' + JSON.stringify(updates) + ' size=' + (showingTo - showingFrom) + ' nodes=' + lineDiv.childNodes.length)
+            }
+            updateCursor()
+        }
+        const scrollIntoView = (x1, y1, x2, y2) => {
+            var pl = paddingLeft()
+            var pt = paddingTop()
+            y1 += pt
+            y2 += pt
+            x1 += pl
+            x2 += pl
+            var screen = wrapper.clientHeight
+            var screentop = wrapper.scrollTop
+            var scrolled = false
+            var result = true
+            if (y1 < screentop) {
+                wrapper.scrollTop = Math.max(0, y1 - 10)
+                scrolled = true
+            } else if (y2 > screentop + screen) {
+                wrapper.scrollTop = y2 + 10 - screen
+                scrolled = true
+            }
+
+            var screenw = wrapper.clientWidth
+            var screenleft = wrapper.scrollLeft
+            if (x1 < screenleft) {
+                wrapper.scrollLeft = Math.max(0, x1 - 10)
+                scrolled = true
+            } else if (x2 > screenw + screenleft) {
+                wrapper.scrollLeft = x2 + 10 - screenw
+                scrolled = true
+                if (x2 > code.clientWidth) {
+                    result = false
+                }
+            }
+            if (scrolled && options.onScroll) {
+                options.onScroll(instance)
+            }
+            return result
+        }
+        const scrollCursorIntoView = () => {
+            var cursor = localCoords(sel.inverted ? sel.from : sel.to)
+            return scrollIntoView(cursor.x, cursor.y, cursor.x, cursor.yBot)
+        }
+        // The textarea holds the selected lines and the shown line
+        // before and after them, so that the cursor keys move between
+        // shown lines. editing.lines remembers which lines those were.
+        const prepareInput = () => {
+            var shown = []
+            var before = shownLineBefore(sel.from.line)
+            var after = shownLineAfter(sel.to.line)
+            if (before != null) {
+                shown.push(before)
+            }
+            for (var i = sel.from.line; i <= sel.to.line; ++i) {
+                shown.push(i)
+            }
+            if (after != null) {
+                shown.push(after)
+            }
+            var text = input.value = shown.map(n => lines[n].text).join(lineSep)
+            var startch = sel.from.ch
+            var endch = sel.to.ch
+            for (var i = 0; shown[i] < sel.from.line; ++i) {
+                startch += lineSep.length + lines[shown[i]].text.length
+            }
+            for (var i = 0; shown[i] < sel.to.line; ++i) {
+                endch += lineSep.length + lines[shown[i]].text.length
+            }
+            editing = { text: text, lines: shown, start: startch, end: endch }
+            setSelRange(input, startch, reducedSelection ? startch : endch)
+        }
+        // The line of the kth line in the textarea. Past the end (new
+        // lines were typed), lines are assumed to follow on.
+        const editingLine = k => {
+            var known = editing.lines
+            return k < known.length ? known[k] : known[known.length - 1] + k - known.length + 1
+        }
+        const readInput = () => {
+            var changed = false
+            var text = input.value
+            var sr = selRange(input)
+            if (!sr) {
+                return false
+            }
+            var changed = editing.text != text
+            var rs = reducedSelection
+            var moved = changed || sr.start != editing.start || sr.end != (rs ? editing.start : editing.end)
+            if (reducedSelection && !moved && sel.from.line == 0 && sel.from.ch == 0) {
+                reducedSelection = null
+            } else if (!moved) {
+                return false
+            }
+            if (changed) {
+                shiftSelecting = reducedSelection = null
+                if (inputBlocked()) {
+                    updateInput = true
+                    return 'changed'
+                }
+            }
+
+            // Compute selection start and end based on start/end offsets in textarea
+            function computeOffset(n) {
+                var pos = 0
+                for (var k = 0; ; ++k) {
+                    var found = text.indexOf("\n", pos)
+                    if (found == -1 || (text.charAt(found - 1) == "\r" ? found - 1 : found) >= n) {
+                        return { line: editingLine(k), ch: n - pos }
+                    }
+                    pos = found + 1
+                }
+            }
+            var from = computeOffset(sr.start)
+            var to = computeOffset(sr.end);
+            // Here we have to take the reducedSelection hack into account,
+            // so that you can, for example, press shift-up at the start of
+            // your selection and have the right thing happen.
+            if (rs) {
+                from = sr.start == rs.anchor ? to : from
+                to = shiftSelecting ? sel.to : sr.start == rs.anchor ? from : to
+                if (!posLess(from, to)) {
+                    reducedSelection = null
+                    sel.inverted = false
+                    var tmp = from
+                    from = to
+                    to = tmp
+                }
+            }
+
+            // In some cases (cursor on same line as before), we don't have
+            // to update the textarea content at all.
+            if (from.line == to.line && from.line == sel.from.line && from.line == sel.to.line && !shiftSelecting) {
+                updateInput = false
+            }
+
+            // Magic mess to extract precise edited range from the changed
+            // string.
+            if (changed) {
+                var start = 0
+                var end = text.length
+                var len = Math.min(end, editing.text.length)
+                var c
+                var k = 0
+                var nl = -1
+                while (start < len && (c = text.charAt(start)) == editing.text.charAt(start)) {
+                    ++start
+                    if (c == "\n") {
+                        k++
+                        nl = start
+                    }
+                }
+                var line = editingLine(k)
+                var ch = nl > -1 ? start - nl : start
+                var endk = editing.lines.length - 1
+                var edend = editing.text.length
+
+                for (; ;) {
+                    c = editing.text.charAt(edend)
+                    if (c == "\n") {
+                        endk--
+                    }
+                    if (text.charAt(end) != c) {
+                        ++end
+                        ++edend
+                        break
+                    }
+                    if (edend <= start || end <= start) {
+                        break
+                    }
+                    --end
+                    --edend
+                }
+                var endline = editingLine(endk)
+                var nl = editing.text.lastIndexOf("\n", edend - 1)
+                var endch = nl == -1 ? edend : edend - nl - 1
+                var newText = splitLines(text.slice(start, end))
+                if (xliff) {
+                    // In the grid, every line is a segment: edits can't
+                    // cross segment boundaries or touch locked segments,
+                    // and pasted line breaks stay inside the segment, as
+                    // do only the codes it has.
+                    var seg = lines[line].segment
+                    if (line != endline || (seg && !seg.translate)) {
+                        updateInput = true
+                        return 'changed'
+                    }
+                    var joined = newText.join(LINE_BREAK)
+                    newText = [seg ? ownCodes(joined, seg) : joined]
+                    if (newText[0] != joined) {
+                        updateInput = true
+                    }
+                    from = to = { line: line, ch: ch + newText[0].length }
+                }
+                updateLines({ line: line, ch: ch }, { line: endline, ch: endch }, newText, from, to)
+                if (line != endline || from.line != line) {
+                    updateInput = true
+                }
+            } else {
+                setSelection(from, to)
+            }
+
+            editing.text = text
+            editing.start = sr.start
+            editing.end = sr.end
+            return changed ? 'changed' : moved ? 'moved' : false
+        }
+        const updateLinesNoUndo = (from, to, newText, selFrom, selTo) => {
+            var nlines = to.line - from.line
+            var firstLine = lines[from.line]
+            var lastLine = lines[to.line]
+            // First adjust the line structure, taking some care to leave highlighting intact.
+            if (firstLine == lastLine) {
+                if (newText.length == 1) {
+                    firstLine.replace(from.ch, to.ch, newText[0])
+                } else {
+                    lastLine = firstLine.split(to.ch, newText[newText.length - 1])
+                    var spliceargs = [from.line + 1, nlines]
+                    firstLine.replace(from.ch, firstLine.text.length, newText[0])
+                    for (var i = 1, e = newText.length - 1; i < e; ++i) {
+                        spliceargs.push(new Line(newText[i]))
+                    }
+                    spliceargs.push(lastLine)
+                    lines.splice.apply(lines, spliceargs)
+                }
+            } else if (newText.length == 1) {
+                firstLine.replace(from.ch, firstLine.text.length, newText[0] + lastLine.text.slice(to.ch))
+                lines.splice(from.line + 1, nlines)
+            } else {
+                var spliceargs = [from.line + 1, nlines - 1]
+                firstLine.replace(from.ch, firstLine.text.length, newText[0])
+                lastLine.replace(0, to.ch, newText[newText.length - 1])
+                for (var i = 1, e = newText.length - 1; i < e; ++i) {
+                    spliceargs.push(new Line(newText[i]))
+                }
+                lines.splice.apply(lines, spliceargs)
+            }
+
+            if (xliff) {
+                for (var i = from.line, e = from.line + newText.length; i < e; ++i) {
+                    markInlineTags(lines[i])
+                    flagTerms(lines[i])
+                    flagSpelling(lines[i])
+                }
+            }
+
+            // Add these lines to the work array, so that they will be
+            // highlighted. Adjust work lines if lines were added/removed.
+            var newWork = []
+            var lendiff = newText.length - nlines - 1
+            for (var i = 0, l = work.length; i < l; ++i) {
+                var task = work[i]
+                if (task < from.line) {
+                    newWork.push(task)
+                } else if (task > to.line) {
+                    newWork.push(task + lendiff)
+                }
+            }
+            if (newText.length) {
+                newWork.push(from.line)
+            }
+            work = newWork
+            startWorker(100)
+            // Remember that these lines changed, for updating the display
+            changes.push({ from: from.line, to: to.line + 1, diff: lendiff })
+            textChanged = true
+
+            // Update the selection
+            function updateLine(n) {
+                return n <= Math.min(to.line, to.line + lendiff) ? n : n + lendiff
+            }
+            setSelection(selFrom, selTo, updateLine(sel.from.line), updateLine(sel.to.line));
+
+            // Make sure the scroll-size div has the correct height.
+            code.style.height = (rowCount() * lineHeight() + 2 * paddingTop()) + 'px'
+        }
+        const startState = (mode, a1, a2) => mode.startState ? mode.startState(a1, a2) : true
+        const charX = (line, pos) => {
+            var text = lines[line].text
+            var span = measure.firstChild
+            if (text.lastIndexOf("\t", pos) == -1) {
+                return pos * charWidth()
+            }
+            var old = span.firstChild.nodeValue
+            try {
+                span.firstChild.nodeValue = text.slice(0, pos)
+                return span.offsetWidth
+            } finally {
+                span.firstChild.nodeValue = old
+            }
+        }
+        // In the grid, Enter moves on to the next segment and
+        // shift-Enter puts a line break into the current one.
+        const handleEnter = shift => {
+            if (!xliff) {
+                replaceSelection("\n", 'end')
+                if (options.enterMode != 'flat') {
+                    indentLine(sel.from.line, options.enterMode == 'keep' ? 'prev' : 'smart')
+                }
+            } else if (shift) {
+                replaceSelection(LINE_BREAK, 'end')
+            } else {
+                var next = shownLineAfter(sel.to.line)
+                if (next != null) {
+                    setCursor(next, 0)
+                }
+            }
+        }
+        const handleTab = shift => {
+            shiftSelecting = null
+            switch (options.tabMode) {
+                case 'default':
+                    return false
+                case 'indent':
+                    for (var i = sel.from.line, e = sel.to.line; i <= e; ++i) {
+                        indentLine(i, 'smart')
+                    }
+                    break
+                case 'classic':
+                    if (posEq(sel.from, sel.to)) {
+                        if (shift) {
+                            indentLine(sel.from.line, 'smart')
+                        } else {
+                            replaceSelection("\t", 'end')
+                        }
+                        break
+                    }
+                case 'shift':
+                    for (var i = sel.from.line, e = sel.to.line; i <= e; ++i) {
+                        indentLine(i, shift ? 'subtract' : 'add')
+                    }
+                    break
+            }
+            return true
+        }
+        const indentLine = (n, how) => {
+            if (how == 'smart') {
+                if (!mode.indent) {
+                    how = 'prev'
+                } else {
+                    var state = getStateBefore(n)
+                }
+            }
+            var line = lines[n]
+            var curSpace = line.indentation()
+            var curSpaceString = line.text.match(/^\s*/)[0]
+            var indentation
+            if (how == 'prev') {
+                indentation = n ? lines[n - 1].indentation() : 0
+            } else if (how == 'smart') {
+                indentation = mode.indent(state, line.text.slice(curSpaceString.length))
+            } else if (how == 'add') {
+                indentation = curSpace + options.indentUnit
+            } else if (how == 'subtract') {
+                indentation = curSpace - options.indentUnit
+            }
+            indentation = Math.max(0, indentation)
+            var diff = indentation - curSpace
+            if (!diff) {
+                if (sel.from.line != n && sel.to.line != n) {
+                    return
+                }
+                var indentString = curSpaceString
+            } else {
+                var indentString = ''
+                var pos = 0
+                if (options.indentWithTabs) {
+                    for (var i = Math.floor(indentation / tabSize); i; --i) {
+                        pos += tabSize
+                        indentString += '\t'
+                    }
+                }
+                while (pos < indentation) {
+                    ++pos
+                    indentString += ' '
+                }
+            }
+            replaceRange(indentString, { line: n, ch: 0 }, { line: n, ch: curSpaceString.length })
+        }
+        // The mode state at pos, for modes that act on what was typed.
+        const stateAt = pos => {
+            var state = getStateBefore(pos.line)
+            var stream = new StringStream(lines[pos.line].text.slice(0, pos.ch))
+            while (!stream.eol()) {
+                mode.token(stream, state)
+                stream.start = stream.pos
+            }
+            return state
+        }
+        // Close the element whose start tag was just typed, for modes
+        // with autoClose (see the xml mode).
+        const autoCloseTag = () => {
+            var pos = sel.to
+            if (!posEq(sel.from, pos) || lines[pos.line].text.charAt(pos.ch - 1) != '>') {
+                return
+            }
+            var name = mode.autoClose(stateAt(pos))
+            var close = name && '</' + name + '>'
+            if (close && lines[pos.line].text.slice(pos.ch, pos.ch + close.length) != close) {
+                replaceRange(close, pos, pos)
+                setCursor(pos.line, pos.ch)
+            }
+        }
+        // The segment under the cursor, if it can be edited.
+        const editableSegment = () => {
+            var seg = lines[sel.to.line].segment
+            return seg && seg.translate && !options.readOnly ? seg : null
+        }
+        // Put an inline code at the cursor. An opening code whose closing
+        // code isn't in the target either wraps the selection instead.
+        const insertTag = (seg, ch) => {
+            if (sel.from.line != sel.to.line) {
+                setCursor(sel.to.line, sel.to.ch)
+            }
+            var info = tagInfo(ch)
+            var close = tagChar('close', info.n)
+            var target = targetText(lines[sel.to.line])
+            if (info.kind == 'open' && seg.source.indexOf(close) > -1 && target.indexOf(close) == -1) {
+                replaceSelection(ch + getSelection() + close, 'end')
+            } else {
+                replaceSelection(ch, 'end')
+            }
+        }
+        // Read the filter toolbar into a filter spec. Bad regexps mark
+        // their field instead of filtering.
+        const readFilterBar = () => {
+            var field = name => filterBar.querySelector('[name="' + name + '"]')
+            var regex = field('regex').checked
+            var spec = {}
+            var ok = true
+            var state = field('state').value
+            if (state == 'untranslated') {
+                spec.untranslated = true
+            } else if (state) {
+                spec.state = state
+            }
+            if (field('file').value) {
+                spec.file = field('file').value
+            }
+            var texts = ['source', 'target']
+            texts.forEach(name => {
+                var input = field(name)
+                input.className = ''
+                if (!input.value) {
+                    return
+                }
+                if (!regex) {
+                    spec[name] = input.value
+                    return
+                }
+                try {
+                    spec[name] = new RegExp(input.value, 'i')
+                } catch (e) {
+                    input.className = 'XliffEditor-invalid'
+                    ok = false
+                }
+            })
+            if (ok) {
+                setFilter(Object.keys(spec).length ? spec : null)
+            }
+        }
+        const syncFilterBar = () => {
+            var files = filterBar.querySelector('[name="file"]')
+            var ids = xliff ? xliff.files.map(f => f.id) : []
+            if (files.options.length != ids.length + 1) {
+                files.innerHTML = '<option value="">All files</option>' +
+                    ids.map(id => '<option>' + htmlEscape(id || '') + '</option>').join('')
+            }
+            filterBar.querySelector('.XliffEditor-filterbar-count').textContent =
+                filter ? rowCount() + ' of ' + getSegments().length + ' segments' : ''
+        }
+        // Segment rows show their number and state in the gutter.
+        // Segments with QA issues get the icon of the worst one, those
+        // with open review comments a badge, and restricted ones what
+        // room they have left.
+        const segmentMarker = seg => {
+            var worst = worstSeverity(seg.issues)
+            var open = (seg.notes || []).filter(note => note.isComment() && !note.resolved).length
+            var size = seg.size
+            var room = size ? [
+                size.sizeLimit != null ? size.sizeLimit - size.size : null,
+                size.storageLimit != null ? size.storageLimit - size.storage + 'B' : null
+            ].filter(n => n != null).join(' ') : ''
+            return {
+                text: '%N% ' + stateIcon(seg.state) + (worst ? '<span class="XliffEditor-qa-icon">' + QA_ICONS[worst] + '</span>' : '') +
+                    (open ? '<span class="XliffEditor-comment-badge" title="Open comments">' + open + '</span>' : '') +
+                    (size ? '<span class="XliffEditor-slr' + (size.over ? ' XliffEditor-slr-over' : '') + '">' + room + '</span>' : ''),
+                style: 'XliffEditor-row-' + seg.state + (worst ? ' XliffEditor-qa-' + worst : '')
+            }
+        }
+        // The line of each segment of the document, made when first
+        // needed after one is loaded.
+        var segmentLines = null
+        const lineOfSegment = seg => {
+            if (!segmentLines) {
+                segmentLines = new Map()
+                xliff.segments.forEach((other, i) => segmentLines.set(other, i))
+            }
+            return segmentLines.get(seg)
+        }
+        // Size and length restrictions (slr:, or maxwidth in 1.2) hold
+        // for all the targets of a unit together. Measure the unit of
+        // line n, and mark its lines when they run over.
+        const measureUnit = n => {
+            var unit = lines[n].segment.unit
+            if (unit.sizeRestriction == null && unit.storageRestriction == null) {
+                return null
+            }
+            var unitLines = unit.segments.map(lineOfSegment)
+            var text = unitLines.map(i => targetText(lines[i])).join('')
+            var profiles = unit.file.slr || SLR_DEFAULTS
+            var size = {
+                size: slrSize(text, profiles.general),
+                sizeLimit: unit.sizeRestriction,
+                storage: slrSize(text, profiles.storage),
+                storageLimit: unit.storageRestriction,
+                profiles: profiles
+            }
+            size.over = (size.sizeLimit != null && size.size > size.sizeLimit) ||
+                (size.storageLimit != null && size.storage > size.storageLimit)
+            unitLines.forEach(i => {
+                var line = lines[i]
+                line.segment.size = size
+                line.gutterMarker = segmentMarker(line.segment)
+                // Other classes of the line stay.
+                var classes = (line.className || '').split(' ').filter(c => c && c != 'XliffEditor-overflow')
+                if (size.over) {
+                    classes.push('XliffEditor-overflow')
+                }
+                if ((classes.join(' ') || null) != line.className) {
+                    setLineClass(i, classes.join(' ') || null)
+                }
+            })
+            return size
+        }
+        const measureChanges = changes => {
+            var measured = new Set()
+            ;(changes.length ? changes : [{ from: 0, to: lines.length }]).forEach(change => {
+                for (var n = change.from, e = Math.min(change.to, lines.length); n < e; ++n) {
+                    if (!measured.has(lines[n].segment.unit)) {
+                        measured.add(lines[n].segment.unit)
+                        measureUnit(n)
+                    }
+                }
+            })
+            updateGutter()
+        }
+        const setSegmentState = (n, state, subState) => {
+            var line = lines[clipLine(n)]
+            var seg = line.segment
+            if (!seg || stateRank(state) == -1) {
+                return false
+            }
+            var old = seg.state
+            // Targets that break their size restriction can't be
+            // confirmed; options.onStateRefused hears why.
+            if (stateRank(state) > stateRank(old) && stateRank(state) >= stateRank(options.confirmState) && seg.size && seg.size.over) {
+                if (options.onStateRefused) {
+                    options.onStateRefused(instance, seg, state, 'size')
+                }
+                return false
+            }
+            seg.state = state
+            if (subState !== undefined) {
+                seg.subState = subState
+            }
+            var marker = segmentMarker(seg)
+            addGutterMarker(line, marker.text, marker.style)
+            if (stateRank(state) >= stateRank(options.confirmState)) {
+                rememberSegment(line)
+            }
+            if (old != state && options.onStateChange) {
+                options.onStateChange(instance, seg, old)
+            }
+            return true
+        }
+        // Confirm the segment under the cursor: raise it to confirmState
+        // and move on to the next segment that hasn't got there yet.
+        const confirmSegment = () => {
+            var n = sel.to.line
+            var seg = editableSegment()
+            var wanted = stateRank(options.confirmState)
+            if (!seg || !targetText(lines[n])) {
+                return false
+            }
+            if (stateRank(seg.state) < wanted && !setSegmentState(n, options.confirmState)) {
+                return false
+            }
+            if (options.propagate) {
+                propagateTranslation(n)
+            }
+            for (var i = 1; i < lines.length; ++i) {
+                var next = (n + i) % lines.length
+                var other = lines[next].segment
+                if (other && other.translate && stateRank(other.state) < wanted && isLineShown(next)) {
+                    setCursor(next, lines[next].text.length)
+                    break
+                }
+            }
+            return true
+        }
+        // Segmentation (XLIFF 2.0). Segments are split and merged in the
+        // document, which is then loaded again; undo loads the version
+        // before. Sentences are found by options.srx, or by SRX_DEFAULT
+        // without it.
+        var defaultSrx = null
+        const srxRules = () => options.srx || defaultSrx || (defaultSrx = new SrxRules(SRX_DEFAULT))
+        // Run f on the document; it returns the segment to put the cursor
+        // in, at ch, or null for no change.
+        const resegmentWith = (f, ch) => {
+            if (!xliff || view != 'grid' || options.readOnly) {
+                return false
+            }
+            syncSegments()
+            var before = xliff.serialize()
+            var cursor = { line: sel.to.line, ch: sel.to.ch }
+            var seg = f(xliff)
+            if (!seg) {
+                return false
+            }
+            var n = xliff.segments.indexOf(seg)
+            reloadXliff(xliff.serialize())
+            addSnapshot(before, 'grid', cursor)
+            setCursor(n, ch || 0)
+            return true
+        }
+        // Load text in place of the document, keeping the undo history
+        // and the filter.
+        const reloadXliff = text => {
+            var kept = history
+            var spec = filter
+            setXliff(text)
+            history = kept
+            if (spec) {
+                setFilter(spec)
+            }
+        }
+        // Split the segment of line n. Without offsets, the target splits
+        // at the cursor and the source at the sentence break closest to
+        // the same place.
+        const splitSegment = (n, sourceCh, targetCh) => {
+            n = clipLine(n == null ? sel.to.line : n)
+            var line = lines[n]
+            var seg = line.segment
+            if (!seg || !seg.translate || changeMarks(line).length) {
+                return false
+            }
+            var target = targetText(line)
+            if (targetCh == null) {
+                targetCh = sel.to.line == n ? sel.to.ch : target.length
+            }
+            if (sourceCh == null) {
+                var want = target.length ? targetCh / target.length * seg.source.length : 0
+                sourceCh = sentenceBreaks(seg.source, seg.tags, srxRules(), xliff.srcLang)
+                    .reduce((best, pos) => best == null || Math.abs(pos - want) < Math.abs(best - want) ? pos : best, null)
+                if (sourceCh == null) {
+                    return false
+                }
+            }
+            return resegmentWith(doc => {
+                var parts = doc.splitSegment(seg, [{ source: sourceCh, target: targetCh }])
+                return parts && parts[1]
+            })
+        }
+        // Merge the segment of line n with the next one in its unit.
+        const mergeSegments = n => {
+            n = clipLine(n == null ? sel.to.line : n)
+            var line = lines[n]
+            var seg = line.segment
+            if (!seg || !seg.translate || changeMarks(line).length || (lines[n + 1] && changeMarks(lines[n + 1]).length)) {
+                return false
+            }
+            return resegmentWith(doc => doc.mergeSegments(seg), targetText(line).length)
+        }
+        // Split the translatable segments without a target into
+        // sentences. Returns the number of segments added.
+        const resegment = () => {
+            var count = 0
+            resegmentWith(doc => {
+                var at = lines[sel.to.line].segment
+                doc.segments.slice().forEach(seg => {
+                    var breaks = seg.translate && !seg.target ? sentenceBreaks(seg.source, seg.tags, srxRules(), doc.srcLang) : []
+                    var parts = breaks.length ? doc.splitSegment(seg, breaks.map(pos => ({ source: pos, target: 0 }))) : null
+                    count += parts ? parts.length - 1 : 0
+                })
+                return count ? at : null
+            })
+            return count
+        }
+        // Show only the segments matching spec (see segmentFilter), or all
+        // of them again when spec is null.
+        const setFilter = spec => {
+            filter = spec || null
+            if (!filter || !xliff) {
+                rows = null
+            } else {
+                syncSegments()
+                var test = segmentFilter(filter)
+                rows = []
+                lines.forEach((line, n) => {
+                    if (line.segment && test(line.segment)) {
+                        rows.push(n)
+                    }
+                })
+            }
+            if (!isLineShown(sel.to.line) && rowCount()) {
+                setCursor(lineAtRow(rowOfLine(sel.to.line) < rowCount() ? rowOfLine(sel.to.line) : 0), 0)
+            }
+            changes.push({ from: 0, to: lines.length })
+            updateInput = true
+            if (filterBar) {
+                syncFilterBar()
+            }
+            return rowCount()
+        }
+        // Segment search and replace. A search spec is an object:
+        //   query          the text or regex to look for
+        //   mode           'plain' (default), 'regex' or 'word'
+        //   caseSensitive  false by default
+        //   scope          'target' (default), 'source' or 'notes'
+        // Only shown segments are searched, and only targets replaced.
+        var lastMatch = null
+        const scopeText = (n, scope) => {
+            var seg = lines[n].segment
+            if (scope == 'source') {
+                return seg.source.replace(/\n/g, LINE_BREAK)
+            }
+            if (scope == 'notes') {
+                return (seg.notes || []).map(note => note.text).join('\n')
+            }
+            return targetText(lines[n])
+        }
+        const findInSegments = spec => {
+            var re = compileSearch(spec)
+            var scope = spec.scope || 'target'
+            var found = []
+            for (var r = 0, e = rowCount(); r < e; ++r) {
+                var n = lineAtRow(r)
+                if (lines[n].segment) {
+                    searchText(re, scopeText(n, scope)).forEach(m => {
+                        // Target matches are given as offsets into the line.
+                        if (scope == 'target') {
+                            m.from = lineOffset(lines[n], m.from)
+                            m.to = lineOffset(lines[n], m.to, true)
+                        }
+                        found.push({ line: n, segment: lines[n].segment, scope: scope, from: m.from, to: m.to, match: m.match })
+                    })
+                }
+            }
+            return found
+        }
+        const findNext = (spec, reverse) => {
+            var found = findInSegments(spec)
+            if (!found.length) {
+                lastMatch = null
+                return null
+            }
+            // Outside of the target, only the line of the cursor says
+            // where we are, unless we're still at the last match.
+            var head = reverse ? sel.from : sel.to
+            var at = { line: head.line, ch: head.ch }
+            if (found[0].scope != 'target') {
+                var same = lastMatch && lastMatch.scope == found[0].scope && lastMatch.line == head.line
+                at.ch = same ? (reverse ? lastMatch.from : lastMatch.to) : reverse ? Infinity : -1
+            }
+            var before = m => m.line < at.line || (m.line == at.line && m.from < at.ch)
+            var after = m => m.line > at.line || (m.line == at.line && m.from >= at.ch)
+            var match = reverse ? found.filter(before).pop() || found[found.length - 1] : found.find(after) || found[0]
+            if (match.scope == 'target') {
+                setSelection({ line: match.line, ch: match.from }, { line: match.line, ch: match.to })
+            } else {
+                setCursor(match.line, 0)
+            }
+            lastMatch = match
+            return match
+        }
+        // Replace the current match, if the selection is on one, and go
+        // on to the next.
+        const replaceNext = (spec, replacement) => {
+            var m = lastMatch
+            var seg = m && lines[m.line].segment
+            if (m && m.scope == 'target' && seg == m.segment && seg.translate && !options.readOnly &&
+                posEq(sel.from, { line: m.line, ch: m.from }) && posEq(sel.to, { line: m.line, ch: m.to })) {
+                var text = spec.mode == 'regex' ? expandReplacement(replacement, m.match) : replacement
+                replaceSelection(text.replace(TAG_RE, ''), 'end')
+            }
+            return findNext(spec)
+        }
+        // Replace every target match in the shown segments, as one undo
+        // step. Returns the number of replacements.
+        const replaceAll = (spec, replacement) => {
+            if (options.readOnly || (spec.scope && spec.scope != 'target')) {
+                return 0
+            }
+            var edits = []
+            var count = 0
+            var byLine = {}
+            findInSegments(spec).forEach(m => (byLine[m.line] = byLine[m.line] || []).push(m))
+            Object.keys(byLine).map(Number).sort((a, b) => a - b).forEach(n => {
+                if (!lines[n].segment.translate) {
+                    return
+                }
+                var text = lines[n].text
+                var out = []
+                var pos = 0
+                byLine[n].forEach(m => {
+                    var rep = spec.mode == 'regex' ? expandReplacement(replacement, m.match) : replacement
+                    out.push(text.slice(pos, m.from), rep.replace(TAG_RE, ''))
+                    pos = m.to
+                    count++
+                })
+                // Tracked changes are made one by one, from the back.
+                if (reviewing) {
+                    byLine[n].slice().reverse().forEach(m => {
+                        var rep = spec.mode == 'regex' ? expandReplacement(replacement, m.match) : replacement
+                        updateLines({ line: n, ch: m.from }, { line: n, ch: m.to }, [rep.replace(TAG_RE, '')], sel.from, sel.to)
+                    })
+                    return
+                }
+                out.push(text.slice(pos))
+                edits.push({ line: n, text: out.join('') })
+            })
+            if (edits.length) {
+                setLineTexts(edits)
+            }
+            lastMatch = null
+            return count
+        }
+        const readSearchBar = () => {
+            var field = name => searchBar.querySelector('[name="' + name + '"]')
+            return {
+                query: field('query').value,
+                mode: field('mode').value,
+                scope: field('scope').value,
+                caseSensitive: field('caseSensitive').checked
+            }
+        }
+        // Run one of the search bar's buttons, reporting bad regexps and
+        // counts in the bar.
+        const searchBarCommand = command => {
+            var spec = readSearchBar()
+            var query = searchBar.querySelector('[name="query"]')
+            var status = searchBar.querySelector('.XliffEditor-searchbar-count')
+            var replacement = searchBar.querySelector('[name="replacement"]').value
+            query.className = ''
+            if (!spec.query) {
+                status.textContent = ''
+                return
+            }
+            try {
+                if (command == 'replaceAll') {
+                    status.textContent = replaceAll(spec, replacement) + ' replaced'
+                    return
+                }
+                var match = command == 'replace' ? replaceNext(spec, replacement) : findNext(spec, command == 'previous')
+                status.textContent = match ? '' : 'No matches'
+            } catch (e) {
+                if (!(e instanceof SyntaxError)) {
+                    throw e
+                }
+                query.className = 'XliffEditor-invalid'
+                status.textContent = ''
+            }
+        }
+        // Translation memory. Segments are stored when they reach
+        // confirmState, and looked up when the cursor enters one and
+        // rests there (getMatches and applyMatch look up at once).
+        var tmMatches = []
+        var tmLine = null
+        var tmWait = new Delayed()
+        const rememberSegment = line => {
+            var text = targetText(line)
+            if (options.tm && xliff && text) {
+                options.tm.add(xliff.srcLang, xliff.trgLang, line.segment.source, text.replace(LINE_BREAK_RE, '\n'),
+                    { codes: segmentCodes(line.segment) })
+            }
+        }
+        // The XLIFF markup of a segment's codes, as native codes for TMX.
+        const segmentCodes = seg => seg.tags.map(tag => ({
+            open: tag.markup('open', 'source'),
+            close: tag.markup('close', 'source'),
+            standalone: tag.markup('standalone', 'source')
+        }))
+        const importTmx = text => {
+            if (!options.tm) {
+                options.tm = new TranslationMemory()
+            }
+            var count = options.tm.importTmx(text)
+            updateMatches(true)
+            return count
+        }
+        // The memory plus the confirmed segments of the document, as TMX.
+        const exportTmx = () => {
+            var memory = new TranslationMemory(options.tm ? options.tm.toJSON() : [])
+            if (xliff) {
+                lines.forEach(line => {
+                    var seg = line.segment
+                    var text = seg && targetText(line)
+                    if (text && stateRank(seg.state) >= stateRank(options.confirmState)) {
+                        memory.add(xliff.srcLang, xliff.trgLang, seg.source, text.replace(LINE_BREAK_RE, '\n'),
+                            { codes: segmentCodes(seg), tuid: seg.unit.id + (seg.id ? '/' + seg.id : '') })
+                    }
+                })
+            }
+            return memory.toTmx()
+        }
+        const updateMatches = force => {
+            var line = sel.to.line
+            if (line == tmLine && !force) {
+                return
+            }
+            tmLine = line
+            var seg = xliff && lines[line] && lines[line].segment
+            tmMatches = seg && options.tm
+                ? options.tm.lookup(xliff.srcLang, xliff.trgLang, seg.source, options.tmMinScore, options.tmMaxMatches)
+                : []
+            if (tmPanel) {
+                var text = str => segmentEscape(str.replace(/\n/g, LINE_BREAK))
+                tmPanel.innerHTML = tmMatches.map((m, i) =>
+                    '<div class="XliffEditor-tm-match" data-match="' + i + '">' +
+                    '<span class="XliffEditor-tm-score">' + (i < 9 ? (i + 1) + ': ' : '') + m.score + '%</span>' +
+                    '<div class="XliffEditor-tm-source">' + m.diff.map(d =>
+                        d.op == 'equal' ? text(d.text) : '<' + (d.op == 'insert' ? 'ins' : 'del') + '>' + text(d.text) +
+                            '</' + (d.op == 'insert' ? 'ins' : 'del') + '>').join('') + '</div>' +
+                    '<div class="XliffEditor-tm-target">' + text(m.target) + '</div></div>').join('') ||
+                    (seg && options.tm ? '<div class="XliffEditor-tm-none">No matches</div>' : '')
+            }
+        }
+        // Overwrite the target of the current segment with a match.
+        const applyMatch = i => {
+            updateMatches()
+            var match = tmMatches[i || 0]
+            if (!match || !editableSegment()) {
+                return false
+            }
+            var n = sel.to.line
+            var text = match.target.replace(/\n/g, LINE_BREAK)
+            replaceRange(text, { line: n, ch: 0 }, { line: n, ch: lines[n].text.length })
+            setCursor(n, lines[n].text.length)
+            lines[n].segment.origin = lines[n].segment.engine = null
+            return true
+        }
+        // Machine translation from options.mt (see mtEncode). Suggestions
+        // are cached by source text, as promises of the segment text.
+        var mtCache = {}
+        var mtSeg = null
+        // The panel asks the engine only once the cursor rests.
+        var mtWait = new Delayed()
+        const mtRequest = segs => new Promise(resolve => resolve(options.mt.translate(segs.map(seg => mtEncode(seg.source)), xliff.srcLang, xliff.trgLang)))
+            .then(out => {
+                if (!Array.isArray(out) || out.length != segs.length) {
+                    throw new Error('Got ' + (Array.isArray(out) ? out.length : 'no') + ' translations for ' + segs.length + ' segments')
+                }
+                return out.map((str, i) => mtDecode(String(str == null ? '' : str), segs[i].tags))
+            })
+        const mtSuggestion = seg => {
+            var key = xliff.srcLang + '\n' + xliff.trgLang + '\n' + seg.source
+            if (!mtCache[key]) {
+                var request = mtCache[key] = mtRequest([seg]).then(out => out[0])
+                // Failures aren't cached, the next try asks again.
+                request.catch(() => mtCache[key] == request && delete mtCache[key])
+            }
+            return mtCache[key]
+        }
+        // Put generated translations (edits of { line, text }, in line
+        // order) into their targets as one change. They start out as
+        // state (initial by default) and keep where they came from as
+        // their origin.
+        const fillTargets = (edits, origin, engine, state) => {
+            if (reviewing) {
+                // One step for undo, which rejects the last step.
+                changeStep = changeId + 1
+                edits.forEach(e => updateLines({ line: e.line, ch: 0 }, { line: e.line, ch: lines[e.line].text.length }, [e.text], sel.from, sel.to))
+                changeStep = null
+            } else {
+                setLineTexts(edits, edits.map(e => segmentInfo(e.line)))
+            }
+            edits.forEach(e => {
+                var seg = lines[e.line].segment
+                seg.origin = origin
+                seg.engine = engine || null
+                setSegmentState(e.line, state || 'initial')
+            })
+        }
+        // Copy the target of line n into the segments repeating its source
+        // (see repetitionKey), as one undoable change. Only empty targets
+        // are filled unless options.propagateOverwrite is set. Returns the
+        // number of segments filled.
+        const propagateTranslation = n => {
+            var line = lines[clipLine(n)]
+            var seg = line.segment
+            var text = seg && targetText(line)
+            if (!text || options.readOnly) {
+                return 0
+            }
+            var key = repetitionKey(seg.source)
+            var edits = []
+            lines.forEach((other, i) => {
+                var current = targetText(other)
+                if (other == line || !canTranslate(i) || repetitionKey(other.segment.source) != key ||
+                    (current && !options.propagateOverwrite)) {
+                    return
+                }
+                var target = renumberTags(text, seg.source, other.segment.source)
+                if (target != null && target != current) {
+                    edits.push({ line: i, text: target })
+                }
+            })
+            if (edits.length) {
+                fillTargets(edits, 'propagated', null, seg.state)
+            }
+            return edits.length
+        }
+        const canTranslate = n => {
+            var seg = lines[n] && lines[n].segment
+            return !!(seg && seg.translate && !options.readOnly && seg.source.trim())
+        }
+        // Fill the empty targets, mtBatchSize segments per request. Resolves
+        // to the number of segments filled.
+        const preTranslate = () => {
+            if (!options.mt || !xliff) {
+                return Promise.resolve(0)
+            }
+            var doc = xliff
+            var todo = doc.segments.filter((seg, n) => canTranslate(n) && !targetText(lines[n]))
+            var batches = []
+            for (var i = 0; i < todo.length; i += options.mtBatchSize) {
+                batches.push(todo.slice(i, i + options.mtBatchSize))
+            }
+            var filled = 0
+            return batches.reduce((done, batch) => done.then(() => xliff == doc && mtRequest(batch)).then(operation(out => {
+                // Skip what changed while waiting for the engine.
+                if (!out || xliff != doc) {
+                    return
+                }
+                var edits = batch.map((seg, i) => ({ line: doc.segments.indexOf(seg), text: out[i].replace(/\n/g, LINE_BREAK) }))
+                    .filter(e => e.text && canTranslate(e.line) && !targetText(lines[e.line]))
+                if (edits.length) {
+                    fillTargets(edits, 'mt', options.mt.name)
+                    filled += edits.length
+                }
+            })), Promise.resolve()).then(() => filled)
+        }
+        const getMtSuggestion = n => {
+            var seg = xliff && lines[clipLine(n == null ? sel.to.line : n)].segment
+            return seg && options.mt ? mtSuggestion(seg) : Promise.reject(new Error('No machine translation'))
+        }
+        // Overwrite the target of a segment (the current one by default)
+        // with its machine translation. Resolves to whether it did.
+        const applyMtSuggestion = n => {
+            var seg = xliff && lines[clipLine(n == null ? sel.to.line : n)].segment
+            return getMtSuggestion(n).then(operation(text => {
+                var line = xliff ? xliff.segments.indexOf(seg) : -1
+                if (line == -1 || !canTranslate(line) || !text) {
+                    return false
+                }
+                text = text.replace(/\n/g, LINE_BREAK)
+                fillTargets([{ line: line, text: text }], 'mt', options.mt.name)
+                if (line == sel.to.line) {
+                    setCursor(line, lines[line].text.length)
+                }
+                return true
+            }))
+        }
+        // Fill every target from its source with a pseudo-translation (see
+        // pseudoTranslation), as one change. Returns the number filled.
+        const pseudoLocalize = transforms => {
+            if (!xliff || options.readOnly) {
+                return 0
+            }
+            var edits = []
+            xliff.segments.forEach((seg, n) => {
+                var text = pseudoTranslation(seg.source, transforms).replace(/\n/g, LINE_BREAK)
+                if (seg.translate && text != targetText(lines[n])) {
+                    edits.push({ line: n, text: text })
+                }
+            })
+            if (edits.length) {
+                fillTargets(edits, 'pseudo')
+            }
+            return edits.length
+        }
+        const updateMtPanel = force => {
+            var seg = xliff && lines[sel.to.line] && lines[sel.to.line].segment
+            if (!mtPanel || (seg == mtSeg && !force)) {
+                return
+            }
+            mtSeg = seg
+            if (!seg || !options.mt || !seg.source.trim()) {
+                mtPanel.innerHTML = ''
+                return
+            }
+            var show = html => mtSeg == seg && (mtPanel.innerHTML = html)
+            show('<div class="XliffEditor-mt-pending">Translating\u2026</div>')
+            mtWait.set(300, () => mtSeg == seg && mtSuggestion(seg).then(text => show('<div class="XliffEditor-mt-suggestion">' +
+                '<span class="XliffEditor-mt-engine">' + htmlEscape(options.mt.name || 'MT') + '</span>' +
+                '<div class="XliffEditor-tm-target">' + segmentEscape(text.replace(/\n/g, LINE_BREAK)) + '</div></div>'),
+            err => show(mtError(err))))
+        }
+        const mtError = err => '<div class="XliffEditor-mt-error">' + htmlEscape(String(err && err.message || err)) + '</div>'
+        // Glossary. Source terms are marked in the source column, and
+        // forbidden target terms wherever they turn up in a target.
+        var termLine = null
+        const sourceTerms = seg => options.termbase && xliff ? options.termbase.recognize(seg.source, xliff.srcLang) : null
+        const flagTerms = line => {
+            var found = line.segment && options.termbase
+                ? options.termbase.recognize(line.text, xliff.trgLang, term => TERM_FORBIDDEN[term.status])
+                : []
+            markTerms(line, found, 'XliffEditor-term-forbidden')
+        }
+        // Load a TBX or CSV termbase into options.termbase.
+        const loadTermbase = (text, format) => {
+            if (!options.termbase) {
+                options.termbase = new Termbase()
+            }
+            var csv = format ? format == 'csv' : !/^\s*</.test(text)
+            var count = csv ? options.termbase.importCsv(text) : options.termbase.importTbx(text)
+            if (xliff) {
+                lines.forEach(flagTerms)
+                changes.push({ from: 0, to: lines.length })
+                updateSourcePane()
+            }
+            updateTermPanel(true)
+            return count
+        }
+        // The source terms of a segment with their target equivalents,
+        // and the forbidden terms in its target.
+        const getSegmentTerms = n => {
+            var line = lines[clipLine(n == null ? sel.to.line : n)]
+            if (!line.segment || !options.termbase || !xliff) {
+                return null
+            }
+            return {
+                source: sourceTerms(line.segment).map(f => ({
+                    from: f.from,
+                    to: f.to,
+                    term: f.term,
+                    concept: f.concept,
+                    equivalents: options.termbase.equivalents(f.concept, xliff.trgLang)
+                })),
+                forbidden: (line.marked || []).filter(m => m.term != null).map(m => ({ from: m.from, to: m.to, concept: m.term }))
+            }
+        }
+        const updateTermPanel = force => {
+            if (!termPanel || (sel.to.line == termLine && !force)) {
+                return
+            }
+            termLine = sel.to.line
+            var terms = getSegmentTerms(termLine)
+            var seen = []
+            termPanel.innerHTML = (terms ? terms.source : []).filter(f => {
+                var fresh = seen.indexOf(f.concept) == -1
+                seen.push(f.concept)
+                return fresh
+            }).map(f =>
+                '<div class="XliffEditor-term-entry"' + (f.concept.definition ? ' title="' + xmlEscape(f.concept.definition, '"') + '"' : '') + '>' +
+                '<span class="XliffEditor-term-source">' + htmlEscape(f.term.text) + '</span> ' +
+                (f.equivalents.map(term => '<span class="XliffEditor-term-target' +
+                    (TERM_FORBIDDEN[term.status] ? ' XliffEditor-term-forbidden' : '" data-term="' + xmlEscape(term.text, '"')) + '">' +
+                    htmlEscape(term.text) + (term.status ? ' <small>' + htmlEscape(term.status) + '</small>' : '') + '</span>'
+                ).join(' ') || '<span class="XliffEditor-term-none">no translation</span>') +
+                '</div>').join('')
+        }
+        // Spelling. Targets are checked against the dictionary for the
+        // target language (options.dictionaries, by language code or its
+        // primary language) and the words of options.projectDictionary.
+        // Placeholders, inline codes and glossary terms aren't checked.
+        var spellCache = Object.create(null)
+        const dictionary = () => {
+            var dicts = options.dictionaries
+            return dicts && xliff ? dicts[xliff.trgLang] || dicts[primaryLanguage(xliff.trgLang)] || null : null
+        }
+        const checkWord = (dict, word) => {
+            if (!(word in spellCache)) {
+                // Hyphenated words pass when their parts do.
+                spellCache[word] = (options.projectDictionary || []).indexOf(word) != -1 || dict.check(word) ||
+                    (word.indexOf('-') != -1 && word.split('-').every(part => checkWord(dict, part)))
+            }
+            return spellCache[word]
+        }
+        const misspellings = line => {
+            var dict = dictionary()
+            if (!dict || !line.segment || !line.segment.translate) {
+                return []
+            }
+            var text = targetText(line)
+            var skip = findPlaceholders(text)
+            if (options.termbase) {
+                skip = skip.concat(options.termbase.recognize(text, xliff.trgLang))
+            }
+            var found = []
+            var word = /[\p{L}\p{M}]+(?:['\u2019-][\p{L}\p{M}]+)*/gu
+            for (var m; (m = word.exec(text));) {
+                var from = m.index
+                var to = from + m[0].length
+                if (!skip.some(r => r.from < to && from < r.to) && !checkWord(dict, m[0])) {
+                    found.push({ from: lineOffset(line, from), to: lineOffset(line, to, true), word: m[0] })
+                }
+            }
+            return found
+        }
+        const flagSpelling = line => markMisspellings(line, misspellings(line))
+        const respell = () => {
+            spellCache = Object.create(null)
+            if (xliff) {
+                lines.forEach(flagSpelling)
+                changes.push({ from: 0, to: lines.length })
+            }
+        }
+        // Load a Hunspell dictionary (the text of its .aff and .dic
+        // files) for a language.
+        const loadDictionary = (lang, aff, dic) => {
+            var dict = new Hunspell(aff, dic)
+            options.dictionaries = Object.assign({}, options.dictionaries)
+            options.dictionaries[lang] = dict
+            respell()
+            return dict
+        }
+        const addToDictionary = word => {
+            if (!options.projectDictionary) {
+                options.projectDictionary = []
+            }
+            if (options.projectDictionary.indexOf(word) == -1) {
+                options.projectDictionary.push(word)
+            }
+            respell()
+        }
+        // The misspelled word at pos, as { line, from, to, word,
+        // suggestions }.
+        const getMisspelling = pos => {
+            var line = lines[pos.line]
+            var mark = (line.marked || []).find(m => m.spelling != null && m.from <= pos.ch && pos.ch <= m.to)
+            if (!mark) {
+                return null
+            }
+            return {
+                line: pos.line,
+                from: mark.from,
+                to: mark.to,
+                word: mark.spelling,
+                suggestions: dictionary() ? dictionary().suggest(mark.spelling) : []
+            }
+        }
+        // Clicking anywhere else closes the menu.
+        var spellMenuOff = null
+        const showSpellMenu = (found, x, y) => {
+            spellMenu.misspelling = found
+            spellMenu.innerHTML = (found.suggestions.map(text =>
+                '<div class="XliffEditor-spellmenu-item" data-suggestion="' + xmlEscape(text, '"') + '">' + htmlEscape(text) + '</div>'
+            ).join('') || '<div class="XliffEditor-spellmenu-none">No suggestions</div>') +
+                '<div class="XliffEditor-spellmenu-item XliffEditor-spellmenu-add" data-add="">Add to project dictionary</div>'
+            spellMenu.style.left = x + 'px'
+            spellMenu.style.top = y + 'px'
+            if (!spellMenu.parentNode) {
+                document.body.appendChild(spellMenu)
+                spellMenuOff = connect(document, 'mousedown', hideSpellMenu, true)
+            }
+        }
+        const hideSpellMenu = () => {
+            if (spellMenu.parentNode) {
+                spellMenu.parentNode.removeChild(spellMenu)
+                spellMenuOff()
+                spellMenuOff = null
+            }
+            spellMenu.misspelling = null
+        }
+        const spellMenuCommand = node => {
+            var found = spellMenu.misspelling
+            hideSpellMenu()
+            if (node.getAttribute('data-add') != null) {
+                addToDictionary(found.word)
+            } else {
+                replaceRange(node.getAttribute('data-suggestion'), { line: found.line, ch: found.from }, { line: found.line, ch: found.to })
+            }
+        }
+        // QA. runQa checks every segment; after that, edited segments
+        // (and those repeating their source) are checked again as they
+        // change. Issues are kept in segment.issues.
+        var qaRules = (options.qaRules || QA_RULES).slice()
+        var qaSources = null
+        const qaContext = n => ({
+            srcLang: xliff.srcLang,
+            trgLang: xliff.trgLang,
+            line: n,
+            repetitions: () => qaSources[plainText(lines[n].segment.source)].filter(i => i != n).map(i => ({
+                line: i,
+                number: i + options.firstLineNumber,
+                segment: lines[i].segment,
+                target: targetText(lines[i])
+            }))
+        })
+        const checkLine = n => {
+            var line = lines[n]
+            var seg = line.segment
+            var issues = []
+            if (seg.translate) {
+                var context = qaContext(n)
+                var target = targetText(line)
+                qaRules.forEach(rule => {
+                    // Only the emptiness rule has anything to say about
+                    // an empty target.
+                    if (!target && rule.id != 'empty') {
+                        return
+                    }
+                    (rule.check(seg, target, context) || []).forEach(issue => issues.push({
+                        rule: rule.id,
+                        severity: issue.severity || rule.severity,
+                        message: issue.message,
+                        from: issue.from,
+                        to: issue.to,
+                        line: n,
+                        segment: seg
+                    }))
+                })
+            }
+            seg.issues = issues
+            line.gutterMarker = segmentMarker(seg)
+        }
+        const runQa = () => {
+            if (!xliff) {
+                return []
+            }
+            qaSources = {}
+            lines.forEach((line, n) => {
+                var key = plainText(line.segment.source)
+                ;(qaSources[key] = qaSources[key] || []).push(n)
+            })
+            lines.forEach((line, n) => checkLine(n))
+            updateGutter()
+            updateQaPanel()
+            return getQaIssues()
+        }
+        // Check the lines touched by an operation again, and the other
+        // segments sharing their sources.
+        const recheckChanges = changes => {
+            var todo = []
+            var add = n => todo.indexOf(n) == -1 && todo.push(n)
+            ;(changes.length ? changes : [{ from: 0, to: lines.length }]).forEach(change => {
+                for (var n = change.from, e = Math.min(change.to, lines.length); n < e; ++n) {
+                    add(n)
+                    qaSources[plainText(lines[n].segment.source)].forEach(add)
+                }
+            })
+            todo.forEach(checkLine)
+            updateGutterLines(todo)
+            updateQaPanel(todo)
+        }
+        const getQaIssues = () => [].concat(...lines.map(line => line.segment && line.segment.issues || []))
+        const addQaRule = rule => {
+            qaRules = qaRules.filter(r => r.id != rule.id)
+            qaRules.push(rule)
+            if (qaSources) {
+                runQa()
+            }
+        }
+        // The panel's rows, by line, so that checking some lines again
+        // only replaces theirs.
+        var qaRows = []
+        const qaRowsHTML = n => (lines[n].segment.issues || []).map((issue, i) =>
+            '<div class="XliffEditor-qa-issue XliffEditor-qa-' + issue.severity + '" data-line="' + n + '" data-issue="' + i + '">' +
+            '<span class="XliffEditor-qa-icon">' + QA_ICONS[issue.severity] + '</span> ' +
+            (n + options.firstLineNumber) + ': ' + htmlEscape(issue.message) + '</div>').join('')
+        const updateQaPanel = todo => {
+            if (!qaPanel) {
+                return
+            }
+            if (!todo || !qaSources) {
+                qaPanel.innerHTML = qaSources ? lines.map((line, n) => line.segment ? qaRowsHTML(n) : '').join('') : ''
+                qaRows = []
+                for (var node = qaPanel.firstChild; node; node = node.nextSibling) {
+                    var n = +node.getAttribute('data-line')
+                    ;(qaRows[n] = qaRows[n] || []).push(node)
+                }
+            } else {
+                if (qaPanel.firstChild && qaPanel.firstChild.getAttribute('data-line') == null) {
+                    qaPanel.removeChild(qaPanel.firstChild)
+                }
+                var scratch = document.createElement('div')
+                todo.slice().sort((a, b) => a - b).forEach(n => {
+                    (qaRows[n] || []).forEach(node => qaPanel.removeChild(node))
+                    var after = null
+                    for (var m = n + 1; m < qaRows.length && !after; ++m) {
+                        after = qaRows[m] && qaRows[m][0] || null
+                    }
+                    scratch.innerHTML = qaRowsHTML(n)
+                    qaRows[n] = Array.from(scratch.childNodes)
+                    qaRows[n].forEach(node => qaPanel.insertBefore(node, after))
+                })
+            }
+            if (qaSources && !qaPanel.firstChild) {
+                qaPanel.innerHTML = '<div class="XliffEditor-qa-none">No issues</div>'
+            }
+        }
+        // Put the cursor on an issue, selecting the text it is about.
+        const showIssue = issue => {
+            if (!isLineShown(issue.line)) {
+                setFilter(null)
+            }
+            if (issue.from != null) {
+                var line = lines[issue.line]
+                setSelection({ line: issue.line, ch: lineOffset(line, issue.from) }, { line: issue.line, ch: lineOffset(line, issue.to, true) })
+            } else {
+                setCursor(issue.line, lines[issue.line].text.length)
+            }
+        }
+        // Analysis for quoting, against options.tm. Shown in the analysis
+        // panel, as a table per file and one for the whole document.
+        const analyze = () => {
+            if (!xliff) {
+                return null
+            }
+            var report = xliff.analyze(options.tm)
+            if (analysisPanel) {
+                var table = (part, name) => '<table><tr><th>' + htmlEscape(name) + '</th><th>Segments</th><th>Words</th><th>Characters</th></tr>' +
+                    analysisRows(part).filter((row, i) => !i || row[1].segments).map(row => '<tr><td>' + htmlEscape(row[0]) + '</td><td>' +
+                        row[1].segments + '</td><td>' + row[1].words + '</td><td>' + row[1].characters + '</td></tr>').join('') + '</table>'
+                analysisPanel.lastChild.innerHTML = report.files.map(part => table(part, part.name || '')).join('') +
+                    (report.files.length > 1 ? table(report, 'All files') : '')
+            }
+            return report
+        }
+        const exportAnalysis = format => {
+            var report = analyze()
+            return report && (format == 'json' ? JSON.stringify(report, null, 2) : analysisCsv(report))
+        }
+        // Notes and review comments. Notes belong to units; the reviewer
+        // (options.reviewer) can add comments, and edit, resolve and
+        // remove their own.
+        var notesLine = null
+        var editingNote = null
+        const lineNotes = n => {
+            var seg = lines[clipLine(n == null ? sel.to.line : n)].segment
+            return seg ? seg.notes : []
+        }
+        const ownNote = note => note.isComment() && note.author == options.reviewer && !options.readOnly
+        // Redraw everything showing the notes of a unit.
+        const notesChanged = unit => {
+            lines.forEach(line => {
+                if (line.segment && line.segment.unit == unit) {
+                    line.gutterMarker = segmentMarker(line.segment)
+                }
+            })
+            updateGutter()
+            updateSourcePane()
+            updateNotesPanel(true)
+        }
+        const addComment = (text, props, n) => {
+            var seg = lines[clipLine(n == null ? sel.to.line : n)].segment
+            if (!seg || !text || options.readOnly) {
+                return null
+            }
+            var note = new Note(null, !!seg.unit.xliff12)
+            note.text = text
+            note.author = options.reviewer
+            note.category = props && props.category || (note.version12 ? null : 'comment')
+            note.priority = props && props.priority != null ? props.priority : null
+            note.appliesTo = props && props.appliesTo || null
+            seg.notes.push(note)
+            notesChanged(seg.unit)
+            return note
+        }
+        const unitOfNote = note => {
+            var seg = getSegments().find(s => s.notes.indexOf(note) != -1)
+            return seg ? seg.unit : null
+        }
+        const editComment = (note, text) => {
+            var unit = unitOfNote(note)
+            if (!unit || !ownNote(note) || !text) {
+                return false
+            }
+            note.text = text
+            notesChanged(unit)
+            return true
+        }
+        const resolveComment = (note, resolved) => {
+            var unit = unitOfNote(note)
+            if (!unit || !ownNote(note)) {
+                return false
+            }
+            note.resolved = resolved !== false
+            notesChanged(unit)
+            return true
+        }
+        const removeComment = note => {
+            var unit = unitOfNote(note)
+            if (!unit || !ownNote(note)) {
+                return false
+            }
+            unit.notes.splice(unit.notes.indexOf(note), 1)
+            if (note.node) {
+                unit.removedNotes.push(note)
+            }
+            notesChanged(unit)
+            return true
+        }
+        const updateNotesPanel = force => {
+            if (!notesPanel || (sel.to.line == notesLine && !force)) {
+                return
+            }
+            if (sel.to.line != notesLine) {
+                editingNote = null
+            }
+            notesLine = sel.to.line
+            if (!xliff) {
+                notesPanel.innerHTML = ''
+                return
+            }
+            var notes = lineNotes()
+            notesPanel.innerHTML = notes.map((note, i) => {
+                var own = ownNote(note)
+                var html = '<div class="XliffEditor-note' + (note.isComment() ? ' XliffEditor-note-comment' : '') +
+                    (note.resolved ? ' XliffEditor-note-resolved' : '') + '" data-note="' + i + '">' +
+                    noteLabels(note).map(l => '<span class="XliffEditor-note-label">' + htmlEscape(l) + '</span>').join('') +
+                    (note.author ? '<span class="XliffEditor-note-author">' + htmlEscape(note.author) + '</span>' : '')
+                if (note == editingNote) {
+                    return html + '<textarea name="text">' + htmlEscape(note.text) + '</textarea>' +
+                        '<button type="button" name="save">Save</button><button type="button" name="cancel">Cancel</button></div>'
+                }
+                return html + '<div class="XliffEditor-note-text">' + htmlEscape(note.text) + '</div>' + (own
+                    ? '<button type="button" name="edit">Edit</button>' +
+                    '<button type="button" name="resolve">' + (note.resolved ? 'Reopen' : 'Resolve') + '</button>' +
+                    '<button type="button" name="remove">Delete</button>'
+                    : '') + '</div>'
+            }).join('') + (options.readOnly ? '' : '<div class="XliffEditor-note-new"><textarea name="comment" placeholder="Add a comment">' +
+                '</textarea><button type="button" name="add">Comment</button></div>')
+        }
+        const notesPanelCommand = (command, node) => {
+            var notes = lineNotes()
+            var n = node
+            while (n && n != notesPanel && n.getAttribute('data-note') == null) {
+                n = n.parentNode
+            }
+            var note = n && n != notesPanel ? notes[+n.getAttribute('data-note')] : null
+            switch (command) {
+                case 'add':
+                    addComment(notesPanel.querySelector('[name="comment"]').value.trim())
+                    break
+                case 'edit':
+                    editingNote = note
+                    updateNotesPanel(true)
+                    break
+                case 'save':
+                    editingNote = null
+                    editComment(note, n.querySelector('[name="text"]').value.trim())
+                    updateNotesPanel(true)
+                    break
+                case 'cancel':
+                    editingNote = null
+                    updateNotesPanel(true)
+                    break
+                case 'resolve':
+                    resolveComment(note, !note.resolved)
+                    break
+                case 'remove':
+                    removeComment(note)
+                    break
+            }
+        }
+        // Review mode. Edits to targets are tracked: deleted text stays,
+        // struck through, and inserted text is underlined, until the
+        // change is accepted or rejected. Changes are marks carrying a
+        // change object ({ id, type, author, date, step }); every
+        // character of a line belongs to at most one. The changes of
+        // a fill (see fillTargets) share a step, their first id.
+        var reviewing = false
+        var changeId = 0
+        var changeStep = null
+        const stepOf = change => change.step || change.id
+        const changeMarks = line => (line.marked || []).filter(m => m.change)
+        // The text of a line without its deletions (the target as it
+        // stands), or without its insertions (the version under review).
+        const withoutChanges = (line, type) => {
+            var out = ''
+            var pos = 0
+            changeMarks(line).filter(m => m.change.type == type).forEach(m => {
+                out += line.text.slice(pos, m.from)
+                pos = m.to
+            })
+            return out + line.text.slice(pos)
+        }
+        const targetText = line => line.marked ? withoutChanges(line, 'delete') : line.text
+        // The offset in line.text of offset ch of targetText(line), passing
+        // over deletions; end keeps a position at a deletion before it.
+        const lineOffset = (line, ch, end) => {
+            var pos = ch
+            changeMarks(line).forEach(m => {
+                if (m.change.type == 'delete' && (m.from < pos || (m.from == pos && !end))) {
+                    pos += m.to - m.from
+                }
+            })
+            return pos
+        }
+        const baseText = line => withoutChanges(line, 'insert')
+        const lineChanges = line => {
+            var kinds = new Array(line.text.length).fill(null)
+            changeMarks(line).forEach(m => kinds.fill(m.change, m.from, m.to))
+            return kinds
+        }
+        // Mark runs of the same change. Inline codes are part of them,
+        // their chips shown with the change's style.
+        const setChangeMarks = (line, kinds) => {
+            if (line.marked) {
+                line.marked = line.marked.filter(m => !m.change)
+            }
+            for (var i = 0; i < kinds.length;) {
+                var j = i + 1
+                while (j < kinds.length && kinds[j] == kinds[i]) {
+                    ++j
+                }
+                if (kinds[i]) {
+                    line.addMark(i, j, 'XliffEditor-' + (kinds[i].type == 'insert' ? 'ins' : 'del')).change = kinds[i]
+                }
+                i = j
+            }
+            if (line.marked && !line.marked.length) {
+                line.marked = null
+            }
+        }
+        // Replace from a to b on line n, as a tracked change. Inserted
+        // text that gets removed simply goes, anything else stays as a
+        // deletion, and the new text follows it.
+        const trackEdit = (n, a, b, text, selFrom, selTo) => {
+            var line = lines[n]
+            var kinds = lineChanges(line)
+            var stamp = { author: options.reviewer, date: new Date().toISOString(), step: changeStep }
+            // Typing on continues the change next to it.
+            var near = (type, at) => kinds[at] && kinds[at].type == type && kinds[at].author == stamp.author ? kinds[at] : null
+            var deletion = near('delete', a - 1) || near('delete', b) || Object.assign({ id: ++changeId, type: 'delete' }, stamp)
+            var kept = ''
+            var keptKinds = []
+            for (var i = a; i < b; ++i) {
+                if (!kinds[i] || kinds[i].type != 'insert') {
+                    kept += line.text.charAt(i)
+                    keptKinds.push(kinds[i] || deletion)
+                }
+            }
+            var insertion = (!kept && near('insert', a - 1)) || near('insert', b) || Object.assign({ id: ++changeId, type: 'insert' }, stamp)
+            kinds = kinds.slice(0, a).concat(keptKinds, new Array(text.length).fill(insertion), kinds.slice(b))
+            // Positions after the edit move past what was kept. Deleting
+            // forward also steps over it.
+            var forward = !text && kept && !posEq(sel.to, { line: n, ch: b })
+            var map = pos => pos.line != n || (pos.ch <= a && !forward) ? pos : { line: n, ch: pos.ch + kept.length }
+            updateLinesNoUndo({ line: n, ch: a }, { line: n, ch: b }, [kept + text], map(selFrom), map(selTo))
+            setChangeMarks(line, kinds)
+            flagSpelling(line)
+            if (kept) {
+                updateInput = true
+            }
+        }
+        // Accept or reject the changes of line n that test picks.
+        const resolveChanges = (n, test, accept) => {
+            var line = lines[n]
+            var kinds = lineChanges(line)
+            var text = ''
+            var rest = []
+            for (var i = 0; i < kinds.length; ++i) {
+                var change = kinds[i]
+                if (change && test(change)) {
+                    // Accepted deletions and rejected insertions go.
+                    if ((change.type == 'insert') != accept) {
+                        continue
+                    }
+                    change = null
+                }
+                text += line.text.charAt(i)
+                rest.push(change)
+            }
+            if (text != line.text) {
+                var keep = pos => pos.line == n ? { line: n, ch: Math.min(pos.ch, text.length) } : pos
+                updateLinesNoUndo({ line: n, ch: 0 }, { line: n, ch: line.text.length }, [text], keep(sel.from), keep(sel.to))
+            } else {
+                changes.push({ from: n, to: n + 1 })
+            }
+            setChangeMarks(line, rest)
+            flagSpelling(line)
+            textChanged = true
+        }
+        // The tracked changes of a line, or of all lines.
+        const getChanges = n => {
+            var found = []
+            ;(n == null ? lines : [lines[clipLine(n)]]).forEach(line => {
+                var no = lines.indexOf(line)
+                changeMarks(line).forEach(m => {
+                    var last = found[found.length - 1]
+                    if (last && last.line == no && last.id == m.change.id) {
+                        last.to = m.to
+                        last.text = line.text.slice(last.from, m.to)
+                    } else {
+                        found.push({
+                            line: no, id: m.change.id, type: m.change.type, author: m.change.author, date: m.change.date,
+                            from: m.from, to: m.to, text: line.text.slice(m.from, m.to)
+                        })
+                    }
+                })
+            })
+            return found
+        }
+        const acceptChange = change => resolveChanges(change.line, c => c.id == change.id, true)
+        const rejectChange = change => resolveChanges(change.line, c => c.id == change.id, false)
+        // Accept or reject everything, on line n or in the document.
+        const resolveAllChanges = (accept, n) => {
+            ;(n == null ? lines.map((line, i) => i) : [clipLine(n)]).forEach(i => {
+                if (changeMarks(lines[i]).length) {
+                    resolveChanges(i, () => true, accept)
+                }
+            })
+        }
+        // Undo in review mode: reject the changes of the last step.
+        const rejectLastChange = () => {
+            var last = 0
+            lines.forEach(line => changeMarks(line).forEach(m => {
+                last = Math.max(last, stepOf(m.change))
+            }))
+            lines.forEach((line, i) => {
+                if (last && changeMarks(line).some(m => stepOf(m.change) == last)) {
+                    resolveChanges(i, c => stepOf(c) == last, false)
+                }
+            })
+        }
+        const setReviewMode = on => {
+            reviewing = !!on
+            // Tracked edits don't go into the history; starting over
+            // keeps undo from mixing up the two.
+            history = new History()
+        }
+        // Insert the first code of the source that the target lacks.
+        const insertNextTag = () => {
+            var seg = editableSegment()
+            if (!seg) {
+                return false
+            }
+            var target = targetText(lines[sel.to.line])
+            var missing = (seg.source.match(TAG_RE) || []).filter(ch => target.indexOf(ch) == -1)
+            if (!missing.length) {
+                return false
+            }
+            insertTag(seg, missing[0])
+            return true
+        }
+        // Insert the code selected in the source column of this row.
+        const copyTag = () => {
+            var seg = editableSegment()
+            if (!seg || !selectedSourceTag || selectedSourceTag.line != sel.to.line) {
+                return false
+            }
+            insertTag(seg, selectedSourceTag.tag)
+            return true
+        }
+        const selectWordAt = pos => {
+            var line = lines[pos.line].text
+            var start = pos.ch
+            var end = pos.ch
+            while (start > 0 && /\w/.test(line.charAt(start - 1))) {
+                --start
+            }
+            while (end < line.length - 1 && /\w/.test(line.charAt(end))) {
+                ++end
+            }
+            setSelection({ line: pos.line, ch: start }, { line: pos.line, ch: end })
+        }
+
+        //#endregion
+
+
+        //#region Preparing Instance
+        const instance = this
+        this.getValue = getValue
+        this.setValue = operation(setValue)
+        this.setXliff = operation(setXliff)
+        this.setView = operation(setView)
+        this.getView = () => view
+        this.getXliffDocument = () => xliff
+        this.getSegments = () => {
+            syncSegments()
+            return getSegments()
+        }
+        this.getXliff = getXliff
+        this.setSegmentState = operation(setSegmentState)
+        this.confirmSegment = operation(confirmSegment)
+        this.splitSegment = operation(splitSegment)
+        this.mergeSegments = operation(mergeSegments)
+        this.resegment = operation(resegment)
+        this.setFilter = operation(setFilter)
+        this.getFilter = () => filter
+        this.visibleSegments = () => {
+            syncSegments()
+            return getSegments().filter((seg, n) => isLineShown(n))
+        }
+        this.getMatches = () => {
+            updateMatches()
+            return tmMatches
+        }
+        this.applyMatch = operation(applyMatch)
+        this.propagateTranslation = operation(propagateTranslation)
+        this.preTranslate = preTranslate
+        this.getMtSuggestion = getMtSuggestion
+        this.applyMtSuggestion = applyMtSuggestion
+        this.pseudoLocalize = operation(pseudoLocalize)
+        this.importTmx = operation(importTmx)
+        this.loadTermbase = operation(loadTermbase)
+        this.loadDictionary = operation(loadDictionary)
+        this.addToDictionary = operation(addToDictionary)
+        this.getMisspellings = n => misspellings(lines[clipLine(n)])
+        this.getSizeStatus = n => {
+            var seg = lines[clipLine(n == null ? sel.to.line : n)].segment
+            return seg && seg.size || null
+        }
+        this.getNotes = lineNotes
+        this.addComment = operation(addComment)
+        this.editComment = operation(editComment)
+        this.resolveComment = operation(resolveComment)
+        this.removeComment = operation(removeComment)
+        this.setReviewMode = operation(setReviewMode)
+        this.isReviewing = () => reviewing
+        this.getChanges = getChanges
+        this.acceptChange = operation(acceptChange)
+        this.rejectChange = operation(rejectChange)
+        this.acceptAllChanges = operation(n => resolveAllChanges(true, n))
+        this.rejectAllChanges = operation(n => resolveAllChanges(false, n))
+        this.runQa = operation(runQa)
+        this.getQaIssues = getQaIssues
+        this.addQaRule = operation(addQaRule)
+        this.analyze = analyze
+        this.exportAnalysis = exportAnalysis
+        this.showIssue = operation(showIssue)
+        this.getSegmentTerms = getSegmentTerms
+        this.exportTmx = exportTmx
+        this.findInSegments = spec => findInSegments(spec)
+        this.findNext = operation((spec, reverse) => findNext(spec, reverse))
+        this.replaceNext = operation(replaceNext)
+        this.replaceAll = operation(replaceAll)
+        this.insertNextTag = operation(insertNextTag)
+        this.copyTag = operation(copyTag)
+        this.getSelection = getSelection
+        this.replaceSelection = operation(replaceSelection)
+        this.focus = () => {
+            input.focus()
+            onFocus()
+            fastPoll()
+        }
+        this.setOption = (option, value) => {
+            options[option] = value
+            if (option == 'lineNumbers' || option == 'gutter') {
+                gutterChanged()
+            } else if (option == 'mode' || option == 'indentUnit') {
+                loadMode()
+            }
+        }
+        this.getOption = option => options[option]
+        this.undo = operation(undo)
+        this.indentLine = operation(n => {
+            if (isLine(n)) {
+                indentLine(n, 'smart')
+            }
+        })
+        this.redo = operation(redo)
+        this.historySize = () => ({ undo: history.done.length, redo: history.undone.length })
+        this.getTokenAt = pos => {
+            pos = clipPos(pos)
+            return lines[pos.line].getTokenAt(mode, getStateBefore(pos.line), pos.ch)
+        }
+        this.cursorCoords = start => {
+            if (start == null) {
+                start = sel.inverted
+            }
+            return pageCoords(start ? sel.from : sel.to)
+        }
+        this.charCoords = pos => pageCoords(clipPos(pos))
+        this.coordsChar = coords => {
+            var line = lineAtRow(Math.max(0, Math.min(showingTo - 1, showingFrom + Math.floor(coords.y / lineHeight()))))
+            return clipPos({ line: line, ch: charFromX(clipLine(line), coords.x) })
+        }
+        this.getSearchCursor = (query, pos, caseFold) => new SearchCursor(lines, query, pos && clipPos(pos), caseFold, operation(replaceRange))
+        this.markText = operation((a, b, c) => operation(markText(a, b, c)))
+        this.setMarker = addGutterMarker
+        this.clearMarker = removeGutterMarker
+        this.setLineClass = operation(setLineClass)
+        this.lineInfo = lineInfo
+        this.addWidget = (pos, node, scroll) => {
+            var pos = localCoords(clipPos(pos), true)
+            node.style.top = (showingFrom * lineHeight() + pos.yBot + paddingTop()) + 'px'
+            node.style.left = (pos.x + paddingLeft()) + 'px'
+            code.appendChild(node)
+            if (scroll) {
+                scrollIntoView(pos.x, pos.yBot, pos.x + node.offsetWidth, pos.yBot + node.offsetHeight)
+            }
+        }
+        this.lineCount = () => lines.length
+        this.getCursor = start => {
+            if (start == null) start = sel.inverted
+            return copyPos(start ? sel.from : sel.to)
+        }
+        this.somethingSelected = () => !posEq(sel.from, sel.to)
+        this.setCursor = operation((line, ch) => {
+            if (ch == null && typeof line.line == 'number') {
+                setCursor(line.line, line.ch)
+            } else {
+                setCursor(line, ch)
+            }
+        })
+        this.setSelection = operation((from, to) => setSelection(clipPos(from), clipPos(to || from)))
+        this.getLine = line => {
+            if (isLine(line)) {
+                return lines[line].text
+            }
+        }
+        this.setLine = operation((line, text) => {
+            if (isLine(line)) {
+                replaceRange(text, { line: line, ch: 0 }, { line: line, ch: lines[line].text.length })
+            }
+        })
+        this.removeLine = operation(line => {
+            if (isLine(line)) {
+                replaceRange('', { line: line, ch: 0 }, clipPos({ line: line + 1, ch: 0 }))
+            }
+        })
+        this.replaceRange = operation(replaceRange)
+        this.getRange = (from, to) => getRange(clipPos(from), clipPos(to))
+        this.operation = f => operation(f)()
+        this.refresh = () => updateDisplay(true)
+        this.getInputField = () => input
+        this.getWrapperElement = () => wrapper
+        //#endregion
+
+        //#region Prepoare Events
+        setTimeout(prepareInput, 20)
+        // Register our event handlers.
+        connect(wrapper, 'mousedown', operation(onMouseDown))
+        // Gecko browsers fire contextmenu *after* opening the menu, at
+        // which point we can't mess with it anymore. Context menu is
+        // handled in onMouseDown for Gecko.
+        if (!gecko) connect(wrapper, 'contextmenu', operation(onContextMenu))
+        connect(code, 'dblclick', operation(onDblClick))
+        connect(wrapper, 'scroll', () => {
+            updateDisplay([])
+            if (options.onScroll) {
+                options.onScroll(instance)
+            }
+        })
+        connect(window, 'resize', () => updateDisplay(true))
+        connect(input, 'keyup', operation(onKeyUp))
+        connect(input, 'keydown', operation(onKeyDown))
+        connect(input, 'keypress', operation(onKeyPress))
+        connect(input, 'focus', onFocus)
+        connect(input, 'blur', onBlur)
+        connect(wrapper, 'dragenter', e => e.stop())
+        connect(wrapper, 'dragover', e => e.stop())
+        connect(wrapper, 'drop', operation(onDrop))
+        connect(wrapper, 'paste', () => {
+            input.focus()
+            fastPoll()
+        })
+        connect(input, 'paste', () => fastPoll())
+        // Clicks in the spelling menu mustn't take the focus away.
+        connect(spellMenu, 'mousedown', operation(e => {
+            e.stop()
+            for (var n = e.target(); n && n != spellMenu; n = n.parentNode) {
+                if (n.getAttribute('data-suggestion') != null || n.getAttribute('data-add') != null) {
+                    spellMenuCommand(n)
+                    return
+                }
+            }
+        }))
+        if (gecko) {
+            connect(wrapper, 'contextmenu', e => {
+                if (spellMenu.misspelling) {
+                    e.stop()
+                }
+            })
+        }
+        connect(input, 'cut', () => fastPoll())
+        if (notesPanel) {
+            connect(notesPanel, 'click', operation(e => {
+                if (e.target().tagName == 'BUTTON') {
+                    notesPanelCommand(e.target().name, e.target())
+                }
+            }))
+        }
+        if (qaPanel) {
+            connect(qaPanel, 'click', operation(e => {
+                for (var n = e.target(); n && n != qaPanel; n = n.parentNode) {
+                    if (n.getAttribute('data-issue') != null) {
+                        showIssue(lines[+n.getAttribute('data-line')].segment.issues[+n.getAttribute('data-issue')])
+                        input.focus()
+                        return
+                    }
+                }
+            }))
+        }
+        if (termPanel) {
+            // Clicking an allowed equivalent puts it at the cursor.
+            connect(termPanel, 'click', operation(e => {
+                for (var n = e.target(); n && n != termPanel; n = n.parentNode) {
+                    var term = n.getAttribute('data-term')
+                    if (term != null && editableSegment()) {
+                        replaceSelection(term, 'end')
+                        input.focus()
+                        return
+                    }
+                }
+            }))
+        }
+        if (tmPanel) {
+            connect(tmPanel, 'click', operation(e => {
+                for (var n = e.target(); n && n != tmPanel; n = n.parentNode) {
+                    if (n.getAttribute('data-match') != null) {
+                        applyMatch(+n.getAttribute('data-match'))
+                        input.focus()
+                        return
+                    }
+                }
+            }))
+        }
+        if (analysisPanel) {
+            connect(analysisPanel, 'click', e => {
+                if (e.target().name == 'analyze') {
+                    analyze()
+                }
+            })
+        }
+        if (mtPanel) {
+            connect(mtPanel, 'click', e => {
+                for (var n = e.target(); n && n != mtPanel; n = n.parentNode) {
+                    if (/XliffEditor-mt-suggestion/.test(n.className)) {
+                        applyMtSuggestion().catch(err => {
+                            mtPanel.innerHTML = mtError(err)
+                        })
+                        input.focus()
+                        return
+                    }
+                }
+            })
+        }
+        if (searchBar) {
+            connect(searchBar, 'click', operation(e => {
+                var name = e.target().name
+                if (e.target().tagName == 'BUTTON') {
+                    searchBarCommand(name)
+                }
+            }))
+            connect(searchBar.querySelector('[name="query"]'), 'keydown', operation(e => {
+                if (e.e.keyCode == 13) {
+                    searchBarCommand(e.e.shiftKey ? 'previous' : 'next')
+                    e.stop()
+                }
+            }))
+        }
+        if (viewBar) {
+            connect(viewBar, 'click', operation(e => {
+                if (e.target().tagName == 'BUTTON') {
+                    try {
+                        setView(e.target().name)
+                    } catch (err) {
+                        if (!(err instanceof XmlParseError)) {
+                            throw err
+                        }
+                    }
+                    input.focus()
+                }
+            }))
+        }
+        if (filterBar) {
+            connect(filterBar, 'change', operation(readFilterBar))
+            connect(filterBar, 'input', operation(readFilterBar))
+            connect(filterBar.querySelector('[name="clear"]'), 'click', operation(() => {
+                filterBar.querySelectorAll('input, select').forEach(el => el.type == 'checkbox' ? el.checked = false : el.value = '')
+                setFilter(null)
+            }))
+        }
+        //#endregion
+
+        if (options.xliff) {
+            this.setXliff(options.xliff)
+        } else if (options.value) {
+            this.setValue(options.value)
+        }
+        if (options.review) {
+            this.setReviewMode(true)
+        }
+
+
+    }
 }
\ No newline at end of file